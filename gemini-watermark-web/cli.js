@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+// Headless watermark remover: runs the same WatermarkCore as the web app on
+// PNG/JPEG files and folders. 16-bit PNGs are processed in float and
+// written back with 16 bits.
+// Run with: node cli.js [options] <file|folder>...
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { WatermarkCore, INPAINT_MODE, SIZE_MODE_AUTO, INTENSITY_AUTO, LOGO_COLOR_AUTO, BLEND_SPACE, PRECISION, quantizeRegion } from './src/lib/core.js';
+import { BUILTIN_TEMPLATES, normalizeTemplate } from './src/lib/templates.js';
+import { METADATA_FIELD, DEFAULT_METADATA_OPTIONS, transferMetadata } from './src/lib/metadata.js';
+import { OUTPUT_FORMAT, outputFilename } from './src/lib/outputFormat.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const EXTENSIONS = {
+    '.png': OUTPUT_FORMAT.PNG,
+    '.jpg': OUTPUT_FORMAT.JPEG,
+    '.jpeg': OUTPUT_FORMAT.JPEG
+};
+const CLI_FORMATS = [OUTPUT_FORMAT.SAME, OUTPUT_FORMAT.PNG, OUTPUT_FORMAT.JPEG];
+
+const USAGE = `Usage: node cli.js [options] <file|folder>...
+
+Options:
+  -s, --size <auto|id>            Watermark template: small, large or the id of one
+                                  added with --template (default: auto, detects presence)
+  -t, --template <file.json>      Also detect this watermark template, e.g. one
+                                  exported by the web app's calibration (repeatable)
+  -i, --intensity <auto|number>   Alpha scale, or auto to estimate per image (default: auto)
+      --logo-color <color>        Logo color as #rrggbb or r,g,b, or auto to estimate
+                                  each channel per image (default: the template's)
+      --blend-space <srgb|linear|auto>
+                                  Reverse the blend on the stored values or in linear
+                                  light; auto tries both and keeps the cleaner result
+                                  (default: srgb)
+      --precision <uint8|float>   Keep the watermark area in floating point until it is
+                                  written back (default: uint8; 16-bit PNGs always use float)
+      --dither                    Dither float results to whole 8-bit levels instead of
+                                  rounding, against banding in smooth dark gradients
+  -o, --out-dir <dir>             Output directory (default: ./processed)
+  -n, --dry-run                   Only detect and report, write nothing
+  -r, --recursive                 Descend into subfolders
+      --localize                  Search offsets/scales for cropped or resized images
+      --at <x,y,size>             Remove the watermark from this box instead of the
+                                  bottom-right corner (top-left and width in pixels)
+      --inpaint <none|diffusion>  Residual cleanup post-pass (default: none)
+  -f, --format <same|png|jpeg>    Output format (default: same as input)
+      --quality <1-100>           JPEG output quality (default: 92)
+      --strip <fields>            Metadata to drop, comma-separated: exif,gps,icc,xmp
+                                  (default: keep all)
+      --json                      Print one JSON object per image
+  -h, --help                      Show this help`;
+
+function fail(message) {
+    console.error(`Error: ${message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+// "#rrggbb" or "r,g,b" -> [r, g, b], null when malformed
+function parseColor(text) {
+    const hex = /^#([0-9a-f]{6})$/i.exec(text);
+    const color = hex
+        ? [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16))
+        : text.split(',').map(value => (value.trim() === '' ? NaN : Number(value)));
+    return color.length === 3 && color.every(value => value >= 0 && value <= 255) ? color : null;
+}
+
+function parseOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                size: { type: 'string', short: 's', default: 'auto' },
+                template: { type: 'string', short: 't', multiple: true, default: [] },
+                intensity: { type: 'string', short: 'i', default: 'auto' },
+                'logo-color': { type: 'string' },
+                'blend-space': { type: 'string', default: BLEND_SPACE.SRGB },
+                precision: { type: 'string', default: PRECISION.UINT8 },
+                dither: { type: 'boolean', default: false },
+                'out-dir': { type: 'string', short: 'o', default: 'processed' },
+                'dry-run': { type: 'boolean', short: 'n', default: false },
+                recursive: { type: 'boolean', short: 'r', default: false },
+                localize: { type: 'boolean', default: false },
+                at: { type: 'string' },
+                inpaint: { type: 'string', default: INPAINT_MODE.NONE },
+                format: { type: 'string', short: 'f', default: OUTPUT_FORMAT.SAME },
+                quality: { type: 'string', default: '92' },
+                strip: { type: 'string', default: '' },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        fail(e.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    if (positionals.length === 0) fail('no input files or folders given');
+
+    const intensity = values.intensity === INTENSITY_AUTO ? INTENSITY_AUTO : Number(values.intensity);
+    if (intensity !== INTENSITY_AUTO && !(intensity >= 0 && intensity <= 2)) {
+        fail(`invalid --intensity "${values.intensity}" (expected auto or 0-2)`);
+    }
+
+    let logoColor = null;
+    if (values['logo-color'] !== undefined) {
+        logoColor = values['logo-color'] === LOGO_COLOR_AUTO ? LOGO_COLOR_AUTO : parseColor(values['logo-color']);
+        if (!logoColor) fail(`invalid --logo-color "${values['logo-color']}" (expected auto, #rrggbb or r,g,b)`);
+    }
+
+    if (!Object.values(BLEND_SPACE).includes(values['blend-space'])) {
+        fail(`invalid --blend-space "${values['blend-space']}"`);
+    }
+
+    if (!Object.values(PRECISION).includes(values.precision)) fail(`invalid --precision "${values.precision}"`);
+
+    let placement = null;
+    if (values.at !== undefined) {
+        const [x, y, size, ...rest] = values.at.split(',').map(Number);
+        if (rest.length > 0 || !Number.isFinite(x) || !Number.isFinite(y) || !(size > 0)) {
+            fail(`invalid --at "${values.at}" (expected x,y,size)`);
+        }
+        placement = { x, y, size };
+    }
+
+    if (!Object.values(INPAINT_MODE).includes(values.inpaint)) {
+        fail(`invalid --inpaint "${values.inpaint}"`);
+    }
+
+    if (!CLI_FORMATS.includes(values.format)) fail(`invalid --format "${values.format}"`);
+
+    const quality = Number(values.quality);
+    if (!(quality >= 1 && quality <= 100)) fail(`invalid --quality "${values.quality}"`);
+
+    // Decoding here never rotates pixels, so the EXIF orientation stays valid
+    const metadata = { ...DEFAULT_METADATA_OPTIONS, resetOrientation: false };
+    for (const field of values.strip.split(',').map(f => f.trim()).filter(Boolean)) {
+        if (!Object.values(METADATA_FIELD).includes(field)) fail(`invalid --strip field "${field}"`);
+        metadata[field] = false;
+    }
+
+    return {
+        inputs: positionals,
+        size: values.size,
+        templates: values.template,
+        intensity,
+        logoColor,
+        blendSpace: values['blend-space'],
+        precision: values.precision,
+        dither: values.dither,
+        outDir: values['out-dir'],
+        dryRun: values['dry-run'],
+        recursive: values.recursive,
+        localize: values.localize,
+        placement,
+        inpaint: values.inpaint,
+        format: values.format,
+        quality,
+        metadata,
+        json: values.json
+    };
+}
+
+// 16-bit PNGs come back with float data on the engine's 0-255 scale
+function decode(buffer, format) {
+    if (format === OUTPUT_FORMAT.PNG) {
+        const sixteenBit = buffer[24] === 16; // IHDR bit depth
+        const png = PNG.sync.read(buffer, { skipRescale: sixteenBit });
+        if (sixteenBit) return { width: png.width, height: png.height, data: Float32Array.from(png.data, value => value / 257) };
+        return { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length) };
+    }
+    const raw = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width: raw.width, height: raw.height, data: new Uint8ClampedArray(raw.data.buffer, raw.data.byteOffset, raw.data.length) };
+}
+
+// Float images become 16-bit PNGs, or are quantized for JPEG
+function encode(image, format, quality, dither) {
+    const float = image.data instanceof Float32Array;
+    if (float && format === OUTPUT_FORMAT.PNG) {
+        const samples = Uint16Array.from(image.data, value => Math.round(Math.max(0, Math.min(255, value)) * 257));
+        return PNG.sync.write({ width: image.width, height: image.height, data: Buffer.from(samples.buffer) }, { bitDepth: 16 });
+    }
+
+    const pixels = float ? quantizeRegion(image, { dither }).data : image.data;
+    const data = Buffer.from(pixels.buffer, pixels.byteOffset, pixels.length);
+    if (format === OUTPUT_FORMAT.PNG) {
+        return PNG.sync.write({ width: image.width, height: image.height, data });
+    }
+    return jpeg.encode({ width: image.width, height: image.height, data }, quality).data;
+}
+
+// Map image of a template: a PNG data URL, or a path relative to `dir`
+function readMapPng(url, dir) {
+    const match = /^data:image\/png;base64,(.*)$/.exec(url);
+    const buffer = match ? Buffer.from(match[1], 'base64') : fs.readFileSync(path.resolve(dir, url));
+    return decode(buffer, OUTPUT_FORMAT.PNG);
+}
+
+// The built-in templates plus the ones given with --template
+function loadEngine(templateFiles) {
+    const engine = new WatermarkCore();
+    const templates = BUILTIN_TEMPLATES.map(template => ({
+        ...template,
+        alphaMap: engine.alphaMapFromRgba(readMapPng(template.alphaMapUrl, path.join(HERE, 'public')))
+    }));
+
+    for (const file of templateFiles) {
+        try {
+            const template = normalizeTemplate(JSON.parse(fs.readFileSync(file, 'utf8')));
+            if (templates.some(other => other.id === template.id)) throw new Error(`duplicate id "${template.id}"`);
+            const dir = path.dirname(file);
+            templates.push({
+                ...template,
+                alphaMap: template.alphaMap || engine.alphaMapFromRgba(readMapPng(template.alphaMapUrl, dir)),
+                ...(template.colorMapUrl && { colorMap: engine.colorMapFromRgba(readMapPng(template.colorMapUrl, dir)) })
+            });
+        } catch (e) {
+            fail(`invalid --template "${file}": ${e.message}`);
+        }
+    }
+
+    engine.setTemplates(templates);
+    return engine;
+}
+
+// Expand folders into { file, relative } entries for supported images
+function collectFiles(inputs, recursive) {
+    const files = [];
+
+    const walk = (dir, base) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive) walk(full, base);
+            } else if (EXTENSIONS[path.extname(entry.name).toLowerCase()]) {
+                files.push({ file: full, relative: path.relative(base, full) });
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) {
+            console.error(`Skipping missing input: ${input}`);
+            continue;
+        }
+        if (fs.statSync(input).isDirectory()) {
+            walk(input, input);
+        } else if (EXTENSIONS[path.extname(input).toLowerCase()]) {
+            files.push({ file: input, relative: path.basename(input) });
+        } else {
+            console.error(`Skipping unsupported file: ${input}`);
+        }
+    }
+    return files;
+}
+
+function describe(entry, result, outFile) {
+    const detection = result.detection;
+    return {
+        file: entry.file,
+        output: outFile,
+        applied: result.applied,
+        size: result.size,
+        confidence: detection ? Number(detection.confidence.toFixed(3)) : null,
+        transform: result.transform,
+        estimate: result.estimate,
+        blendSpace: result.blendSpace,
+        residuals: result.residuals,
+        inpainted: result.inpainted
+    };
+}
+
+function formatLine(info, dryRun) {
+    const status = info.applied ? (dryRun ? 'found' : 'cleaned') : 'skipped';
+    const parts = [`${status.padEnd(7)} ${info.file}`];
+    if (info.size) parts.push(`size=${info.size}`);
+    if (info.confidence !== null) parts.push(`confidence=${info.confidence}`);
+    if (info.estimate) parts.push(`intensity=${info.estimate.intensity} logo=${info.estimate.logoColor.join(',')}`);
+    if (info.residuals) {
+        const residuals = Object.entries(info.residuals).map(([space, value]) => `${space}:${value}`).join(',');
+        parts.push(`blend=${info.blendSpace} residual=${residuals}`);
+    }
+    if (info.output) parts.push(`-> ${info.output}`);
+    return parts.join('  ');
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const engine = loadEngine(options.templates);
+    if (options.size !== SIZE_MODE_AUTO && !engine.templates.some(template => template.id === options.size)) {
+        fail(`invalid --size "${options.size}"`);
+    }
+    const files = collectFiles(options.inputs, options.recursive);
+    if (files.length === 0) fail('no PNG/JPEG files found');
+
+    let failures = 0;
+    for (const entry of files) {
+        try {
+            const inputFormat = EXTENSIONS[path.extname(entry.file).toLowerCase()];
+            const source = fs.readFileSync(entry.file);
+            const image = decode(source, inputFormat);
+
+            // Dry runs still go through process() on the decoded copy so the
+            // report shows exactly what a real run would do
+            const result = engine.process(image, {
+                size: options.size,
+                intensity: options.intensity,
+                logoColor: options.logoColor,
+                blendSpace: options.blendSpace,
+                precision: options.precision,
+                dither: options.dither,
+                localize: options.localize,
+                inpaint: options.inpaint,
+                placement: options.placement
+            });
+
+            let outFile = null;
+            if (!options.dryRun && result.applied) {
+                const dir = path.join(options.outDir, path.dirname(entry.relative));
+                const format = options.format === OUTPUT_FORMAT.SAME ? inputFormat : options.format;
+                const name = path.basename(entry.relative);
+                outFile = path.join(dir, format === inputFormat ? `processed_${name}` : outputFilename(name, format));
+                fs.mkdirSync(dir, { recursive: true });
+                const encoded = await transferMetadata(new Blob([source]), new Blob([encode(image, format, options.quality, options.dither)]), options.metadata);
+                fs.writeFileSync(outFile, Buffer.from(await encoded.arrayBuffer()));
+            }
+
+            const info = describe(entry, result, outFile);
+            console.log(options.json ? JSON.stringify(info) : formatLine(info, options.dryRun));
+        } catch (e) {
+            failures++;
+            console.error(`Failed to process ${entry.file}: ${e.message}`);
+        }
+    }
+
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+await main();
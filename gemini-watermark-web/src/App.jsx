@@ -1,10 +1,150 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import './styles.css';
-import { WatermarkEngine, WATERMARK_SIZE } from './lib/watermark';
-import JSZip from 'jszip';
-
-const BG_SMALL_URL = `${import.meta.env.BASE_URL}bg_48.png`;
-const BG_LARGE_URL = `${import.meta.env.BASE_URL}bg_96.png`;
+import { WatermarkEngine, INPAINT_MODE, BLEND_SPACE, PRECISION, BUILTIN_TEMPLATES, normalizeTemplate, resolveTemplateUrls } from './lib/watermark';
+import { renderProcessedImage, encodeProcessedImage, exportMetadataOptions } from './lib/pipeline';
+import { WorkerPool } from './lib/workerPool';
+import { METADATA_FIELD, DEFAULT_METADATA_OPTIONS, decodeOptionsFor } from './lib/metadata';
+import {
+  OUTPUT_FORMAT,
+  FORMAT_INFO,
+  DEFAULT_OUTPUT,
+  resolveOutputFormat,
+  formatFromMime,
+  outputFilename,
+  getSupportedOutputFormats,
+  formatBytes
+} from './lib/outputFormat';
+import { DEFAULT_LOGO_PLACEMENT, DEFAULT_TEXT_OVERLAY } from './lib/overlay';
+import { SessionStore, toStoredImage, estimateStorage } from './lib/session';
+import { onLaunchedFiles } from './lib/pwa';
+import {
+  IMPORT_ERROR,
+  filesFromDataTransfer,
+  imagesFromClipboard,
+  imageUrlFromClipboard,
+  fetchImageFile
+} from './lib/imageSource';
+import { copyImageToClipboard } from './lib/clipboard';
+import { renderContactSheet, loadContactSheetEntries } from './lib/contactSheet';
+import ComparisonViewer from './components/ComparisonViewer';
+import PlacementEditor from './components/PlacementEditor';
+import LogoPlacementPanel from './components/LogoPlacementPanel';
+import TextOverlayPanel from './components/TextOverlayPanel';
+import BatchSaveDialog from './components/BatchSaveDialog';
+import CalibrationDialog from './components/CalibrationDialog';
+import FilenameSettingsFields from './components/FilenameSettingsFields';
+import LogoColorControl from './components/LogoColorControl';
+import { CONFLICT_POLICY } from './lib/batchSave';
+import { DEFAULT_FILENAME_SETTINGS } from './lib/filename';
+
+
+const fetchBlob = (url) => fetch(url).then(response => response.blob());
+
+const formatOffset = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+// Where a card's download comes from and what it is called. `index` and
+// `total` place it in the batch for the {index} token of the template.
+const getDownloadInfo = (img, template = DEFAULT_FILENAME_SETTINGS.template, { index = 0, total = 1 } = {}) => {
+  const type = img.processedUrl ? img.outputType : img.file.type;
+  const format = formatFromMime(type) || OUTPUT_FORMAT.PNG;
+  return {
+    url: img.processedUrl || img.originalUrl,
+    format,
+    filename: outputFilename(img.name, format, template, {
+      index,
+      total,
+      width: img.width,
+      height: img.height,
+      mode: img.placement ? 'manual' : img.sizeMode
+    })
+  };
+};
+
+const importErrorMessage = (err) => {
+  switch (err.reason) {
+    case IMPORT_ERROR.INVALID_URL: return '網址格式不正確，請輸入 http(s) 開頭的圖片網址';
+    case IMPORT_ERROR.HTTP: return `伺服器回應錯誤（${err.status}），請確認網址是否正確`;
+    case IMPORT_ERROR.NOT_IMAGE: return '這個網址不是圖片';
+    case IMPORT_ERROR.TIMEOUT: return '下載逾時，請稍後再試';
+    default: return '無法下載：網路無法連線，或該網站不允許跨網域讀取 (CORS)。請先下載圖片再上傳，或直接複製圖片後按 Ctrl+V 貼上';
+  }
+};
+
+const METADATA_LABELS = [
+  [METADATA_FIELD.EXIF, 'EXIF 拍攝資訊'],
+  [METADATA_FIELD.GPS, 'GPS 位置'],
+  [METADATA_FIELD.ICC, 'ICC 色彩描述檔'],
+  [METADATA_FIELD.XMP, 'XMP']
+];
+
+const BLEND_SPACE_LABELS = {
+  [BLEND_SPACE.SRGB]: 'sRGB',
+  [BLEND_SPACE.LINEAR]: '線性光'
+};
+
+// Logo left after removal per blend space tried, the one used (the
+// smallest) first
+const formatResiduals = (residuals) => Object.entries(residuals)
+  .sort(([, a], [, b]) => a - b)
+  .map(([space, value]) => `${BLEND_SPACE_LABELS[space]} ${value.toFixed(1)}`)
+  .join(' · ');
+
+// Process off the main thread when the browser can draw in workers
+const supportsWorkers = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+const createWatermarkWorker = () =>
+  new Worker(new URL('./lib/watermark.worker.js', import.meta.url), { type: 'module' });
+
+const DEFAULT_LOGO_OPACITY = 29;
+const DEFAULT_LOGO_SIZE = 200;
+
+// A fresh card for an uploaded (or restored) file, queued for processing.
+// `folder` is its path inside a dropped directory.
+const createImageObject = (file, id, name = file.name, folder = '') => ({
+  id,
+  file,
+  name,
+  folder,
+  originalUrl: URL.createObjectURL(file),
+  processedUrl: null,
+  outputType: null,
+  outputSize: null,
+  output: null, // null follows the global output settings
+  detection: null,
+  transform: null,
+  watermarkApplied: false,
+  width: null, // Output size, once processed
+  height: null,
+  sizeMode: 'auto',
+  intensity: 1.0,
+  intensityMode: 'auto',
+  logoValue: 255,
+  logoColorMode: 'template', // 'template' | 'auto' | 'manual'
+  logoColor: [255, 255, 255], // Last applied, or the manual pick
+  blendSpace: BLEND_SPACE.SRGB,
+  residuals: null, // Logo left after removal, by blend space tried
+  precision: PRECISION.UINT8,
+  dither: false,
+  localize: false,
+  inpaint: INPAINT_MODE.NONE,
+  placement: null, // null = automatic; { x, y, size } once placed by hand
+  processing: true,
+  progress: 0
+});
+
+// What the session store last saw of an image, to skip rewriting unchanged ones
+const storedImageKey = (record) => JSON.stringify([record.order, record.name, record.settings]);
+
+// Stored custom templates, skipping any that no longer validate or clash with a built-in id
+const restoreTemplates = (stored = []) => stored.flatMap(input => {
+  try {
+    const template = normalizeTemplate(input);
+    return BUILTIN_TEMPLATES.some(t => t.id === template.id) ? [] : [template];
+  } catch (err) {
+    console.warn('Skipping stored watermark template:', err);
+    return [];
+  }
+});
 
 function App() {
   const [engine, setEngine] = useState(null);
@@ -12,16 +152,55 @@ function App() {
   const [images, setImages] = useState([]); // Array of image objects
   const [isDragging, setIsDragging] = useState(false);
   const [customLogo, setCustomLogo] = useState(null);
-  const [logoOpacity, setLogoOpacity] = useState(29);
-  const [logoSize, setLogoSize] = useState(200);
+  const [logoOpacity, setLogoOpacity] = useState(DEFAULT_LOGO_OPACITY);
+  const [logoSize, setLogoSize] = useState(DEFAULT_LOGO_SIZE);
+  const [logoPlacement, setLogoPlacement] = useState(DEFAULT_LOGO_PLACEMENT);
+  const [textOverlay, setTextOverlay] = useState(DEFAULT_TEXT_OVERLAY);
+  const [metadataOptions, setMetadataOptions] = useState(DEFAULT_METADATA_OPTIONS);
+  const [outputSettings, setOutputSettings] = useState(DEFAULT_OUTPUT);
+  const [filenameSettings, setFilenameSettings] = useState(DEFAULT_FILENAME_SETTINGS);
+  const [customTemplates, setCustomTemplates] = useState([]); // Imported or calibrated watermark templates
+  const [supportedFormats, setSupportedFormats] = useState([OUTPUT_FORMAT.PNG, OUTPUT_FORMAT.JPEG]);
   const fileInputRef = useRef(null);
   const logoInputRef = useRef(null);
+  const poolRef = useRef(null);
+  const jobsRef = useRef(new Map()); // image id -> AbortController of its running job
+  const settingTimersRef = useRef(new Map()); // image id -> pending reprocess of a slider drag
+
+  // Every template the engine detects. Workers resolve URLs against their
+  // own script, so the alpha map URLs are made absolute.
+  const templates = useMemo(() => resolveTemplateUrls(
+    [...BUILTIN_TEMPLATES, ...customTemplates],
+    new URL(import.meta.env.BASE_URL, window.location.href)
+  ), [customTemplates]);
+
+  useEffect(() => {
+    if (!supportsWorkers) return;
+
+    const pool = new WorkerPool(createWatermarkWorker);
+    poolRef.current = pool;
+
+    return () => {
+      pool.terminate();
+      poolRef.current = null;
+    };
+  }, []);
 
+  // (Re)load the templates whenever the registry changes
   useEffect(() => {
+    if (poolRef.current) {
+      // Jobs queued after this message run with the new templates
+      poolRef.current.broadcast({ type: 'init', templates });
+      setIsReady(true);
+      return;
+    }
+
+    let cancelled = false;
     const initEngine = async () => {
       const we = new WatermarkEngine();
       try {
-        await we.init(BG_SMALL_URL, BG_LARGE_URL);
+        await we.init(templates);
+        if (cancelled) return;
         setEngine(we);
         setIsReady(true);
       } catch (err) {
@@ -29,6 +208,13 @@ function App() {
       }
     };
     initEngine();
+    return () => {
+      cancelled = true;
+    };
+  }, [templates]);
+
+  useEffect(() => {
+    getSupportedOutputFormats().then(setSupportedFormats);
   }, []);
 
   // Load logo image for overlay
@@ -51,6 +237,17 @@ function App() {
     });
   }, [customLogo]);
 
+  // Logo as a Blob for the workers (they can't read blob: URLs through <img>)
+  const logoBlobRef = useRef({ url: null, blob: null });
+  const loadLogoBlob = useCallback(async () => {
+    if (!customLogo) return null;
+    if (logoBlobRef.current.url !== customLogo) {
+      const response = await fetch(customLogo);
+      logoBlobRef.current = { url: customLogo, blob: await response.blob() };
+    }
+    return logoBlobRef.current.blob;
+  }, [customLogo]);
+
   // Load an image and return a promise
   const loadImage = (url) => {
     return new Promise((resolve, reject) => {
@@ -66,79 +263,199 @@ function App() {
     });
   };
 
-  const processImage = useCallback(async (imageObj) => {
-    if (!engine || !isReady) return imageObj;
+  // Rejects with an AbortError when the job is cancelled
+  const processImage = useCallback(async (imageObj, { signal, onProgress } = {}) => {
+    if (!isReady) return imageObj;
+
+    const settings = {
+      sizeMode: imageObj.sizeMode,
+      intensity: imageObj.intensity,
+      intensityMode: imageObj.intensityMode,
+      logoValue: imageObj.logoValue,
+      logoColorMode: imageObj.logoColorMode,
+      logoColor: imageObj.logoColor,
+      blendSpace: imageObj.blendSpace,
+      precision: imageObj.precision,
+      dither: imageObj.dither,
+      localize: imageObj.localize,
+      inpaint: imageObj.inpaint,
+      placement: imageObj.placement,
+      logoOpacity,
+      logoSize,
+      logoPlacement,
+      textOverlay,
+      fileName: imageObj.name,
+      metadata: metadataOptions,
+      output: imageObj.output || outputSettings
+    };
 
     try {
-      // Load both images in parallel - this avoids the race condition
-      const [img, logoImg] = await Promise.all([
-        loadImage(imageObj.originalUrl),
-        loadLogoImage()
-      ]);
-
-      const canvas = document.createElement('canvas');
-      canvas.width = img.width;
-      canvas.height = img.height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0);
-
-      const forceSize = imageObj.sizeMode === 'auto'
-        ? null
-        : (imageObj.sizeMode === 'small' ? WATERMARK_SIZE.SMALL : WATERMARK_SIZE.LARGE);
-      engine.process(canvas, forceSize, imageObj.intensity);
-
-      // Add custom logo overlay if exists
-      if (logoImg) {
-        const opacity = logoOpacity / 100;
-        const scale = logoSize / 100;
-        const logoWidth = logoImg.width * scale;
-        const logoHeight = logoImg.height * scale;
-
-        // Position: bottom-right corner with margin
-        const margin = 20;
-        const x = canvas.width - logoWidth - margin;
-        const y = canvas.height - logoHeight - margin;
-
-        ctx.globalAlpha = opacity;
-        ctx.drawImage(logoImg, x, y, logoWidth, logoHeight);
-        ctx.globalAlpha = 1.0;
+      let blob;
+      let result;
+
+      if (poolRef.current) {
+        const logo = await loadLogoBlob();
+        ({ blob, result } = await poolRef.current.run(
+          { type: 'process', file: imageObj.file, logo, settings },
+          { signal, onProgress }
+        ));
+      } else {
+        // Main-thread fallback: load both images in parallel - this avoids the race condition.
+        // Without createImageBitmap the <img> pixels are already converted to
+        // sRGB, so the source ICC profile no longer applies.
+        const canDecodeRaw = typeof createImageBitmap !== 'undefined';
+        const exportSettings = canDecodeRaw ? settings : {
+          ...settings,
+          metadata: { ...settings.metadata, [METADATA_FIELD.ICC]: false }
+        };
+        const [img, logoImg] = await Promise.all([
+          canDecodeRaw
+            ? createImageBitmap(imageObj.file, decodeOptionsFor(exportMetadataOptions(exportSettings, imageObj.file)))
+            : loadImage(imageObj.originalUrl),
+          loadLogoImage()
+        ]);
+        if (signal?.aborted) throw new DOMException('Job cancelled', 'AbortError');
+
+        const canvas = document.createElement('canvas');
+        result = renderProcessedImage(engine, canvas, img, logoImg, settings);
+        blob = await encodeProcessedImage(canvas, imageObj.file, exportSettings);
       }
 
-      const outputUrl = canvas.toDataURL('image/png');
-      return { ...imageObj, processedUrl: outputUrl, processing: false };
+      return {
+        ...imageObj,
+        ...result,
+        processedUrl: URL.createObjectURL(blob),
+        outputType: blob.type,
+        outputSize: blob.size,
+        processing: false,
+        progress: 1
+      };
     } catch (e) {
+      if (e.name === 'AbortError') throw e;
       console.error('Image processing error:', e);
       return { ...imageObj, processing: false };
     }
-  }, [engine, isReady, loadLogoImage, logoOpacity, logoSize]);
-
-  const handleFiles = useCallback(async (files) => {
-    const newImages = Array.from(files)
-      .filter(f => f.type.startsWith('image/'))
-      .map((file, idx) => ({
-        id: Date.now() + idx,
-        file,
-        name: file.name,
-        originalUrl: URL.createObjectURL(file),
-        processedUrl: null,
-        sizeMode: 'auto',
-        intensity: 1.0,
-        processing: true
-      }));
+  }, [engine, isReady, loadLogoImage, loadLogoBlob, logoOpacity, logoSize, logoPlacement, textOverlay, metadataOptions, outputSettings]);
 
-    setImages(prev => [...prev, ...newImages]);
+  // Start (or restart) processing one image. A newer job for the same image
+  // cancels the older one, so mid-batch setting changes never apply stale results.
+  const runImageJob = useCallback(async (imageObj) => {
+    jobsRef.current.get(imageObj.id)?.abort();
+    const controller = new AbortController();
+    jobsRef.current.set(imageObj.id, controller);
 
-    // Process each image
-    for (const img of newImages) {
-      const processed = await processImage(img);
-      setImages(prev => prev.map(i => i.id === img.id ? processed : i));
+    try {
+      const processed = await processImage(imageObj, {
+        signal: controller.signal,
+        onProgress: ({ progress }) => {
+          setImages(prev => prev.map(i => i.id === imageObj.id ? { ...i, progress } : i));
+        }
+      });
+
+      setImages(prev => {
+        const current = prev.find(i => i.id === imageObj.id);
+        if (!current) {
+          // Removed while processing
+          if (processed.processedUrl) URL.revokeObjectURL(processed.processedUrl);
+          return prev;
+        }
+        if (current.processedUrl && current.processedUrl !== processed.processedUrl) {
+          URL.revokeObjectURL(current.processedUrl);
+        }
+        return prev.map(i => i.id === imageObj.id ? processed : i);
+      });
+    } catch (e) {
+      if (e.name !== 'AbortError') console.error('Image processing error:', e);
+    } finally {
+      if (jobsRef.current.get(imageObj.id) === controller) {
+        jobsRef.current.delete(imageObj.id);
+      }
     }
   }, [processImage]);
 
+  // `entries` are { file, folder } as read from a drop
+  const addImages = useCallback((entries) => {
+    const newImages = entries
+      .filter(({ file }) => file.type.startsWith('image/'))
+      .map(({ file, folder }, idx) => createImageObject(file, Date.now() + idx, file.name, folder));
+
+    setImages(prev => [...prev, ...newImages]);
+
+    // Queue every image; the worker pool runs several in parallel
+    newImages.forEach(runImageJob);
+  }, [runImageJob]);
+
+  const handleFiles = useCallback((files) => {
+    addImages(Array.from(files, file => ({ file, folder: '' })));
+  }, [addImages]);
+
+  // Images the installed app was opened with or shared to, once they can be processed
+  useEffect(() => {
+    if (!isReady) return;
+    return onLaunchedFiles(handleFiles);
+  }, [isReady, handleFiles]);
+
+  // Import from URL; a newer import cancels the one still downloading
+  const [importUrl, setImportUrl] = useState('');
+  const [importState, setImportState] = useState({ loading: false, error: null });
+  const importRef = useRef(null);
+
+  const importFromUrl = useCallback(async (url) => {
+    importRef.current?.abort();
+    const controller = new AbortController();
+    importRef.current = controller;
+    setImportState({ loading: true, error: null });
+
+    try {
+      const file = await fetchImageFile(url, { signal: controller.signal });
+      handleFiles([file]);
+      setImportUrl('');
+      setImportState({ loading: false, error: null });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Image import failed:', err);
+      setImportState({ loading: false, error: importErrorMessage(err) });
+    } finally {
+      if (importRef.current === controller) importRef.current = null;
+    }
+  }, [handleFiles]);
+
+  useEffect(() => () => importRef.current?.abort(), []);
+
+  const handleImportSubmit = (e) => {
+    e.preventDefault();
+    if (importUrl.trim()) importFromUrl(importUrl);
+  };
+
+  // Paste anywhere: image data goes straight into the batch, a copied image
+  // address is imported like a URL (unless the paste is text into a field)
+  useEffect(() => {
+    const onPaste = (e) => {
+      const files = imagesFromClipboard(e.clipboardData);
+      if (files.length > 0) {
+        e.preventDefault();
+        handleFiles(files);
+        return;
+      }
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      const url = imageUrlFromClipboard(e.clipboardData);
+      if (url) {
+        e.preventDefault();
+        setImportUrl(url);
+        importFromUrl(url);
+      }
+    };
+    window.addEventListener('paste', onPaste);
+    return () => window.removeEventListener('paste', onPaste);
+  }, [handleFiles, importFromUrl]);
+
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
-    handleFiles(e.dataTransfer.files);
+    filesFromDataTransfer(e.dataTransfer).then(addImages, (err) => {
+      console.error('Reading the dropped files failed:', err);
+    });
   };
 
   const handleDragOver = (e) => {
@@ -166,6 +483,31 @@ function App() {
     setCustomLogo(null);
   };
 
+  // The global quality only matters when an export that follows it comes out
+  // lossy; for "same as original" that depends on the sources in the batch
+  const globalQualityApplies = outputSettings.format === OUTPUT_FORMAT.SAME
+    ? images.length === 0 || images.some(img =>
+      !img.output && FORMAT_INFO[resolveOutputFormat(OUTPUT_FORMAT.SAME, img.file.type)].lossy)
+    : FORMAT_INFO[outputSettings.format].lossy;
+
+  const formatOptions = [OUTPUT_FORMAT.SAME, ...supportedFormats].map(format => (
+    <option key={format} value={format}>
+      {format === OUTPUT_FORMAT.SAME ? '同原檔格式' : FORMAT_INFO[format].label}
+    </option>
+  ));
+
+  // Per-image override; null goes back to the global output settings
+  const setImageOutput = (img, format) => {
+    updateImageSetting(img.id, 'output', format === 'global' ? null : {
+      format,
+      quality: img.output?.quality ?? outputSettings.quality
+    });
+  };
+
+  const toggleMetadataField = (field) => {
+    setMetadataOptions(prev => ({ ...prev, [field]: !prev[field] }));
+  };
+
   // Use ref to track images for reprocessing to avoid stale closure
   const imagesRef = useRef([]);
   useEffect(() => {
@@ -173,19 +515,16 @@ function App() {
   }, [images]);
 
   // Reprocess all images when logo settings change
-  const reprocessAllImages = useCallback(async () => {
+  const reprocessAllImages = useCallback(() => {
     const currentImages = imagesRef.current;
     if (currentImages.length === 0) return;
 
     // Mark all as processing
-    setImages(prev => prev.map(img => ({ ...img, processing: true })));
+    setImages(prev => prev.map(img => ({ ...img, processing: true, progress: 0 })));
 
-    // Reprocess each image
-    for (const img of currentImages) {
-      const processed = await processImage(img);
-      setImages(prev => prev.map(i => i.id === img.id ? processed : i));
-    }
-  }, [processImage]);
+    // Restarting each job cancels whatever is still running for it
+    currentImages.forEach(runImageJob);
+  }, [runImageJob]);
 
   // Debounce timer for slider changes
   const reprocessTimerRef = useRef(null);
@@ -209,7 +548,166 @@ function App() {
         clearTimeout(reprocessTimerRef.current);
       }
     };
-  }, [customLogo, logoOpacity, logoSize, reprocessAllImages]);
+  }, [customLogo, logoOpacity, logoSize, logoPlacement, textOverlay, metadataOptions, outputSettings, templates, reprocessAllImages]);
+
+  // Session persistence: the batch and settings live in IndexedDB so a
+  // refresh doesn't lose them. Nothing is written until the saved session
+  // has been restored, and without IndexedDB the app simply doesn't persist.
+  const [session, setSession] = useState(null);
+  const [pendingRestore, setPendingRestore] = useState(null); // Stored images waiting for the engine
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const [sessionError, setSessionError] = useState(null);
+  const storedImagesRef = useRef(new Map()); // image id -> storedImageKey
+
+  const refreshStorageEstimate = useCallback(() => {
+    estimateStorage().then(setStorageEstimate).catch(() => setStorageEstimate(null));
+  }, []);
+
+  const reportSessionError = useCallback((err) => {
+    console.error('Session save failed:', err);
+    setSessionError(err?.name === 'QuotaExceededError'
+      ? '儲存空間不足，部分圖片未保存'
+      : '工作階段保存失敗');
+  }, []);
+
+  useEffect(() => {
+    const store = new SessionStore();
+    let cancelled = false;
+
+    const restore = async () => {
+      try {
+        await store.open();
+        const [settings, records] = await Promise.all([store.loadSettings(), store.loadImages()]);
+        if (cancelled) return;
+
+        if (settings) {
+          setLogoOpacity(settings.logoOpacity ?? DEFAULT_LOGO_OPACITY);
+          setLogoSize(settings.logoSize ?? DEFAULT_LOGO_SIZE);
+          setLogoPlacement({ ...DEFAULT_LOGO_PLACEMENT, ...settings.logoPlacement });
+          setTextOverlay({ ...DEFAULT_TEXT_OVERLAY, ...settings.textOverlay });
+          setMetadataOptions({ ...DEFAULT_METADATA_OPTIONS, ...settings.metadataOptions });
+          setOutputSettings({ ...DEFAULT_OUTPUT, ...settings.outputSettings });
+          setFilenameSettings({ ...DEFAULT_FILENAME_SETTINGS, ...settings.filenameSettings });
+          setCustomTemplates(restoreTemplates(settings.customTemplates));
+          if (settings.logo) setCustomLogo(URL.createObjectURL(settings.logo));
+        }
+        setPendingRestore(records);
+        setSession(store);
+        refreshStorageEstimate();
+      } catch (err) {
+        console.warn('Session persistence unavailable:', err);
+      }
+    };
+    restore();
+
+    return () => {
+      cancelled = true;
+      store.close();
+    };
+  }, [refreshStorageEstimate]);
+
+  // Bring the stored images back once there is something to process them with
+  useEffect(() => {
+    if (!isReady || !pendingRestore) return;
+
+    const restored = pendingRestore.map(record => ({
+      ...createImageObject(record.file, record.id, record.name, record.folder),
+      ...record.settings
+    }));
+    pendingRestore.forEach(record => storedImagesRef.current.set(record.id, storedImageKey(record)));
+    setPendingRestore(null);
+    setImages(prev => [...restored, ...prev]);
+    restored.forEach(runImageJob);
+  }, [isReady, pendingRestore, runImageJob]);
+
+  // Write new and changed images, delete removed ones
+  useEffect(() => {
+    if (!session || pendingRestore) return;
+
+    const stored = storedImagesRef.current;
+    const changed = [];
+    images.forEach((img, order) => {
+      const record = toStoredImage(img, order);
+      const key = storedImageKey(record);
+      if (stored.get(img.id) !== key) {
+        stored.set(img.id, key);
+        changed.push(record);
+      }
+    });
+    const current = new Set(images.map(img => img.id));
+    const removed = [...stored.keys()].filter(id => !current.has(id));
+    removed.forEach(id => stored.delete(id));
+
+    if (changed.length === 0 && removed.length === 0) return;
+    Promise.all([
+      changed.length > 0 && session.saveImages(changed),
+      removed.length > 0 && session.deleteImages(removed)
+    ])
+      .then(() => setSessionError(null), (err) => {
+        // Forget what failed so the next change retries it
+        changed.forEach(record => stored.delete(record.id));
+        reportSessionError(err);
+      })
+      .finally(refreshStorageEstimate);
+  }, [images, session, pendingRestore, refreshStorageEstimate, reportSessionError]);
+
+  // Write the global settings, debounced like reprocessing for slider drags
+  useEffect(() => {
+    if (!session || pendingRestore) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        await session.saveSettings({
+          logoOpacity,
+          logoSize,
+          logoPlacement,
+          textOverlay,
+          metadataOptions,
+          outputSettings,
+          filenameSettings,
+          customTemplates,
+          logo: await loadLogoBlob()
+        });
+        refreshStorageEstimate();
+      } catch (err) {
+        reportSessionError(err);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [session, pendingRestore, loadLogoBlob, logoOpacity, logoSize, logoPlacement, textOverlay, metadataOptions, outputSettings, filenameSettings, customTemplates, refreshStorageEstimate, reportSessionError]);
+
+  // Start over: drop every image and reset the settings, stored and in memory
+  const clearSession = async () => {
+    if (!window.confirm('確定要清除工作階段嗎？所有圖片與設定都會被移除。')) return;
+
+    for (const controller of jobsRef.current.values()) controller.abort();
+    jobsRef.current.clear();
+    settingTimersRef.current.forEach(clearTimeout);
+    settingTimersRef.current.clear();
+    images.forEach(img => {
+      URL.revokeObjectURL(img.originalUrl);
+      if (img.processedUrl) URL.revokeObjectURL(img.processedUrl);
+    });
+    storedImagesRef.current.clear();
+    setImages([]);
+    setCustomLogo(null);
+    setLogoOpacity(DEFAULT_LOGO_OPACITY);
+    setLogoSize(DEFAULT_LOGO_SIZE);
+    setLogoPlacement(DEFAULT_LOGO_PLACEMENT);
+    setTextOverlay(DEFAULT_TEXT_OVERLAY);
+    setMetadataOptions(DEFAULT_METADATA_OPTIONS);
+    setOutputSettings(DEFAULT_OUTPUT);
+    setFilenameSettings(DEFAULT_FILENAME_SETTINGS);
+    setCustomTemplates([]);
+    setSessionError(null);
+
+    try {
+      await session?.clear();
+    } catch (err) {
+      console.error('Session clear failed:', err);
+    }
+    refreshStorageEstimate();
+  };
 
   // Convert data URL to Blob for proper download handling
   const dataURLtoBlob = (dataURL) => {
@@ -224,23 +722,49 @@ function App() {
     return new Blob([u8arr], { type: mime });
   };
 
-  const updateImageSetting = async (id, key, value) => {
+  const updateImageSetting = (id, key, value) => updateImageSettings(id, { [key]: value });
+
+  const updateImageSettings = (id, changes, { debounce = false } = {}) => {
     setImages(prev => prev.map(img =>
-      img.id === id ? { ...img, [key]: value, processing: true } : img
+      img.id === id ? { ...img, ...changes, processing: true, progress: 0 } : img
     ));
 
+    clearTimeout(settingTimersRef.current.get(id));
+    settingTimersRef.current.delete(id);
     const targetImg = images.find(img => img.id === id);
-    if (targetImg) {
-      const updated = { ...targetImg, [key]: value };
-      const processed = await processImage(updated);
-      setImages(prev => prev.map(i => i.id === id ? processed : i));
+    if (!targetImg) return;
+
+    if (!debounce) {
+      runImageJob({ ...targetImg, ...changes });
+      return;
     }
+    settingTimersRef.current.set(id, setTimeout(() => {
+      settingTimersRef.current.delete(id);
+      const latest = imagesRef.current.find(img => img.id === id);
+      if (latest) runImageJob(latest);
+    }, 300));
   };
 
   const removeImage = (id) => {
+    clearTimeout(settingTimersRef.current.get(id));
+    settingTimersRef.current.delete(id);
+    jobsRef.current.get(id)?.abort();
+    jobsRef.current.delete(id);
+
+    const target = images.find(img => img.id === id);
+    if (target) {
+      URL.revokeObjectURL(target.originalUrl);
+      if (target.processedUrl) URL.revokeObjectURL(target.processedUrl);
+    }
     setImages(prev => prev.filter(img => img.id !== id));
   };
 
+  // Download info named by the filename template, numbered by batch position
+  const downloadInfo = (img) => getDownloadInfo(img, filenameSettings.template, {
+    index: Math.max(0, images.findIndex(i => i.id === img.id)),
+    total: images.length
+  });
+
   // Manual Save Mode relying on user interaction
   // This bypasses the managed explorer renaming issues
   const [saveModalImg, setSaveModalImg] = useState(null);
@@ -256,14 +780,12 @@ function App() {
   // NEW: Use File System Access API for direct file saving
   // This bypasses the browser download manager and IT policy restrictions
   const downloadImage = async (img) => {
-    const url = img.processedUrl || img.originalUrl;
+    const { url, format, filename } = downloadInfo(img);
     if (!url) {
       console.error('No URL available for download');
       return;
     }
-
-    const baseName = img.name.replace(/\.[^/.]+$/, '');
-    const filename = `processed_${baseName}.png`;
+    const { mime, extension, label } = FORMAT_INFO[format];
 
     try {
       // Check if File System Access API is available (Chrome 86+, Edge 86+)
@@ -272,8 +794,8 @@ function App() {
         const handle = await window.showSaveFilePicker({
           suggestedName: filename,
           types: [{
-            description: 'PNG 圖片',
-            accept: { 'image/png': ['.png'] }
+            description: `${label} 圖片`,
+            accept: { [mime]: [`.${extension}`] }
           }]
         });
 
@@ -311,89 +833,99 @@ function App() {
     }
   };
 
-  const downloadAll = async () => {
-    if (images.length === 0) return;
-
-    try {
-      // Create ZIP file with all processed images
-      const zip = new JSZip();
-
-      for (const img of images) {
-        const baseName = img.name.replace(/\.[^/.]+$/, '');
-        const filename = `processed_${baseName}.png`;
-
-        const url = img.processedUrl || img.originalUrl;
-        let blob;
-        if (url.startsWith('data:')) {
-          blob = dataURLtoBlob(url);
-        } else {
-          const response = await fetch(url);
-          blob = await response.blob();
-        }
+  // Batch save: into a picked folder where supported, else a ZIP. The
+  // conflict choice is kept for the next batch.
+  const [batchSaveOpen, setBatchSaveOpen] = useState(false);
+  const [batchConflict, setBatchConflict] = useState(CONFLICT_POLICY.RENAME);
+  const closeBatchSave = useCallback(() => setBatchSaveOpen(false), []);
 
-        zip.file(filename, blob);
-      }
-
-      // Generate the ZIP blob
-      const zipBlob = await zip.generateAsync({ type: 'blob' });
+  const downloadAll = () => {
+    if (images.length > 0) setBatchSaveOpen(true);
+  };
 
-      // Download the ZIP using File System Access API
-      if ('showSaveFilePicker' in window) {
-        const handle = await window.showSaveFilePicker({
-          suggestedName: 'processed_images.zip',
-          types: [{
-            description: 'ZIP 壓縮檔',
-            accept: { 'application/zip': ['.zip'] }
-          }]
-        });
+  // Clipboard copies: one card's image, or the whole batch as one contact
+  // sheet. The image is passed as a promise so the write starts during the click.
+  const [copiedId, setCopiedId] = useState(null); // Image id or 'sheet', for the brief ✓
+  const [copyingSheet, setCopyingSheet] = useState(false);
 
-        const writable = await handle.createWritable();
-        await writable.write(zipBlob);
-        await writable.close();
+  const flashCopied = (id) => {
+    setCopiedId(id);
+    setTimeout(() => setCopiedId(current => (current === id ? null : current)), 1500);
+  };
 
-        alert(`已成功儲存 ${images.length} 張圖片到 ZIP 檔案！`);
-      } else {
-        // Fallback for browsers without File System Access API
-        const url = URL.createObjectURL(zipBlob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'processed_images.zip';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }
+  const copyImage = async (img) => {
+    try {
+      await copyImageToClipboard(fetchBlob(getDownloadInfo(img).url), { alt: img.name });
+      return true;
     } catch (err) {
-      if (err.name === 'AbortError') return;
-      console.error('ZIP creation failed:', err);
-      alert('批次下載失敗：' + err.message);
+      console.error('Copy failed', err);
+      alert('複製失敗，請確認瀏覽器權限。');
+      return false;
     }
   };
 
-  // Preview image in a new window
-  const previewImage = (img) => {
-    const url = img.processedUrl || img.originalUrl;
-    if (!url) return;
+  const copyContactSheet = async () => {
+    if (images.length === 0) return;
+    setCopyingSheet(true);
+
+    const sheet = (async () => {
+      // Processed images know their size; originals still being processed are measured
+      const entries = await loadContactSheetEntries(images.map(img => ({
+        getBlob: () => fetchBlob(getDownloadInfo(img).url),
+        name: img.name,
+        width: img.processedUrl ? img.width : null,
+        height: img.processedUrl ? img.height : null
+      })));
+      try {
+        return await renderContactSheet(entries);
+      } finally {
+        entries.forEach(entry => entry.image.close());
+      }
+    })();
 
     try {
-      // Convert data URL to Blob for preview
-      if (url.startsWith('data:')) {
-        const blob = dataURLtoBlob(url);
-        const blobUrl = URL.createObjectURL(blob);
-        window.open(blobUrl, '_blank');
-      } else {
-        window.open(url, '_blank');
-      }
-    } catch (error) {
-      console.error('Preview failed:', error);
-      // Fallback: create an image in new tab
-      const newWindow = window.open('', '_blank');
-      if (newWindow) {
-        newWindow.document.write(`<html><head><title>Preview</title></head><body style="margin:0;background:#000;display:flex;justify-content:center;align-items:center;min-height:100vh;"><img src="${url}" style="max-width:100%;max-height:100vh;"/></body></html>`);
-      }
+      await copyImageToClipboard(sheet, { alt: `${images.length} 張圖片總覽` });
+      flashCopied('sheet');
+    } catch (err) {
+      console.error('Contact sheet copy failed', err);
+      alert('總覽圖複製失敗：' + err.message);
+    } finally {
+      setCopyingSheet(false);
     }
   };
 
+  // Full-screen before/after viewer, tracked by id so it survives reordering
+  const [viewerImageId, setViewerImageId] = useState(null);
+  const viewerIndex = images.findIndex(img => img.id === viewerImageId);
+  const closeViewer = useCallback(() => setViewerImageId(null), []);
+  const navigateViewer = useCallback((index) => {
+    const target = imagesRef.current[index];
+    if (target) setViewerImageId(target.id);
+  }, []);
+
+  // Managing the watermark templates and deriving new ones from sample images
+  const [calibrationOpen, setCalibrationOpen] = useState(false);
+  const closeCalibration = useCallback(() => setCalibrationOpen(false), []);
+
+  // A template with an existing custom id replaces it; built-in ids are reserved
+  const addTemplate = useCallback((template) => {
+    if (BUILTIN_TEMPLATES.some(t => t.id === template.id)) {
+      throw new Error(`「${template.id}」是內建範本的 ID`);
+    }
+    setCustomTemplates(prev => [...prev.filter(t => t.id !== template.id), template]);
+  }, []);
+
+  // Images forced to the removed template go back to auto detection
+  const removeTemplate = useCallback((id) => {
+    setCustomTemplates(prev => prev.filter(t => t.id !== id));
+    setImages(prev => prev.map(img => (img.sizeMode === id ? { ...img, sizeMode: 'auto' } : img)));
+  }, []);
+
+  // Manual watermark placement, saved on the image so reprocessing keeps it
+  const [placementImageId, setPlacementImageId] = useState(null);
+  const placementImage = images.find(img => img.id === placementImageId);
+  const closePlacementEditor = useCallback(() => setPlacementImageId(null), []);
+
   return (
     <div className="app">
       {/* Header Title */}
@@ -402,17 +934,67 @@ function App() {
           <span className="title-gemini">Gemini</span>
           <span className="title-text">浮水印去除器</span>
         </h1>
-        {images.length > 0 && (
-          <button className="download-all-btn" onClick={downloadAll}>
+        <div className="header-actions">
+          <button
+            className="download-all-btn secondary"
+            onClick={() => setCalibrationOpen(true)}
+            title="管理浮水印範本，或從樣本圖片推算新範本"
+          >
             <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
-              <path d="M12 4v12M8 12l4 4 4-4M4 18h16" />
+              <circle cx="12" cy="12" r="3"></circle>
+              <path d="M12 2v4M12 18v4M2 12h4M18 12h4" />
             </svg>
-            全部下載
+            浮水印範本
           </button>
-        )}
+          {images.length > 0 && (
+            <>
+              <button
+                className="download-all-btn secondary"
+                onClick={copyContactSheet}
+                disabled={copyingSheet}
+                title="把所有圖片排成一張總覽圖並複製到剪貼簿"
+              >
+                <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
+                  <rect x="3" y="3" width="7" height="7"></rect>
+                  <rect x="14" y="3" width="7" height="7"></rect>
+                  <rect x="3" y="14" width="7" height="7"></rect>
+                  <rect x="14" y="14" width="7" height="7"></rect>
+                </svg>
+                {copyingSheet ? '產生中…' : copiedId === 'sheet' ? '已複製 ✓' : '複製總覽圖'}
+              </button>
+              <button className="download-all-btn" onClick={downloadAll}>
+                <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 4v12M8 12l4 4 4-4M4 18h16" />
+                </svg>
+                全部下載
+              </button>
+            </>
+          )}
+        </div>
       </header>
 
       <main className="main-content">
+        {/* Session Bar */}
+        {session && (
+          <div className="session-bar">
+            <span className="session-status">
+              工作階段已自動保存 · {images.length} 張圖片
+              {storageEstimate && ` · 已使用 ${formatBytes(storageEstimate.usage)}`}
+              {storageEstimate?.quota > 0 && ` / ${formatBytes(storageEstimate.quota)}`}
+            </span>
+            {storageEstimate?.quota > 0 && (
+              <div className="session-quota" title="瀏覽器儲存空間使用量">
+                <div
+                  className="session-quota-bar"
+                  style={{ width: `${Math.min(100, (storageEstimate.usage / storageEstimate.quota) * 100)}%` }}
+                ></div>
+              </div>
+            )}
+            {sessionError && <span className="session-error">{sessionError}</span>}
+            <button className="intensity-reset-btn" onClick={clearSession}>清除工作階段</button>
+          </div>
+        )}
+
         {/* Custom Logo Section */}
         <section className="logo-section">
           <div className="logo-header">
@@ -473,8 +1055,113 @@ function App() {
               </div>
             </div>
           </div>
+
+          {customLogo && (
+            <LogoPlacementPanel
+              placement={logoPlacement}
+              onChange={setLogoPlacement}
+              logoUrl={customLogo}
+              previewUrl={images[0]?.originalUrl}
+              opacity={logoOpacity / 100}
+              scale={logoSize / 100}
+            />
+          )}
+        </section>
+
+        {/* Text Watermark Section */}
+        <section className="logo-section">
+          <div className="logo-header">
+            <span className="logo-indicator text-indicator"></span>
+            <span className="logo-title">文字浮水印（選填）</span>
+            <label className="card-option">
+              <input
+                type="checkbox"
+                checked={textOverlay.enabled}
+                onChange={(e) => setTextOverlay(prev => ({ ...prev, enabled: e.target.checked }))}
+              />
+              啟用
+            </label>
+          </div>
+          {textOverlay.enabled && (
+            <TextOverlayPanel
+              overlay={textOverlay}
+              onChange={setTextOverlay}
+              previewUrl={images[0]?.originalUrl}
+              previewName={images[0]?.name}
+            />
+          )}
         </section>
 
+        {/* Export Settings Section */}
+        <section className="logo-section export-section">
+          <div className="logo-header">
+            <span className="logo-indicator export-indicator"></span>
+            <span className="logo-title">匯出設定</span>
+          </div>
+          <div className="export-controls">
+            <div className="slider-group">
+              <label>格式:</label>
+              <select
+                className="export-format-select"
+                value={outputSettings.format}
+                onChange={(e) => setOutputSettings(prev => ({ ...prev, format: e.target.value }))}
+              >
+                {formatOptions}
+              </select>
+            </div>
+            {globalQualityApplies && (
+              <div className="slider-group">
+                <label>品質:</label>
+                <input
+                  type="range"
+                  min="1"
+                  max="100"
+                  value={outputSettings.quality}
+                  onChange={(e) => setOutputSettings(prev => ({ ...prev, quality: Number(e.target.value) }))}
+                />
+                <span>{outputSettings.quality}</span>
+              </div>
+            )}
+          </div>
+          <FilenameSettingsFields
+            settings={filenameSettings}
+            onChange={setFilenameSettings}
+            preview={images[0] && downloadInfo(images[0]).filename}
+          />
+          <div className="metadata-options">
+            <span className="metadata-title">保留中繼資料:</span>
+            {METADATA_LABELS.map(([field, label]) => (
+              <label key={field} className="card-option">
+                <input
+                  type="checkbox"
+                  checked={metadataOptions[field]}
+                  disabled={field === METADATA_FIELD.GPS && !metadataOptions[METADATA_FIELD.EXIF]}
+                  onChange={() => toggleMetadataField(field)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </section>
+
+        {/* Import from URL */}
+        <form className="url-import" onSubmit={handleImportSubmit} noValidate>
+          <input
+            type="url"
+            className="url-import-input"
+            placeholder="貼上圖片網址，例如 https://example.com/image.png"
+            value={importUrl}
+            onChange={(e) => {
+              setImportUrl(e.target.value);
+              if (importState.error) setImportState({ loading: false, error: null });
+            }}
+          />
+          <button type="submit" className="url-import-btn" disabled={importState.loading || !importUrl.trim()}>
+            {importState.loading ? '匯入中…' : '從網址匯入'}
+          </button>
+          {importState.error && <div className="url-import-error" role="alert">{importState.error}</div>}
+        </form>
+
         {/* Upload / Image Grid Area */}
         <section
           className={`image-grid-container ${isDragging ? 'dragging' : ''}`}
@@ -497,7 +1184,7 @@ function App() {
               <svg viewBox="0 0 24 24" width="48" height="48" fill="none" stroke="currentColor" strokeWidth="1.5">
                 <path d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M12 4v12M8 8l4-4 4 4" />
               </svg>
-              <p>拖放圖片至此或點擊上傳</p>
+              <p>拖放圖片至此、點擊上傳，或按 Ctrl+V 貼上</p>
               <span>支援 PNG, JPG, WebP 格式</span>
             </div>
           ) : (
@@ -508,9 +1195,32 @@ function App() {
                     {img.processing ? (
                       <div className="card-loading">
                         <div className="spinner"></div>
+                        <div className="card-progress">
+                          <div
+                            className="card-progress-bar"
+                            style={{ width: `${Math.round((img.progress || 0) * 100)}%` }}
+                          ></div>
+                        </div>
                       </div>
                     ) : (
-                      <img src={img.processedUrl || img.originalUrl} alt={img.name} />
+                      <img
+                        src={img.processedUrl || img.originalUrl}
+                        alt={img.name}
+                        className="card-preview-image"
+                        onClick={() => setViewerImageId(img.id)}
+                      />
+                    )}
+                    {!img.processing && img.placement && (
+                      <div className={`detection-badge ${img.watermarkApplied ? 'found' : 'none'}`}>
+                        {img.watermarkApplied ? '手動定位' : '定位框超出圖片'}
+                      </div>
+                    )}
+                    {!img.processing && img.detection && (
+                      <div className={`detection-badge ${img.detection.found ? 'found' : 'none'}`}>
+                        {img.detection.found
+                          ? `偵測到 ${templates.find(t => t.id === img.detection.size)?.label ?? img.detection.size} · ${Math.round(img.detection.confidence * 100)}%`
+                          : '未偵測到浮水印'}
+                      </div>
                     )}
                   </div>
 
@@ -520,29 +1230,164 @@ function App() {
                       onChange={(e) => updateImageSetting(img.id, 'sizeMode', e.target.value)}
                     >
                       <option value="auto">自動偵測大小</option>
-                      <option value="small">小 (48×48)</option>
-                      <option value="large">大 (96×96)</option>
+                      {templates.map(t => (
+                        <option key={t.id} value={t.id}>{t.label}</option>
+                      ))}
                     </select>
 
                     <div className="intensity-slider">
-                      <label>強度調整: {img.intensity.toFixed(1)}</label>
+                      <div className="intensity-header">
+                        <label>
+                          強度調整: {img.intensity.toFixed(2)} ({img.intensityMode === 'auto' ? '自動估算' : '手動'})
+                        </label>
+                        {img.intensityMode === 'manual' && (
+                          <button
+                            className="intensity-reset-btn"
+                            onClick={() => updateImageSetting(img.id, 'intensityMode', 'auto')}
+                          >
+                            自動
+                          </button>
+                        )}
+                      </div>
                       <input
                         type="range"
                         min="0"
                         max="2"
-                        step="0.1"
+                        step="0.01"
                         value={img.intensity}
-                        onChange={(e) => updateImageSetting(img.id, 'intensity', parseFloat(e.target.value))}
+                        onChange={(e) => updateImageSettings(img.id, {
+                          intensity: parseFloat(e.target.value),
+                          intensityMode: 'manual'
+                        }, { debounce: true })}
+                      />
+                    </div>
+
+                    <LogoColorControl image={img} onChange={(changes) => updateImageSettings(img.id, changes)} />
+
+                    <select
+                      value={img.blendSpace}
+                      onChange={(e) => updateImageSetting(img.id, 'blendSpace', e.target.value)}
+                      title="以線性光合成的浮水印，在 sRGB 下反推會留下光暈"
+                    >
+                      <option value={BLEND_SPACE.SRGB}>混合空間：sRGB</option>
+                      <option value={BLEND_SPACE.LINEAR}>混合空間：線性光</option>
+                      <option value={BLEND_SPACE.AUTO}>混合空間：自動比較</option>
+                    </select>
+                    {img.residuals && !img.processing && (
+                      <div className="transform-info" title="移除後仍沿著浮水印形狀殘留的亮度（色階），越接近 0 越乾淨">
+                        殘留 {formatResiduals(img.residuals)}
+                      </div>
+                    )}
+
+                    <select
+                      value={img.inpaint}
+                      onChange={(e) => updateImageSetting(img.id, 'inpaint', e.target.value)}
+                      title="修補高透明度區域與截斷像素留下的雜點與亮邊"
+                    >
+                      <option value={INPAINT_MODE.NONE}>殘影修補：關閉</option>
+                      <option value={INPAINT_MODE.DIFFUSION}>殘影修補：擴散填補</option>
+                    </select>
+
+                    <label className="card-option" title="浮水印區域以浮點運算，16 位元來源在支援的瀏覽器中保留完整色階">
+                      <input
+                        type="checkbox"
+                        checked={img.precision === PRECISION.FLOAT}
+                        onChange={(e) => updateImageSetting(img.id, 'precision', e.target.checked ? PRECISION.FLOAT : PRECISION.UINT8)}
+                      />
+                      高精度處理（減少暗部色帶）
+                    </label>
+                    {img.precision === PRECISION.FLOAT && (
+                      <label className="card-option" title="轉回 8 位元時加入細微的規則抖色，讓平滑漸層不出現色階斷層">
+                        <input
+                          type="checkbox"
+                          checked={img.dither}
+                          onChange={(e) => updateImageSetting(img.id, 'dither', e.target.checked)}
+                        />
+                        抖色
+                      </label>
+                    )}
+
+                    <select
+                      value={img.output ? img.output.format : 'global'}
+                      onChange={(e) => setImageOutput(img, e.target.value)}
+                    >
+                      <option value="global">輸出格式：依匯出設定</option>
+                      {formatOptions}
+                    </select>
+                    {img.output && FORMAT_INFO[resolveOutputFormat(img.output.format, img.file.type)].lossy && (
+                      <div className="intensity-slider">
+                        <label>輸出品質: {img.output.quality}</label>
+                        <input
+                          type="range"
+                          min="1"
+                          max="100"
+                          value={img.output.quality}
+                          onChange={(e) => updateImageSettings(img.id, {
+                            output: { ...img.output, quality: Number(e.target.value) }
+                          }, { debounce: true })}
+                        />
+                      </div>
+                    )}
+                    {img.outputSize !== null && !img.processing && (
+                      <div className="output-info">
+                        {FORMAT_INFO[formatFromMime(img.outputType) || OUTPUT_FORMAT.PNG].label} · 約 {formatBytes(img.outputSize)}
+                        <span>（原檔 {formatBytes(img.file.size)}）</span>
+                      </div>
+                    )}
+
+                    <label className="card-option">
+                      <input
+                        type="checkbox"
+                        checked={img.localize}
+                        disabled={!!img.placement}
+                        onChange={(e) => updateImageSetting(img.id, 'localize', e.target.checked)}
                       />
+                      精準定位（裁切／縮放過的圖片）
+                    </label>
+                    {img.localize && !img.placement && img.transform && !img.processing && (
+                      <div className="transform-info">
+                        位移 ({formatOffset(img.transform.dx)}, {formatOffset(img.transform.dy)}) px · 縮放 {img.transform.scale.toFixed(2)}×
+                      </div>
+                    )}
+                    <div className="placement-row">
+                      <button className="intensity-reset-btn" onClick={() => setPlacementImageId(img.id)}>
+                        {img.placement ? '調整手動定位' : '手動定位…'}
+                      </button>
+                      {img.placement && (
+                        <>
+                          <span className="transform-info">
+                            ({img.placement.x}, {img.placement.y}) · {img.placement.size} px
+                          </span>
+                          <button className="intensity-reset-btn" onClick={() => updateImageSetting(img.id, 'placement', null)}>
+                            自動
+                          </button>
+                        </>
+                      )}
                     </div>
 
                     <div className="card-actions">
-                      <button className="action-btn" onClick={() => previewImage(img)} title="預覽">
+                      <button className="action-btn" onClick={() => setViewerImageId(img.id)} title="前後比較">
                         <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
                           <circle cx="12" cy="12" r="3"></circle>
                           <path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7z"></path>
                         </svg>
                       </button>
+                      <button
+                        className={`action-btn ${copiedId === img.id ? 'copied' : ''}`}
+                        onClick={async () => (await copyImage(img)) && flashCopied(img.id)}
+                        title="複製到剪貼簿"
+                      >
+                        {copiedId === img.id ? (
+                          <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M5 12l5 5L20 7" />
+                          </svg>
+                        ) : (
+                          <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                          </svg>
+                        )}
+                      </button>
                       <button className="action-btn delete" onClick={() => removeImage(img.id)} title="刪除">
                         <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
                           <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -584,6 +1429,51 @@ function App() {
         </section>
       </main>
 
+      {viewerIndex >= 0 && (
+        <ComparisonViewer
+          images={images}
+          index={viewerIndex}
+          onNavigate={navigateViewer}
+          onClose={closeViewer}
+        />
+      )}
+
+      {calibrationOpen && (
+        <CalibrationDialog
+          templates={templates}
+          onAddTemplate={addTemplate}
+          onRemoveTemplate={removeTemplate}
+          onClose={closeCalibration}
+        />
+      )}
+
+      {batchSaveOpen && (
+        <BatchSaveDialog
+          files={images.map((img, index) => {
+            const { url, filename } = getDownloadInfo(img, filenameSettings.template, { index, total: images.length });
+            return { name: filenameSettings.keepFolders && img.folder ? `${img.folder}/${filename}` : filename, url };
+          })}
+          filenameSettings={filenameSettings}
+          onFilenameSettingsChange={setFilenameSettings}
+          conflict={batchConflict}
+          onConflictChange={setBatchConflict}
+          onClose={closeBatchSave}
+        />
+      )}
+
+      {placementImage && (
+        <PlacementEditor
+          key={placementImage.id}
+          image={placementImage}
+          templates={templates}
+          onApply={(placement) => {
+            updateImageSetting(placementImage.id, 'placement', placement);
+            closePlacementEditor();
+          }}
+          onClose={closePlacementEditor}
+        />
+      )}
+
       {/* Save Modal */}
       {saveModalImg && (
         <div
@@ -642,7 +1532,7 @@ function App() {
                 <input
                   type="text"
                   readOnly
-                  value={`processed_${saveModalImg.name.replace(/\.[^/.]+$/, '')}.png`}
+                  value={downloadInfo(saveModalImg).filename}
                   style={{
                     flex: 1,
                     background: '#25262b',
@@ -675,19 +1565,8 @@ function App() {
                   fontSize: '1rem'
                 }}
                 onClick={async () => {
-                  try {
-                    const url = saveModalImg.processedUrl || saveModalImg.originalUrl;
-                    const response = await fetch(url);
-                    const blob = await response.blob();
-                    await navigator.clipboard.write([
-                      new ClipboardItem({
-                        [blob.type]: blob
-                      })
-                    ]);
+                  if (await copyImage(saveModalImg)) {
                     alert('圖片已複製！請直接貼上到 Word 或其他程式中。');
-                  } catch (err) {
-                    console.error('Copy failed', err);
-                    alert('複製失敗，請確認瀏覽器權限。');
                   }
                 }}
               >
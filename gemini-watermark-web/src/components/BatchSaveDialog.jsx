@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { CONFLICT_POLICY, saveToDirectory, buildZip } from '../lib/batchSave';
+import FilenameSettingsFields from './FilenameSettingsFields';
+
+const supportsDirectoryPicker = typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+
+const CONFLICT_LABELS = [
+  [CONFLICT_POLICY.RENAME, '自動加上編號'],
+  [CONFLICT_POLICY.SKIP, '略過'],
+  [CONFLICT_POLICY.OVERWRITE, '覆寫']
+];
+
+const fetchBlob = (url) => fetch(url).then(response => response.blob());
+
+// Save every image at once: straight into a folder where the browser lets
+// us pick one, else as a ZIP. The pickers are opened first, while the click
+// still counts as a user gesture, and the files are fetched afterwards.
+// `files` holds { name, url } in batch order, named from `filenameSettings`;
+// a name may contain "/" for the folder it goes into.
+function BatchSaveDialog({ files, filenameSettings, onFilenameSettingsChange, conflict, onConflictChange, onClose }) {
+  const [progress, setProgress] = useState(null); // 0-1 while saving
+  const [result, setResult] = useState(null);
+  const controllerRef = useRef(null);
+
+  const running = progress !== null;
+  const named = files.map(file => ({ name: file.name, getBlob: () => fetchBlob(file.url) }));
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' && !running) onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [running, onClose]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Run one save with progress and cancellation. pick() opens the picker;
+  // backing out of it rejects with an AbortError and ends quietly.
+  const run = async (pick, save) => {
+    let target;
+    try {
+      target = await pick();
+    } catch (err) {
+      if (err.name !== 'AbortError') setResult({ error: err.message });
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setResult(null);
+    setProgress(0);
+    try {
+      setResult(await save(target, { signal: controller.signal, onProgress: setProgress }));
+    } catch (err) {
+      setResult(err.name === 'AbortError' ? { cancelled: true } : { error: err.message });
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const saveToFolder = () => run(
+    () => window.showDirectoryPicker({ id: 'batch-save', mode: 'readwrite' }),
+    (directory, options) => saveToDirectory(directory, named, { ...options, conflict })
+  );
+
+  const saveZip = () => run(
+    async () => ('showSaveFilePicker' in window
+      ? window.showSaveFilePicker({
+        suggestedName: 'processed_images.zip',
+        types: [{ description: 'ZIP 壓縮檔', accept: { 'application/zip': ['.zip'] } }]
+      })
+      : 'download'),
+    async (target, options) => {
+      const zipBlob = await buildZip(named, options);
+      if (target === 'download') {
+        // Fallback for browsers without File System Access API
+        const url = URL.createObjectURL(zipBlob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'processed_images.zip';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      } else {
+        const writable = await target.createWritable();
+        await writable.write(zipBlob);
+        await writable.close();
+      }
+      return { written: named.map(file => file.name), skipped: [], failed: [], zip: true };
+    }
+  );
+
+  return (
+    <div className="batch-dialog-backdrop" onClick={() => !running && onClose()}>
+      <div className="batch-dialog" role="dialog" aria-modal="true" aria-label="全部下載" onClick={e => e.stopPropagation()}>
+        <h3>全部下載（{files.length} 張）</h3>
+
+        <fieldset className="batch-dialog-group" disabled={running}>
+          <legend>檔名</legend>
+          <FilenameSettingsFields settings={filenameSettings} onChange={onFilenameSettingsChange} />
+          <div className="batch-dialog-preview" title={named.map(file => file.name).join('\n')}>
+            例：{named[0]?.name}{named.length > 1 && `、${named[1].name}`}{named.length > 2 && '…'}
+          </div>
+        </fieldset>
+
+        {supportsDirectoryPicker && (
+          <fieldset className="batch-dialog-group" disabled={running}>
+            <legend>資料夾中已有同名檔案時</legend>
+            <div className="slider-group">
+              {CONFLICT_LABELS.map(([policy, label]) => (
+                <label key={policy} className="card-option">
+                  <input
+                    type="radio"
+                    name="batch-conflict"
+                    checked={conflict === policy}
+                    onChange={() => onConflictChange(policy)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
+
+        {running && (
+          <div className="batch-dialog-progress">
+            <div className="card-progress">
+              <div className="card-progress-bar" style={{ width: `${Math.round(progress * 100)}%` }}></div>
+            </div>
+            <span>{Math.round(progress * 100)}%</span>
+          </div>
+        )}
+
+        {result && (
+          <div className={`batch-dialog-result ${result.error || result.failed?.length ? 'error' : ''}`}>
+            {result.cancelled && '已取消。'}
+            {result.error && `儲存失敗：${result.error}`}
+            {result.written && (result.zip
+              ? `已將 ${result.written.length} 張圖片存成 ZIP。`
+              : `已儲存 ${result.written.length} 張` +
+                (result.skipped.length ? `，略過 ${result.skipped.length} 張同名檔案` : '') +
+                (result.failed.length ? `，${result.failed.length} 張失敗：${result.failed.map(f => f.name).join('、')}` : '') +
+                '。')}
+          </div>
+        )}
+
+        <div className="batch-dialog-actions">
+          {running ? (
+            <button className="action-btn" onClick={() => controllerRef.current?.abort()}>取消</button>
+          ) : (
+            <>
+              <button className="action-btn" onClick={onClose}>關閉</button>
+              <button className="action-btn" onClick={saveZip}>存成 ZIP</button>
+              {supportsDirectoryPicker && (
+                <button className="action-btn download" onClick={saveToFolder}>選擇資料夾並儲存…</button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BatchSaveDialog;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect } from 'react';
+import {
+  CALIBRATION_MODE,
+  CALIBRATION_ERROR,
+  DEFAULT_SEARCH_SIZE,
+  calibrationRegionSize,
+  sampleBackground,
+  blackWhiteSamples,
+  calibrate,
+  alphaMapToRgba,
+  createTemplate
+} from '../lib/calibration';
+import { createCanvas, BUILTIN_TEMPLATES, normalizeTemplate } from '../lib/watermark';
+import { toHex, fromHex } from './color';
+
+const BUSY_BACKGROUND = 6; // Mean border deviation above which a sample is not a solid color
+
+
+// Bottom-right square of a decoded image as RGBA
+function cornerRegion(bitmap, size) {
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, bitmap.width - size, bitmap.height - size, size, size, 0, 0, size, size);
+  return ctx.getImageData(0, 0, size, size);
+}
+
+function alphaMapPng(alphaMap) {
+  const { width, height, data } = alphaMapToRgba(alphaMap);
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+function download(url, filename) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
+const errorMessage = (err) => {
+  switch (err.reason) {
+    case CALIBRATION_ERROR.NO_LOGO: return '右下角範圍中找不到浮水印，請確認樣本含有 Logo，或加大搜尋範圍。';
+    case CALIBRATION_ERROR.NO_SAMPLES: return '請先選擇樣本圖片。';
+    default: return `校準失敗：${err.message}`;
+  }
+};
+
+const isBuiltin = (id) => BUILTIN_TEMPLATES.some(t => t.id === id);
+
+// The watermark templates the engine detects, with importing template files
+// and deriving a new template from examples: the logo rendered over black
+// and over white, or watermarked images with a solid bottom-right corner.
+// A result is added to the list, exported as a template file (JSON with the
+// alpha map embedded) or as a bg_<size>.png capture like the built-in ones.
+function CalibrationDialog({ templates, onAddTemplate, onRemoveTemplate, onClose }) {
+  const [mode, setMode] = useState(CALIBRATION_MODE.BLACK_WHITE);
+  const [blackFile, setBlackFile] = useState(null);
+  const [whiteFile, setWhiteFile] = useState(null);
+  const [sampleFiles, setSampleFiles] = useState([]);
+  const [searchSize, setSearchSize] = useState(DEFAULT_SEARCH_SIZE);
+  const [assumedColor, setAssumedColor] = useState('#ffffff');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [meta, setMeta] = useState(null);
+  const [templateError, setTemplateError] = useState(null);
+  const [added, setAdded] = useState(false);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' && !busy) onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [busy, onClose]);
+
+  const files = mode === CALIBRATION_MODE.BLACK_WHITE ? [blackFile, whiteFile].filter(Boolean) : sampleFiles;
+  const canRun = mode === CALIBRATION_MODE.BLACK_WHITE ? files.length === 2 : files.length > 0;
+
+  const run = async () => {
+    setBusy(true);
+    setError(null);
+    setResult(null);
+    setAdded(false);
+
+    let bitmaps = [];
+    try {
+      bitmaps = await Promise.all(files.map(file => createImageBitmap(file)));
+      const size = calibrationRegionSize(bitmaps, searchSize);
+      const regions = bitmaps.map(bitmap => cornerRegion(bitmap, size));
+
+      let samples;
+      let backgrounds = [];
+      if (mode === CALIBRATION_MODE.BLACK_WHITE) {
+        samples = blackWhiteSamples(regions[0], regions[1]);
+      } else {
+        backgrounds = regions.map((region, i) => ({ name: files[i].name, ...sampleBackground(region) }));
+        samples = regions.map((region, i) => ({ region, background: backgrounds[i].color }));
+      }
+
+      const calibration = calibrate(samples, { logoColor: fromHex(assumedColor) });
+      setResult({ calibration, backgrounds, previewUrl: alphaMapPng(calibration.alphaMap) });
+      // Rule: the template applies to images at least as large as the samples
+      setMeta({
+        id: `custom-${calibration.size}`,
+        label: `自訂 ${calibration.size}px`,
+        minWidth: Math.min(...bitmaps.map(bitmap => bitmap.width)),
+        minHeight: Math.min(...bitmaps.map(bitmap => bitmap.height))
+      });
+    } catch (err) {
+      console.error('Calibration failed:', err);
+      setError(err.name === 'CalibrationError' ? errorMessage(err) : `無法讀取圖片：${err.message}`);
+    } finally {
+      bitmaps.forEach(bitmap => bitmap.close());
+      setBusy(false);
+    }
+  };
+
+  const exportTemplate = () => {
+    const template = createTemplate(result.calibration, meta, result.previewUrl);
+    const url = URL.createObjectURL(new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' }));
+    download(url, `${meta.id}.json`);
+    URL.revokeObjectURL(url);
+  };
+
+  const addTemplate = (input) => {
+    try {
+      onAddTemplate(normalizeTemplate(input));
+      setTemplateError(null);
+      return true;
+    } catch (err) {
+      setTemplateError(`無法加入範本：${err.message}`);
+      return false;
+    }
+  };
+
+  const importTemplates = async (e) => {
+    const selected = Array.from(e.target.files);
+    e.target.value = '';
+    for (const file of selected) {
+      try {
+        if (!addTemplate(JSON.parse(await file.text()))) return;
+      } catch (err) {
+        setTemplateError(`「${file.name}」不是有效的範本檔：${err.message}`);
+        return;
+      }
+    }
+  };
+
+  const updateMeta = (changes) => {
+    setMeta(prev => ({ ...prev, ...changes }));
+    setAdded(false);
+  };
+  const calibration = result?.calibration;
+
+  return (
+    <div className="batch-dialog-backdrop" onClick={() => !busy && onClose()}>
+      <div className="batch-dialog calibration-dialog" role="dialog" aria-modal="true" aria-label="浮水印範本" onClick={e => e.stopPropagation()}>
+        <h3>浮水印範本</h3>
+
+        <fieldset className="batch-dialog-group">
+          <legend>已載入的範本</legend>
+          <ul className="template-list">
+            {templates.map(t => (
+              <li key={t.id}>
+                <span className="template-name">{t.label}</span>
+                <span className="template-info">
+                  {t.id} · {t.size}px · {t.rule.minWidth}×{t.rule.minHeight} 以上
+                </span>
+                {isBuiltin(t.id)
+                  ? <span className="template-info">內建</span>
+                  : <button className="intensity-reset-btn" onClick={() => onRemoveTemplate(t.id)}>移除</button>}
+              </li>
+            ))}
+          </ul>
+          <div className="slider-group">
+            <label>匯入範本 JSON:</label>
+            <input type="file" accept="application/json,.json" multiple onChange={importTemplates} />
+          </div>
+          {templateError && <div className="batch-dialog-result error">{templateError}</div>}
+        </fieldset>
+
+        <fieldset className="batch-dialog-group" disabled={busy}>
+          <legend>從樣本校準新範本</legend>
+          <div className="slider-group">
+            <label className="card-option">
+              <input
+                type="radio"
+                name="calibration-mode"
+                checked={mode === CALIBRATION_MODE.BLACK_WHITE}
+                onChange={() => setMode(CALIBRATION_MODE.BLACK_WHITE)}
+              />
+              黑底與白底各一張
+            </label>
+            <label className="card-option">
+              <input
+                type="radio"
+                name="calibration-mode"
+                checked={mode === CALIBRATION_MODE.SAMPLES}
+                onChange={() => setMode(CALIBRATION_MODE.SAMPLES)}
+              />
+              多張已加浮水印的圖片
+            </label>
+          </div>
+
+          {mode === CALIBRATION_MODE.BLACK_WHITE ? (
+            <>
+              <div className="calibration-hint">同一個 Logo 分別疊在純黑與純白圖片上的右下角（例如請 Gemini 產生純黑與純白圖片）。</div>
+              <div className="slider-group">
+                <label>黑底:</label>
+                <input type="file" accept="image/*" onChange={(e) => setBlackFile(e.target.files[0] || null)} />
+              </div>
+              <div className="slider-group">
+                <label>白底:</label>
+                <input type="file" accept="image/*" onChange={(e) => setWhiteFile(e.target.files[0] || null)} />
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="calibration-hint">右下角 Logo 周圍為單一純色的圖片，背景顏色越多樣，越能推算出 Logo 顏色。</div>
+              <input type="file" accept="image/*" multiple onChange={(e) => setSampleFiles(Array.from(e.target.files))} />
+              <div className="slider-group">
+                <label>背景相同時假設 Logo 顏色:</label>
+                <input type="color" value={assumedColor} onChange={(e) => setAssumedColor(e.target.value)} />
+              </div>
+            </>
+          )}
+
+          <div className="slider-group">
+            <label>右下角搜尋範圍:</label>
+            <input
+              type="number"
+              className="text-input calibration-number"
+              min="16"
+              max="1024"
+              value={searchSize}
+              onChange={(e) => setSearchSize(Math.max(16, Number(e.target.value) || DEFAULT_SEARCH_SIZE))}
+            />
+            <span>px</span>
+          </div>
+        </fieldset>
+
+        {error && <div className="batch-dialog-result error">{error}</div>}
+
+        {calibration && (
+          <fieldset className="batch-dialog-group" disabled={busy}>
+            <legend>結果</legend>
+            <div className="calibration-result">
+              <img className="calibration-preview" src={result.previewUrl} alt="推算出的 alpha 遮罩" />
+              <dl className="calibration-stats">
+                <dt>Logo 尺寸</dt>
+                <dd>{calibration.size} × {calibration.size} px</dd>
+                <dt>邊距（右、下）</dt>
+                <dd>{calibration.margin.right} px、{calibration.margin.bottom} px</dd>
+                <dt>Logo 顏色</dt>
+                <dd>
+                  <span className="calibration-swatch" style={{ background: toHex(calibration.logoColor) }}></span>
+                  {toHex(calibration.logoColor)}
+                  {calibration.colorEstimated ? '（推算）' : '（假設值；需要至少兩種不同背景才能推算）'}
+                </dd>
+                <dt>擬合誤差</dt>
+                <dd>{calibration.residual.toFixed(1)}（色階 RMS，越小越好）</dd>
+              </dl>
+            </div>
+            {result.backgrounds.filter(bg => bg.deviation > BUSY_BACKGROUND).map(bg => (
+              <div key={bg.name} className="batch-dialog-result error">
+                「{bg.name}」右下角的背景不是單一純色，可能讓結果不準確。
+              </div>
+            ))}
+            <div className="slider-group">
+              <label>名稱:</label>
+              <input type="text" className="text-input" value={meta.label} onChange={(e) => updateMeta({ label: e.target.value })} />
+              <label>ID:</label>
+              <input type="text" className="text-input" value={meta.id} onChange={(e) => updateMeta({ id: e.target.value })} />
+            </div>
+            <div className="slider-group">
+              <label>適用於寬至少</label>
+              <input
+                type="number"
+                className="text-input calibration-number"
+                min="0"
+                value={meta.minWidth}
+                onChange={(e) => updateMeta({ minWidth: Math.max(0, Number(e.target.value) || 0) })}
+              />
+              <label>、高至少</label>
+              <input
+                type="number"
+                className="text-input calibration-number"
+                min="0"
+                value={meta.minHeight}
+                onChange={(e) => updateMeta({ minHeight: Math.max(0, Number(e.target.value) || 0) })}
+              />
+              <span>px 的圖片</span>
+            </div>
+          </fieldset>
+        )}
+
+        <div className="batch-dialog-actions">
+          <button className="action-btn" onClick={onClose} disabled={busy}>關閉</button>
+          <button className="action-btn" onClick={run} disabled={busy || !canRun}>
+            {busy ? '計算中…' : '開始校準'}
+          </button>
+          {calibration && (
+            <>
+              <button className="action-btn" onClick={() => download(result.previewUrl, `bg_${calibration.size}.png`)}>
+                下載 alpha 圖 (PNG)
+              </button>
+              <button className="action-btn" onClick={exportTemplate}>匯出範本 (JSON)</button>
+              <button
+                className="action-btn download"
+                onClick={() => setAdded(addTemplate(createTemplate(result.calibration, meta, result.previewUrl)))}
+                disabled={added}
+              >
+                {added ? '已加入 ✓' : '加入範本清單'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalibrationDialog;
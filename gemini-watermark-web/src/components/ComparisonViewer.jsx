@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { differenceHeatmap } from '../lib/diff';
+import { ZOOM_STEP, PIXELATED_SCALE, fitView, zoomView, viewAround } from './viewTransform';
+
+const MODES = [
+  { id: 'swipe', label: '滑動', key: '1' },
+  { id: 'toggle', label: '切換', key: '2' },
+  { id: 'side', label: '並排', key: '3' },
+  { id: 'diff', label: '差異', key: '4' }
+];
+
+// Watermark rectangle in image pixels, from the engine's placement
+const getRoi = (image) => {
+  if (!image.transform) return null;
+  const { x, y, size } = image.transform;
+  return { x, y, width: size, height: size };
+};
+
+async function decodePixels(url) {
+  const blob = await fetch(url).then(response => response.blob());
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Zoom/pan state and rendering for one image. Keyed by image id, so
+// navigating to another image starts from a fresh fitted view.
+function ComparisonStage({ image, mode }) {
+  const stageRef = useRef(null);
+  const heatmapCanvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const [paneElement, setPaneElement] = useState(null); // First pane, measured for fitting
+  const [natural, setNatural] = useState(null);
+  const [pane, setPane] = useState(null);
+  const [customView, setCustomView] = useState(null); // null = fit to pane
+  const [swipe, setSwipe] = useState(0.5);
+  const [showProcessed, setShowProcessed] = useState(true);
+  const [showRoi, setShowRoi] = useState(true);
+  const [gain, setGain] = useState(4);
+  const [pixels, setPixels] = useState(null);
+
+  const processedUrl = image.processedUrl || image.originalUrl;
+  const roi = getRoi(image);
+  const view = customView || fitView(natural, pane);
+
+  // Track the pane size; side-by-side panes are half as wide
+  useEffect(() => {
+    if (!paneElement) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setPane({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(paneElement);
+    return () => observer.disconnect();
+  }, [paneElement]);
+
+  // Decode both versions once the difference view is first needed
+  useEffect(() => {
+    if (mode !== 'diff' || pixels) return;
+    let cancelled = false;
+    Promise.all([decodePixels(image.originalUrl), decodePixels(processedUrl)])
+      .then(([before, after]) => {
+        if (!cancelled) setPixels({ before, after });
+      })
+      .catch(error => {
+        console.error('Failed to decode images for the difference view:', error);
+        if (!cancelled) setPixels({ error: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, pixels, image.originalUrl, processedUrl]);
+
+  const heatmap = useMemo(() => {
+    if (!pixels || pixels.error) return null;
+    try {
+      return differenceHeatmap(pixels.before, pixels.after, { gain });
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }, [pixels, gain]);
+
+  useEffect(() => {
+    const canvas = heatmapCanvasRef.current;
+    if (!canvas || !heatmap) return;
+    canvas.width = heatmap.width;
+    canvas.height = heatmap.height;
+    canvas.getContext('2d').putImageData(new ImageData(heatmap.data, heatmap.width, heatmap.height), 0, 0);
+  }, [heatmap, mode]);
+
+  const zoomAt = useCallback((factor, cx, cy) => {
+    if (view) setCustomView(zoomView(view, factor, cx, cy));
+  }, [view]);
+
+  const zoomCentered = useCallback((factor) => {
+    if (pane) zoomAt(factor, pane.width / 2, pane.height / 2);
+  }, [pane, zoomAt]);
+
+  const setActualSize = useCallback(() => {
+    if (view && pane) zoomAt(1 / view.scale, pane.width / 2, pane.height / 2);
+  }, [view, pane, zoomAt]);
+
+  const zoomToRoi = useCallback(() => {
+    if (roi && pane) setCustomView(viewAround(roi, pane));
+  }, [roi, pane]);
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return;
+    const onWheel = (e) => {
+      const target = e.target.closest('.viewer-pane');
+      if (!target) return;
+      e.preventDefault();
+      const rect = target.getBoundingClientRect();
+      zoomAt(Math.pow(ZOOM_STEP, -e.deltaY / 100), e.clientX - rect.left, e.clientY - rect.top);
+    };
+    stage.addEventListener('wheel', onWheel, { passive: false });
+    return () => stage.removeEventListener('wheel', onWheel);
+  }, [zoomAt]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      if (e.key === '+' || e.key === '=') zoomCentered(ZOOM_STEP);
+      else if (e.key === '-') zoomCentered(1 / ZOOM_STEP);
+      else if (e.key === '0') setCustomView(null);
+      else if (e.key === 'r' || e.key === 'R') zoomToRoi();
+      else if (e.key === ' ' && mode === 'toggle') {
+        e.preventDefault(); // Don't scroll or press the focused button
+        setShowProcessed(prev => !prev);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [mode, zoomCentered, zoomToRoi]);
+
+  const handlePointerDown = (e) => {
+    if (!view || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { startX: e.clientX, startY: e.clientY, view };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setCustomView({
+      ...drag.view,
+      x: drag.view.x + e.clientX - drag.startX,
+      y: drag.view.y + e.clientY - drag.startY
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleSwipeDown = (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handleSwipeMove = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const rect = paneElement.getBoundingClientRect();
+    setSwipe(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)));
+  };
+
+  const layerStyle = view && natural ? {
+    width: natural.width,
+    height: natural.height,
+    transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`
+  } : { visibility: 'hidden' };
+  const layerClass = `viewer-layer ${view && view.scale >= PIXELATED_SCALE ? 'pixelated' : ''}`;
+
+  const roiOverlay = showRoi && roi && view && (
+    <div
+      className="viewer-roi"
+      style={{
+        left: roi.x,
+        top: roi.y,
+        width: roi.width,
+        height: roi.height,
+        borderWidth: 1.5 / view.scale
+      }}
+    />
+  );
+
+  const paneHandlers = {
+    onPointerDown: handlePointerDown,
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: handlePointerUp
+  };
+
+  const onNaturalLoad = (e) => {
+    setNatural({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight });
+  };
+
+  const renderPane = (content, label, ref) => (
+    <div className="viewer-pane" ref={ref} {...paneHandlers}>
+      <div className={layerClass} style={layerStyle}>
+        {content}
+        {roiOverlay}
+      </div>
+      {label && <div className="viewer-label">{label}</div>}
+    </div>
+  );
+
+  // Swipe clip position in image pixels
+  const clipX = view && pane ? Math.max(0, (swipe * pane.width - view.x) / view.scale) : 0;
+
+  return (
+    <>
+      <div className="viewer-stage" ref={stageRef}>
+        {mode === 'swipe' && (
+          <div className="viewer-pane" ref={setPaneElement} {...paneHandlers}>
+            <div className={layerClass} style={layerStyle}>
+              <img src={image.originalUrl} alt="原圖" draggable={false} onLoad={onNaturalLoad} />
+              <img
+                className="viewer-overlay"
+                src={processedUrl}
+                alt="處理後"
+                draggable={false}
+                style={{ clipPath: `inset(0 0 0 ${clipX}px)` }}
+              />
+              {roiOverlay}
+            </div>
+            <div
+              className="viewer-swipe-handle"
+              style={{ left: `${swipe * 100}%` }}
+              onPointerDown={handleSwipeDown}
+              onPointerMove={handleSwipeMove}
+            >
+              <span>⇆</span>
+            </div>
+            <div className="viewer-label">原圖</div>
+            <div className="viewer-label right">處理後</div>
+          </div>
+        )}
+
+        {mode === 'toggle' && renderPane(
+          <img
+            src={showProcessed ? processedUrl : image.originalUrl}
+            alt={showProcessed ? '處理後' : '原圖'}
+            draggable={false}
+            onLoad={onNaturalLoad}
+          />,
+          showProcessed ? '處理後（空白鍵切換）' : '原圖（空白鍵切換）',
+          setPaneElement
+        )}
+
+        {mode === 'side' && (
+          <>
+            {renderPane(
+              <img src={image.originalUrl} alt="原圖" draggable={false} onLoad={onNaturalLoad} />,
+              '原圖',
+              setPaneElement
+            )}
+            {renderPane(<img src={processedUrl} alt="處理後" draggable={false} />, '處理後')}
+          </>
+        )}
+
+        {mode === 'diff' && renderPane(
+          <>
+            <img src={image.originalUrl} alt="" draggable={false} onLoad={onNaturalLoad} hidden />
+            <canvas ref={heatmapCanvasRef} />
+          </>,
+          pixels?.error || (pixels && !heatmap)
+            ? '無法比較這兩張圖片'
+            : heatmap
+              ? `變更 ${heatmap.changedPixels.toLocaleString()} 像素 · 最大差異 ${heatmap.maxDifference}`
+              : '計算差異中...',
+          setPaneElement
+        )}
+      </div>
+
+      <div className="viewer-toolbar">
+        <button onClick={() => zoomCentered(1 / ZOOM_STEP)} title="縮小 (-)">−</button>
+        <span className="viewer-zoom">{view ? `${Math.round(view.scale * 100)}%` : '--'}</span>
+        <button onClick={() => zoomCentered(ZOOM_STEP)} title="放大 (+)">+</button>
+        <button onClick={() => setCustomView(null)} title="符合視窗 (0)">符合視窗</button>
+        <button onClick={setActualSize} title="實際像素">1:1</button>
+        <button onClick={zoomToRoi} disabled={!roi} title="放大浮水印區域 (R)">浮水印區域</button>
+        <label className="viewer-check">
+          <input type="checkbox" checked={showRoi} onChange={(e) => setShowRoi(e.target.checked)} disabled={!roi} />
+          標示區域
+        </label>
+        {mode === 'toggle' && (
+          <button onClick={() => setShowProcessed(prev => !prev)}>
+            顯示{showProcessed ? '原圖' : '處理後'}
+          </button>
+        )}
+        {mode === 'diff' && (
+          <label className="viewer-gain">
+            放大倍率 {gain}×
+            <input type="range" min="1" max="32" value={gain} onChange={(e) => setGain(Number(e.target.value))} />
+          </label>
+        )}
+      </div>
+    </>
+  );
+}
+
+// Full-screen before/after viewer. Keys: ←/→ switch images, 1-4 modes,
+// +/- zoom, 0 fit, R watermark area, Space flips in toggle mode, Esc closes.
+function ComparisonViewer({ images, index, onNavigate, onClose }) {
+  const [mode, setMode] = useState('swipe');
+  const image = images[index];
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      const hotkey = MODES.find(m => m.key === e.key);
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowLeft' && index > 0) onNavigate(index - 1);
+      else if (e.key === 'ArrowRight' && index < images.length - 1) onNavigate(index + 1);
+      else if (hotkey) setMode(hotkey.id);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [index, images.length, onNavigate, onClose]);
+
+  if (!image) return null;
+
+  return (
+    <div className="viewer" role="dialog" aria-modal="true" aria-label="前後比較">
+      <div className="viewer-header">
+        <div className="viewer-modes">
+          {MODES.map(m => (
+            <button
+              key={m.id}
+              className={mode === m.id ? 'active' : ''}
+              onClick={() => setMode(m.id)}
+              title={`${m.label} (${m.key})`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <div className="viewer-title">
+          <button onClick={() => onNavigate(index - 1)} disabled={index === 0} title="上一張 (←)">‹</button>
+          <span>{image.name}</span>
+          <span className="viewer-count">{index + 1} / {images.length}</span>
+          <button onClick={() => onNavigate(index + 1)} disabled={index === images.length - 1} title="下一張 (→)">›</button>
+        </div>
+        <button className="viewer-close" onClick={onClose} title="關閉 (Esc)">✕</button>
+      </div>
+
+      {!image.processedUrl && (
+        <div className="viewer-notice">{image.processing ? '處理中，目前顯示原圖' : '尚未處理，目前顯示原圖'}</div>
+      )}
+      <ComparisonStage key={`${image.id}:${image.processedUrl}`} image={image} mode={mode} />
+    </div>
+  );
+}
+
+export default ComparisonViewer;
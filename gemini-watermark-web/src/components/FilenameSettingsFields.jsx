@@ -0,0 +1,57 @@
+import React from 'react';
+import { FILENAME_TOKENS } from '../lib/filename';
+
+// Filename template with its token buttons and the keep-folders option,
+// shared by the export settings and the batch save dialog. `preview` is
+// the name the first image gets, when there is one.
+function FilenameSettingsFields({ settings, onChange, preview }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="filename-settings">
+      <div className="slider-group">
+        <label>檔名:</label>
+        <input
+          type="text"
+          className="text-input filename-template"
+          value={settings.template}
+          placeholder="{name}"
+          spellCheck={false}
+          onChange={(e) => update({ template: e.target.value })}
+        />
+      </div>
+      <div className="filename-tokens">
+        {FILENAME_TOKENS.map(([token, label]) => (
+          <button
+            key={token}
+            type="button"
+            className="filename-token"
+            title={label}
+            onClick={() => update({ template: `${settings.template}{${token}}` })}
+          >
+            {`{${token}}`}
+          </button>
+        ))}
+        <button
+          type="button"
+          className="filename-token"
+          title="輸出與原檔相同的檔名"
+          onClick={() => update({ template: '{name}' })}
+        >
+          使用原檔名
+        </button>
+      </div>
+      <label className="card-option">
+        <input
+          type="checkbox"
+          checked={settings.keepFolders}
+          onChange={(e) => update({ keepFolders: e.target.checked })}
+        />
+        保留拖放資料夾的結構（ZIP 與資料夾儲存）
+      </label>
+      {preview && <div className="filename-preview" title={preview}>例：{preview}</div>}
+    </div>
+  );
+}
+
+export default FilenameSettingsFields;
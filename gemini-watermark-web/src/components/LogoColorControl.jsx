@@ -0,0 +1,39 @@
+import React from 'react';
+import { toHex, fromHex } from './color';
+
+const MODE_LABELS = {
+  template: '依範本',
+  auto: '自動估算',
+  manual: '手動'
+};
+
+// Per-card logo color used by the reverse blend: the template's, estimated
+// per channel from the image (for tinted or gray marks that leave a color
+// cast), or picked by hand. The swatch shows the color last applied.
+function LogoColorControl({ image, onChange }) {
+  const mode = image.logoColorMode;
+
+  return (
+    <div className="logo-color-row">
+      <label>Logo 顏色 ({MODE_LABELS[mode]})</label>
+      <input
+        type="color"
+        value={toHex(image.logoColor)}
+        onChange={(e) => onChange({ logoColor: fromHex(e.target.value), logoColorMode: 'manual' })}
+        title="選擇 Logo 顏色"
+      />
+      {mode !== 'auto' && (
+        <button className="intensity-reset-btn" onClick={() => onChange({ logoColorMode: 'auto' })}>
+          自動
+        </button>
+      )}
+      {mode !== 'template' && (
+        <button className="intensity-reset-btn" onClick={() => onChange({ logoColorMode: 'template' })}>
+          範本
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default LogoColorControl;
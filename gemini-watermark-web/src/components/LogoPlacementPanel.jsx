@@ -0,0 +1,40 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_LOGO_PLACEMENT, drawLogoOverlay } from '../lib/overlay';
+import PlacementPanel from './PlacementPanel';
+
+// Placement controls for the uploaded logo
+function LogoPlacementPanel({ placement, onChange, logoUrl, previewUrl, opacity, scale }) {
+  const [logo, setLogo] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const img = new Image();
+    img.onload = () => !cancelled && setLogo(img);
+    img.onerror = () => !cancelled && setLogo(null);
+    img.src = logoUrl;
+    return () => {
+      cancelled = true;
+    };
+  }, [logoUrl]);
+
+  const measure = useCallback(() => (
+    logo ? { width: logo.naturalWidth * scale, height: logo.naturalHeight * scale } : null
+  ), [logo, scale]);
+
+  const draw = useCallback((ctx, image) => {
+    if (logo) drawLogoOverlay(ctx, logo, image, { opacity, scale, placement });
+  }, [logo, opacity, scale, placement]);
+
+  return (
+    <PlacementPanel
+      placement={placement}
+      onChange={onChange}
+      defaultPlacement={DEFAULT_LOGO_PLACEMENT}
+      previewUrl={previewUrl}
+      measure={measure}
+      draw={draw}
+    />
+  );
+}
+
+export default LogoPlacementPanel;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { cornerPlacement } from '../lib/watermark';
+import { ZOOM_STEP, PIXELATED_SCALE, fitView, zoomView, viewAround } from './viewTransform';
+
+const MIN_BOX = 8; // Smallest box (image pixels) a drag can draw
+const CLICK_DISTANCE = 4; // Screen pixels a pointer may travel and still count as a click
+
+const roundBox = ({ x, y, size }) => ({
+  x: Math.round(x * 10) / 10,
+  y: Math.round(y * 10) / 10,
+  size: Math.round(size * 10) / 10
+});
+
+// Start from the saved box, else where the engine last applied the map
+const initialBox = (image) => {
+  if (image.placement) return image.placement;
+  if (image.transform) return roundBox(image.transform);
+  return null;
+};
+
+// Place the watermark by hand on the original image. Drag on the image to
+// draw a box, click to center the current box on a point, drag the box to
+// move it. Wheel zooms; Shift-drag or the middle button pans.
+// Keys: Enter applies, Esc cancels, +/- zoom, 0 fit, R zooms to the box.
+function PlacementEditor({ image, templates, onApply, onClose }) {
+  const stageRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const [paneElement, setPaneElement] = useState(null);
+  const [natural, setNatural] = useState(null);
+  const [pane, setPane] = useState(null);
+  const [customView, setCustomView] = useState(null); // null = fit to pane
+  const [box, setBox] = useState(() => initialBox(image));
+
+  const view = customView || fitView(natural, pane);
+
+  useEffect(() => {
+    if (!paneElement) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setPane({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(paneElement);
+    return () => observer.disconnect();
+  }, [paneElement]);
+
+  const zoomAt = useCallback((factor, cx, cy) => {
+    if (view) setCustomView(zoomView(view, factor, cx, cy));
+  }, [view]);
+
+  const zoomCentered = useCallback((factor) => {
+    if (pane) zoomAt(factor, pane.width / 2, pane.height / 2);
+  }, [pane, zoomAt]);
+
+  const zoomToBox = useCallback(() => {
+    if (box && pane) setCustomView(viewAround({ x: box.x, y: box.y, width: box.size, height: box.size }, pane));
+  }, [box, pane]);
+
+  const apply = useCallback(() => {
+    if (box) onApply(roundBox(box));
+  }, [box, onApply]);
+
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = stage.getBoundingClientRect();
+      zoomAt(Math.pow(ZOOM_STEP, -e.deltaY / 100), e.clientX - rect.left, e.clientY - rect.top);
+    };
+    stage.addEventListener('wheel', onWheel, { passive: false });
+    return () => stage.removeEventListener('wheel', onWheel);
+  }, [zoomAt]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') apply();
+      else if (e.target.tagName === 'INPUT') return;
+      else if (e.key === '+' || e.key === '=') zoomCentered(ZOOM_STEP);
+      else if (e.key === '-') zoomCentered(1 / ZOOM_STEP);
+      else if (e.key === '0') setCustomView(null);
+      else if (e.key === 'r' || e.key === 'R') zoomToBox();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [apply, onClose, zoomCentered, zoomToBox]);
+
+  const onImageLoad = (e) => {
+    const { naturalWidth: width, naturalHeight: height } = e.currentTarget;
+    setNatural({ width, height });
+    setBox(prev => prev || cornerPlacement(width, height, templates));
+  };
+
+  // Pointer position in image pixels
+  const toImage = (e) => {
+    const rect = paneElement.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left - view.x) / view.scale,
+      y: (e.clientY - rect.top - view.y) / view.scale
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!view || (e.button !== 0 && e.button !== 1)) return;
+    e.preventDefault(); // Middle button would start autoscroll
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    const point = toImage(e);
+    const start = { startX: e.clientX, startY: e.clientY, point, moved: false };
+    if (e.button === 1 || e.shiftKey) {
+      dragRef.current = { ...start, mode: 'pan', view };
+    } else if (box && point.x >= box.x && point.x <= box.x + box.size && point.y >= box.y && point.y <= box.y + box.size) {
+      dragRef.current = { ...start, mode: 'move', box };
+    } else {
+      dragRef.current = { ...start, mode: 'draw' };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (!drag.moved && Math.hypot(dx, dy) < CLICK_DISTANCE) return;
+    drag.moved = true;
+
+    if (drag.mode === 'pan') {
+      setCustomView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy });
+    } else if (drag.mode === 'move') {
+      setBox({ ...drag.box, x: drag.box.x + dx / view.scale, y: drag.box.y + dy / view.scale });
+    } else {
+      // The logo is square, so follow the longer side of the drag
+      const point = toImage(e);
+      const size = Math.max(Math.abs(point.x - drag.point.x), Math.abs(point.y - drag.point.y));
+      if (size < MIN_BOX) return;
+      setBox({
+        x: point.x < drag.point.x ? drag.point.x - size : drag.point.x,
+        y: point.y < drag.point.y ? drag.point.y - size : drag.point.y,
+        size
+      });
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || drag.mode !== 'draw' || !box) return;
+    // Click: keep the size, center on the point
+    setBox({ ...box, x: drag.point.x - box.size / 2, y: drag.point.y - box.size / 2 });
+  };
+
+  const setBoxField = (field, value) => {
+    if (value === '' || !Number.isFinite(Number(value))) return;
+    setBox(prev => ({ ...prev, [field]: Math.max(field === 'size' ? 1 : -Infinity, Number(value)) }));
+  };
+
+  const layerStyle = view && natural ? {
+    width: natural.width,
+    height: natural.height,
+    transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`
+  } : { visibility: 'hidden' };
+
+  return (
+    <div className="viewer" role="dialog" aria-modal="true" aria-label="手動定位浮水印">
+      <div className="viewer-header">
+        <div className="viewer-title">
+          <span>手動定位：{image.name}</span>
+        </div>
+        <button className="viewer-close" onClick={onClose} title="取消 (Esc)">✕</button>
+      </div>
+      <div className="viewer-notice placement-hint">
+        在圖片上拖曳框選浮水印，或點擊以目前大小置中；拖曳方框可移動，Shift＋拖曳或滑鼠中鍵可平移
+      </div>
+
+      <div className="viewer-stage" ref={stageRef}>
+        <div
+          className="viewer-pane placement-pane"
+          ref={setPaneElement}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <div className={`viewer-layer ${view && view.scale >= PIXELATED_SCALE ? 'pixelated' : ''}`} style={layerStyle}>
+            <img src={image.originalUrl} alt={image.name} draggable={false} onLoad={onImageLoad} />
+            {box && view && (
+              <div
+                className="viewer-roi placement-box"
+                style={{ left: box.x, top: box.y, width: box.size, height: box.size, borderWidth: 1.5 / view.scale }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="viewer-toolbar">
+        <button onClick={() => zoomCentered(1 / ZOOM_STEP)} title="縮小 (-)">−</button>
+        <span className="viewer-zoom">{view ? `${Math.round(view.scale * 100)}%` : '--'}</span>
+        <button onClick={() => zoomCentered(ZOOM_STEP)} title="放大 (+)">+</button>
+        <button onClick={() => setCustomView(null)} title="符合視窗 (0)">符合視窗</button>
+        <button onClick={zoomToBox} disabled={!box} title="放大定位框 (R)">定位框</button>
+        {box && (
+          <div className="placement-fields">
+            {[['x', 'X'], ['y', 'Y'], ['size', '大小']].map(([field, label]) => (
+              <label key={field}>
+                {label}
+                <input
+                  type="number"
+                  step="0.5"
+                  value={Math.round(box[field] * 10) / 10}
+                  onChange={(e) => setBoxField(field, e.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+        <button onClick={() => onApply(null)} disabled={!image.placement} title="回到自動偵測右下角">恢復自動</button>
+        <button className="placement-apply" onClick={apply} disabled={!box} title="套用 (Enter)">套用</button>
+      </div>
+    </div>
+  );
+}
+
+export default PlacementEditor;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { LOGO_ANCHOR, OFFSET_UNIT, logoPosition, offsetsForPosition } from '../lib/overlay';
+
+// Row by row, as laid out in the 3×3 picker
+const ANCHORS = [
+  [LOGO_ANCHOR.TOP_LEFT, '左上'],
+  [LOGO_ANCHOR.TOP, '上'],
+  [LOGO_ANCHOR.TOP_RIGHT, '右上'],
+  [LOGO_ANCHOR.LEFT, '左'],
+  [LOGO_ANCHOR.CENTER, '中'],
+  [LOGO_ANCHOR.RIGHT, '右'],
+  [LOGO_ANCHOR.BOTTOM_LEFT, '左下'],
+  [LOGO_ANCHOR.BOTTOM, '下'],
+  [LOGO_ANCHOR.BOTTOM_RIGHT, '右下']
+];
+
+const PREVIEW_WIDTH = 320;
+const PLACEHOLDER_SIZE = { width: 1600, height: 1000 }; // Stand-in until an image is added
+
+const round = (value, unit) => (unit === OFFSET_UNIT.PERCENT ? Math.round(value * 10) / 10 : Math.round(value));
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = url;
+});
+
+// Anchor, offsets, rotation and tiling for an overlay (logo or text), with a
+// live preview drawn by the same overlay code as the export. The overlay can
+// be dragged on the preview; dragging keeps the anchor and rewrites the offsets.
+// measure(ctx, image) returns the overlay box in image pixels (or null while
+// it isn't ready) and draw(ctx, image) renders it; keep both memoized.
+function PlacementPanel({ placement, onChange, defaultPlacement, previewUrl, measure, draw }) {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [sample, setSample] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (previewUrl) {
+      loadImage(previewUrl).then(img => !cancelled && setSample(img)).catch(() => !cancelled && setSample(null));
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [previewUrl]);
+
+  const showSample = Boolean(previewUrl && sample);
+  const image = useMemo(
+    () => (showSample ? { width: sample.naturalWidth, height: sample.naturalHeight } : PLACEHOLDER_SIZE),
+    [showSample, sample]
+  );
+  const previewScale = PREVIEW_WIDTH / image.width;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    canvas.width = PREVIEW_WIDTH;
+    canvas.height = Math.round(image.height * previewScale);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(previewScale, 0, 0, previewScale, 0, 0);
+
+    if (showSample) {
+      ctx.drawImage(sample, 0, 0, image.width, image.height);
+    } else {
+      ctx.fillStyle = '#2d2d35';
+      ctx.fillRect(0, 0, image.width, image.height);
+    }
+    draw(ctx, image);
+  }, [image, previewScale, showSample, sample, draw]);
+
+  const update = (changes) => onChange({ ...placement, ...changes });
+
+  // Pointer position in image pixels
+  const toImage = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * image.width,
+      y: ((e.clientY - rect.top) / rect.height) * image.height
+    };
+  };
+
+  const measureBox = () => measure(canvasRef.current.getContext('2d'), image);
+
+  const moveTo = (point, grab) => {
+    const offsets = offsetsForPosition(image, grab.box, placement, { x: point.x - grab.x, y: point.y - grab.y });
+    update({ offsetX: round(offsets.offsetX, placement.unit), offsetY: round(offsets.offsetY, placement.unit) });
+  };
+
+  const handlePointerDown = (e) => {
+    if (placement.tile || e.button !== 0) return;
+    const box = measureBox();
+    if (!box) return;
+    const point = toImage(e);
+    const position = logoPosition(image, box, placement);
+    const inside = point.x >= position.x && point.x <= position.x + box.width &&
+      point.y >= position.y && point.y <= position.y + box.height;
+    // Grabbing the overlay moves it; clicking elsewhere jumps it there
+    const grab = inside
+      ? { x: point.x - position.x, y: point.y - position.y, box }
+      : { x: box.width / 2, y: box.height / 2, box };
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = grab;
+    moveTo(point, grab);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragRef.current) moveTo(toImage(e), dragRef.current);
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Switching units keeps the overlay where it is on the preview image
+  const setUnit = (unit) => {
+    const box = measureBox();
+    if (!box) {
+      update({ unit, offsetX: defaultPlacement.offsetX, offsetY: defaultPlacement.offsetY });
+      return;
+    }
+    const position = logoPosition(image, box, placement);
+    const offsets = offsetsForPosition(image, box, { ...placement, unit }, position);
+    update({ unit, offsetX: round(offsets.offsetX, unit), offsetY: round(offsets.offsetY, unit) });
+  };
+
+  const setNumber = (key, value) => {
+    if (value !== '' && Number.isFinite(Number(value))) update({ [key]: Number(value) });
+  };
+
+  return (
+    <div className="logo-placement">
+      <canvas
+        ref={canvasRef}
+        className={`logo-placement-preview ${placement.tile ? '' : 'draggable'}`}
+        title={placement.tile ? undefined : '拖曳以移動位置'}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+
+      <div className="logo-placement-controls">
+        <div className="anchor-grid" role="radiogroup" aria-label="對齊位置">
+          {ANCHORS.map(([anchor, label]) => (
+            <button
+              key={anchor}
+              role="radio"
+              aria-checked={placement.anchor === anchor}
+              className={placement.anchor === anchor ? 'active' : ''}
+              disabled={placement.tile}
+              onClick={() => update({ anchor })}
+              title={label}
+            />
+          ))}
+        </div>
+
+        <div className="logo-sliders">
+          <div className="slider-group">
+            <label>位移:</label>
+            <input
+              type="number"
+              className="offset-input"
+              value={placement.offsetX}
+              step={placement.unit === OFFSET_UNIT.PERCENT ? 0.5 : 1}
+              disabled={placement.tile}
+              onChange={(e) => setNumber('offsetX', e.target.value)}
+              aria-label="水平位移"
+            />
+            <input
+              type="number"
+              className="offset-input"
+              value={placement.offsetY}
+              step={placement.unit === OFFSET_UNIT.PERCENT ? 0.5 : 1}
+              disabled={placement.tile}
+              onChange={(e) => setNumber('offsetY', e.target.value)}
+              aria-label="垂直位移"
+            />
+            <select className="export-format-select" value={placement.unit} disabled={placement.tile} onChange={(e) => setUnit(e.target.value)}>
+              <option value={OFFSET_UNIT.PX}>像素</option>
+              <option value={OFFSET_UNIT.PERCENT}>%</option>
+            </select>
+          </div>
+          <div className="slider-group">
+            <label>旋轉:</label>
+            <input
+              type="range"
+              min="-180"
+              max="180"
+              value={placement.rotation}
+              onChange={(e) => update({ rotation: Number(e.target.value) })}
+            />
+            <span>{placement.rotation}°</span>
+          </div>
+          <label className="card-option">
+            <input
+              type="checkbox"
+              checked={placement.tile}
+              onChange={(e) => update({ tile: e.target.checked })}
+            />
+            斜向重複平鋪（樣張用）
+          </label>
+          {placement.tile && (
+            <div className="slider-group">
+              <label>間距:</label>
+              <input
+                type="range"
+                min="0"
+                max="300"
+                step="10"
+                value={Math.round(placement.spacing * 100)}
+                onChange={(e) => update({ spacing: Number(e.target.value) / 100 })}
+              />
+              <span>{Math.round(placement.spacing * 100)}%</span>
+            </div>
+          )}
+          <button className="intensity-reset-btn" onClick={() => onChange(defaultPlacement)}>
+            重設位置
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PlacementPanel;
@@ -0,0 +1,136 @@
+import React, { useCallback } from 'react';
+import {
+  OFFSET_UNIT,
+  TEXT_FONTS,
+  DEFAULT_TEXT_OVERLAY,
+  expandTextTemplate,
+  measureTextOverlay,
+  drawTextOverlay
+} from '../lib/overlay';
+import PlacementPanel from './PlacementPanel';
+
+// Text watermark: template, font and effects, plus the shared placement
+// controls. The preview expands the template for the preview image.
+function TextOverlayPanel({ overlay, onChange, previewUrl, previewName }) {
+  const update = (changes) => onChange({ ...overlay, ...changes });
+  const text = expandTextTemplate(overlay.template, { filename: previewName || 'image.png' });
+
+  const measure = useCallback((ctx, image) => measureTextOverlay(ctx, text, image, overlay), [text, overlay]);
+  const draw = useCallback((ctx, image) => drawTextOverlay(ctx, text, image, overlay), [text, overlay]);
+
+  const setNumber = (key, value) => {
+    if (value !== '' && Number.isFinite(Number(value))) update({ [key]: Number(value) });
+  };
+
+  return (
+    <>
+      <div className="text-overlay-controls">
+        <div className="slider-group text-template">
+          <label>文字:</label>
+          <input
+            type="text"
+            className="text-input"
+            value={overlay.template}
+            onChange={(e) => update({ template: e.target.value })}
+            placeholder="{name} © {year}"
+          />
+        </div>
+        <div className="text-template-hint">
+          可用變數：{'{name}'} 檔名（不含副檔名）、{'{filename}'} 完整檔名、{'{year}'} 年份、{'{date}'} 日期
+        </div>
+
+        <div className="slider-group">
+          <label>字型:</label>
+          <select className="export-format-select" value={overlay.font} onChange={(e) => update({ font: e.target.value })}>
+            {TEXT_FONTS.map(([font, label]) => (
+              <option key={font} value={font}>{label}</option>
+            ))}
+          </select>
+          <label className="card-option">
+            <input type="checkbox" checked={overlay.bold} onChange={(e) => update({ bold: e.target.checked })} />
+            粗體
+          </label>
+          <input
+            type="color"
+            value={overlay.color}
+            onChange={(e) => update({ color: e.target.value })}
+            title="文字顏色"
+          />
+        </div>
+
+        <div className="slider-group">
+          <label>字級:</label>
+          <input
+            type="number"
+            className="offset-input"
+            min="0.1"
+            step={overlay.unit === OFFSET_UNIT.PERCENT ? 0.5 : 1}
+            value={overlay.size}
+            onChange={(e) => setNumber('size', e.target.value)}
+          />
+          <select className="export-format-select" value={overlay.unit} onChange={(e) => update({ unit: e.target.value })}>
+            <option value={OFFSET_UNIT.PX}>像素</option>
+            <option value={OFFSET_UNIT.PERCENT}>% 圖片高度</option>
+          </select>
+        </div>
+
+        <div className="slider-group">
+          <label>透明度:</label>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={overlay.opacity}
+            onChange={(e) => update({ opacity: Number(e.target.value) })}
+          />
+          <span>{overlay.opacity}%</span>
+        </div>
+
+        <div className="slider-group">
+          <label>外框:</label>
+          <input
+            type="range"
+            min="0"
+            max="20"
+            value={overlay.strokeWidth}
+            onChange={(e) => update({ strokeWidth: Number(e.target.value) })}
+          />
+          <input
+            type="color"
+            value={overlay.strokeColor}
+            onChange={(e) => update({ strokeColor: e.target.value })}
+            title="外框顏色"
+          />
+        </div>
+
+        <div className="slider-group">
+          <label>陰影:</label>
+          <input
+            type="range"
+            min="0"
+            max="50"
+            value={overlay.shadowBlur}
+            onChange={(e) => update({ shadowBlur: Number(e.target.value) })}
+          />
+          <input
+            type="color"
+            value={overlay.shadowColor}
+            onChange={(e) => update({ shadowColor: e.target.value })}
+            title="陰影顏色"
+          />
+        </div>
+      </div>
+
+      <PlacementPanel
+        placement={overlay.placement}
+        onChange={(placement) => update({ placement })}
+        defaultPlacement={DEFAULT_TEXT_OVERLAY.placement}
+        previewUrl={previewUrl}
+        measure={measure}
+        draw={draw}
+      />
+    </>
+  );
+}
+
+export default TextOverlayPanel;
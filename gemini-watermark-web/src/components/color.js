@@ -0,0 +1,5 @@
+// [r, g, b] <-> "#rrggbb" for <input type="color">
+
+export const toHex = (color) => `#${color.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+export const fromHex = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
@@ -0,0 +1,41 @@
+// Zoom/pan math shared by the full-screen image views. A view is
+// { scale, x, y }: image pixels times scale, offset by (x, y) in the pane.
+
+export const MIN_SCALE = 0.02;
+export const MAX_SCALE = 32;
+export const ZOOM_STEP = 1.25;
+export const PIXELATED_SCALE = 2; // Show hard pixel edges from 200% up
+
+export const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+// Scale and center an image inside a pane
+export const fitView = (natural, pane) => {
+  if (!natural || !pane) return null;
+  const scale = Math.min(1, pane.width / natural.width, pane.height / natural.height);
+  return {
+    scale,
+    x: (pane.width - natural.width * scale) / 2,
+    y: (pane.height - natural.height * scale) / 2
+  };
+};
+
+// Zoom by a factor keeping the pane point (cx, cy) fixed
+export const zoomView = (view, factor, cx, cy) => {
+  const scale = clampScale(view.scale * factor);
+  const ratio = scale / view.scale;
+  return {
+    scale,
+    x: cx - (cx - view.x) * ratio,
+    y: cy - (cy - view.y) * ratio
+  };
+};
+
+// Center a rectangle (image pixels) with half its size of context around it
+export const viewAround = (rect, pane) => {
+  const scale = clampScale(Math.min(pane.width, pane.height) / (Math.max(rect.width, rect.height) * 2));
+  return {
+    scale,
+    x: pane.width / 2 - (rect.x + rect.width / 2) * scale,
+    y: pane.height / 2 - (rect.y + rect.height / 2) * scale
+  };
+};
@@ -0,0 +1,138 @@
+// Saving a whole batch: writing each file into a folder picked with
+// showDirectoryPicker, or the ZIP archive used where that isn't available.
+// Files are passed as { name, getBlob } so each image is only fetched when
+// its turn comes; names may contain "/" to place files in subfolders.
+
+import JSZip from 'jszip';
+
+// What to do when the folder already has a file of the same name
+export const CONFLICT_POLICY = {
+    OVERWRITE: 'overwrite',
+    SKIP: 'skip',
+    RENAME: 'rename' // "name (1).png", "name (2).png", ...
+};
+
+// "photo.png", 2 -> "photo (2).png"
+export function numberedName(name, n) {
+    const dot = name.lastIndexOf('.');
+    return dot > name.lastIndexOf('/') + 1 ? `${name.slice(0, dot)} (${n})${name.slice(dot)}` : `${name} (${n})`;
+}
+
+// First of name, "name (1)", "name (2)", ... for which taken(candidate) is false
+async function freeName(name, taken) {
+    let candidate = name;
+    for (let n = 1; await taken(candidate); n++) candidate = numberedName(name, n);
+    return candidate;
+}
+
+// Handle of the folder a relative path goes into, created as needed, and the file name
+async function resolvePath(root, path, folders) {
+    const parts = path.split('/');
+    const name = parts.pop();
+    let directory = root;
+    let key = '';
+    for (const part of parts) {
+        key = key ? `${key}/${part}` : part;
+        if (!folders.has(key)) folders.set(key, await directory.getDirectoryHandle(part, { create: true }));
+        directory = folders.get(key);
+    }
+    return { directory, folder: parts.join('/'), name };
+}
+
+async function entryExists(directory, name) {
+    try {
+        await directory.getFileHandle(name);
+        return true;
+    } catch (err) {
+        if (err.name === 'NotFoundError') return false;
+        if (err.name === 'TypeMismatchError') return true; // A folder of that name
+        throw err;
+    }
+}
+
+const throwIfAborted = (signal) => {
+    if (signal?.aborted) throw signal.reason ?? new DOMException('Batch save cancelled', 'AbortError');
+};
+
+/**
+ * Write each file into a directory handle. Per-file failures are collected
+ * rather than stopping the batch; cancelling through `signal` stops before
+ * the next file and rejects with an AbortError.
+ *
+ * @param {FileSystemDirectoryHandle} root
+ * @param {{ name: string, getBlob: () => Promise<Blob> }[]} files
+ * @param {{ conflict?: string, onProgress?: (fraction: number) => void, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ written: string[], skipped: string[], failed: { name: string, error: Error }[] }>}
+ */
+export async function saveToDirectory(root, files, { conflict = CONFLICT_POLICY.RENAME, onProgress, signal } = {}) {
+    const result = { written: [], skipped: [], failed: [] };
+    const used = new Set(); // Paths written by this batch, never overwritten by it
+    const folders = new Map(); // Relative folder path -> handle
+
+    for (const [i, file] of files.entries()) {
+        throwIfAborted(signal);
+
+        let path = file.name;
+        let writable = null;
+        try {
+            const { directory, folder, name } = await resolvePath(root, file.name, folders);
+            const join = (candidate) => (folder ? `${folder}/${candidate}` : candidate);
+            const taken = async (candidate) => used.has(join(candidate)) || await entryExists(directory, candidate);
+
+            let target = name;
+            if (used.has(path)) {
+                target = await freeName(name, taken);
+            } else if (conflict !== CONFLICT_POLICY.OVERWRITE && await entryExists(directory, name)) {
+                if (conflict === CONFLICT_POLICY.SKIP) {
+                    result.skipped.push(path);
+                    onProgress?.((i + 1) / files.length);
+                    continue;
+                }
+                target = await freeName(name, taken);
+            }
+            path = join(target);
+
+            const blob = await file.getBlob();
+            const handle = await directory.getFileHandle(target, { create: true });
+            writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+            used.add(path);
+            result.written.push(path);
+        } catch (error) {
+            await writable?.abort().catch(() => {});
+            result.failed.push({ name: path, error });
+        }
+        onProgress?.((i + 1) / files.length);
+    }
+
+    return result;
+}
+
+/**
+ * Pack the files into one ZIP archive. Duplicate names get numbered like
+ * the RENAME policy. Progress covers fetching the files (first half) and
+ * compressing them (second half).
+ *
+ * @param {{ name: string, getBlob: () => Promise<Blob> }[]} files
+ * @param {{ onProgress?: (fraction: number) => void, signal?: AbortSignal }} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function buildZip(files, { onProgress, signal } = {}) {
+    const zip = new JSZip();
+    const used = new Set();
+
+    for (const [i, file] of files.entries()) {
+        throwIfAborted(signal);
+        const name = await freeName(file.name, async (candidate) => used.has(candidate));
+        used.add(name);
+        // Bytes rather than the Blob, which JSZip only reads through FileReader (missing in Node)
+        zip.file(name, await (await file.getBlob()).arrayBuffer());
+        onProgress?.((i + 1) / files.length / 2);
+    }
+
+    throwIfAborted(signal);
+    const blob = await zip.generateAsync({ type: 'blob' }, (metadata) => onProgress?.(0.5 + metadata.percent / 200));
+    throwIfAborted(signal);
+    return blob;
+}
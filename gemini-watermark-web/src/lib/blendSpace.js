@@ -0,0 +1,42 @@
+// Color spaces the reverse blend can run in. Pixels are stored sRGB-encoded,
+// but a watermark composited in linear light (as many renderers and GPUs
+// do) only follows c = a * L + (1 - a) * b after decoding the transfer
+// curve; reversing it on the encoded values leaves halos. Both spaces work
+// on 0-255 levels so the engine's thresholds apply unchanged.
+
+export const BLEND_SPACE = {
+    SRGB: 'srgb',
+    LINEAR: 'linear',
+    AUTO: 'auto' // Try both, keep the one with the smaller residual
+};
+
+// sRGB transfer curve (IEC 61966-2-1), on 0-255 levels
+export function srgbToLinear(level) {
+    const v = level / 255;
+    return 255 * (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4));
+}
+
+export function linearToSrgb(level) {
+    const v = Math.max(0, level / 255);
+    return 255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+}
+
+const identity = (level) => level;
+const LINEAR_LEVELS = Float32Array.from({ length: 256 }, (_, i) => srgbToLinear(i));
+
+// Whole 8-bit levels come from the table; fractional ones (float images)
+// go through the curve
+const decodeLinear = (level) => LINEAR_LEVELS[level] ?? srgbToLinear(level);
+
+/**
+ * Conversions between stored sRGB levels and a blend space.
+ *
+ * @param {string} id BLEND_SPACE.SRGB or BLEND_SPACE.LINEAR
+ * @returns {{ id: string, decode: (level: number) => number, toBlend: (level: number) => number, fromBlend: (level: number) => number }}
+ *   `decode` is `toBlend` made fast for stored pixel values
+ */
+export function blendSpace(id) {
+    if (id === BLEND_SPACE.SRGB) return { id, decode: identity, toBlend: identity, fromBlend: identity };
+    if (id === BLEND_SPACE.LINEAR) return { id, decode: decodeLinear, toBlend: srgbToLinear, fromBlend: linearToSrgb };
+    throw new Error(`Unknown blend space: ${id}`);
+}
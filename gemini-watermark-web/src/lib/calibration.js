@@ -0,0 +1,248 @@
+// Deriving a watermark template (alpha map, logo color, size and margins)
+// from examples instead of the fixed bg_48.png / bg_96.png captures: the
+// same logo rendered over black and over white, or several watermarked
+// images whose bottom-right corner is a solid color. Works on plain RGBA
+// buffers like core.js; the caller crops the bottom-right corner region
+// (the same size for every sample) out of each image.
+//
+// Every sample pixel follows the blend the engine reverses,
+//   c = a * L + (1 - a) * b
+// with a the alpha, L the logo color and b the solid background. With at
+// least two different backgrounds both a and L can be solved per pixel;
+// with one, the logo color has to be assumed.
+
+import { TEMPLATE_ANCHOR, serializeTemplate } from './templates.js';
+
+export const CALIBRATION_MODE = {
+    BLACK_WHITE: 'black-white',
+    SAMPLES: 'samples'
+};
+
+export const CALIBRATION_ERROR = {
+    NO_SAMPLES: 'no-samples',
+    SIZE_MISMATCH: 'size-mismatch',
+    NO_LOGO: 'no-logo'
+};
+
+export const DEFAULT_SEARCH_SIZE = 192; // Corner square searched; fits the 96px logo and its 64px margin
+
+const BACKGROUND_RING = 4; // Border (px) of the region the background is read from
+const MIN_BACKGROUND_SPREAD = 48; // RMS spread of the backgrounds needed to solve the color
+const COLOR_MIN_ALPHA = 0.2; // Pixels used for the logo color
+const LOGO_MIN_ALPHA = 0.05; // Pixels counted as logo for its bounding box
+const NOISE_ALPHA = 0.01; // Below this the map is set to zero
+const WHITE = [255, 255, 255];
+
+function calibrationError(reason, message) {
+    const error = new Error(message);
+    error.name = 'CalibrationError';
+    error.reason = reason;
+    return error;
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[sorted.length >> 1];
+};
+
+// Side of the bottom-right square to crop from every sample
+export function calibrationRegionSize(sizes, searchSize = DEFAULT_SEARCH_SIZE) {
+    return Math.min(searchSize, ...sizes.map(({ width, height }) => Math.min(width, height)));
+}
+
+/**
+ * Background color of a corner region from its border, where the logo
+ * never reaches, and how far the border strays from it (mean absolute
+ * difference in 8-bit levels; high means the region is not solid).
+ *
+ * @param {import('./core.js').RgbaImage} region
+ * @returns {{ color: number[], deviation: number }}
+ */
+export function sampleBackground(region, ring = BACKGROUND_RING) {
+    const { width, height, data } = region;
+    const channels = [[], [], []];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (x >= ring && x < width - ring && y >= ring && y < height - ring) continue;
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) channels[c].push(data[i + c]);
+        }
+    }
+
+    const color = channels.map(median);
+    let deviation = 0;
+    channels.forEach((values, c) => {
+        for (const value of values) deviation += Math.abs(value - color[c]);
+    });
+    return { color, deviation: deviation / (channels[0].length * 3) };
+}
+
+// The logo rendered over pure black and pure white
+export function blackWhiteSamples(black, white) {
+    return [
+        { region: black, background: [0, 0, 0] },
+        { region: white, background: [255, 255, 255] }
+    ];
+}
+
+// Alpha of one pixel for a known logo color: least squares over the
+// samples and channels of (c - b) = a * (L - b)
+function alphaForColor(samples, i, color) {
+    let num = 0;
+    let den = 0;
+    for (const { region, background } of samples) {
+        for (let c = 0; c < 3; c++) {
+            const contrast = color[c] - background[c];
+            num += (region.data[i * 4 + c] - background[c]) * contrast;
+            den += contrast * contrast;
+        }
+    }
+    return den > 0 ? clamp(num / den, 0, 1) : 0;
+}
+
+// Logo color from the per-pixel solution. Writing p = a * L, the blend is
+// linear in (a, p): c - b = p - a * b. For fixed a the best p is the mean
+// over the samples, which leaves a closed form for a; the logo color is
+// then the alpha-weighted fit of p = a * L over the confident pixels.
+function estimateLogoColor(samples, pixelCount) {
+    const n = samples.length;
+    const meanBackground = [0, 1, 2].map(c => samples.reduce((sum, s) => sum + s.background[c], 0) / n);
+    let backgroundVariance = 0;
+    for (const { background } of samples) {
+        for (let c = 0; c < 3; c++) backgroundVariance += (background[c] - meanBackground[c]) ** 2;
+    }
+
+    const weighted = [0, 0, 0];
+    let weight = 0;
+    for (let i = 0; i < pixelCount; i++) {
+        const diff = (s, c) => s.region.data[i * 4 + c] - s.background[c];
+        const meanDiff = [0, 1, 2].map(c => samples.reduce((sum, s) => sum + diff(s, c), 0) / n);
+
+        let cov = 0;
+        for (const s of samples) {
+            for (let c = 0; c < 3; c++) cov += (diff(s, c) - meanDiff[c]) * (s.background[c] - meanBackground[c]);
+        }
+        const a = clamp(-cov / backgroundVariance, 0, 1);
+        if (a < COLOR_MIN_ALPHA) continue;
+
+        for (let c = 0; c < 3; c++) weighted[c] += a * (meanDiff[c] + a * meanBackground[c]);
+        weight += a * a;
+    }
+    return weight > 0 ? weighted.map(value => clamp(Math.round(value / weight), 0, 255)) : null;
+}
+
+/**
+ * Solve the alpha map and logo color from samples of the same corner
+ * region, then crop it to the logo's square box.
+ *
+ * @param {{ region: import('./core.js').RgbaImage, background: number[] }[]} samples
+ * @param {{ logoColor?: number[] }} [options] Color assumed when the backgrounds are too alike to solve it
+ * @returns {{
+ *   alphaMap: { width: number, height: number, data: Float32Array },
+ *   size: number,
+ *   margin: { right: number, bottom: number },
+ *   logoColor: number[],
+ *   colorEstimated: boolean,
+ *   residual: number
+ * }} `margin` is measured from the region's (and so the image's) bottom-right
+ *   corner; `residual` is the RMS error of the fitted blend in 8-bit levels
+ */
+export function calibrate(samples, { logoColor = WHITE } = {}) {
+    if (samples.length === 0) throw calibrationError(CALIBRATION_ERROR.NO_SAMPLES, 'No samples to calibrate from');
+    const { width, height } = samples[0].region;
+    if (samples.some(({ region }) => region.width !== width || region.height !== height)) {
+        throw calibrationError(CALIBRATION_ERROR.SIZE_MISMATCH, 'Sample regions differ in size');
+    }
+
+    const pixelCount = width * height;
+    const n = samples.length;
+    const spread = Math.sqrt(samples.reduce((sum, a) => sum + samples.reduce((inner, b) =>
+        inner + a.background.reduce((d, value, c) => d + (value - b.background[c]) ** 2, 0), 0), 0) / (n * n * 3));
+
+    const estimated = spread >= MIN_BACKGROUND_SPREAD ? estimateLogoColor(samples, pixelCount) : null;
+    const color = estimated ?? logoColor;
+
+    // One shared color is far less noisy than the per-pixel solution
+    const alpha = new Float32Array(pixelCount);
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    for (let i = 0; i < pixelCount; i++) {
+        const a = alphaForColor(samples, i, color);
+        alpha[i] = a < NOISE_ALPHA ? 0 : a;
+        if (a < LOGO_MIN_ALPHA) continue;
+        const x = i % width;
+        const y = (i / width) | 0;
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+    }
+    if (right < 0) throw calibrationError(CALIBRATION_ERROR.NO_LOGO, 'No logo found in the sample regions');
+
+    // The engine places square maps; center the box on the logo
+    const size = Math.min(Math.max(right - left, bottom - top) + 1, width, height);
+    const x0 = clamp(Math.round((left + right + 1 - size) / 2), 0, width - size);
+    const y0 = clamp(Math.round((top + bottom + 1 - size) / 2), 0, height - size);
+
+    const data = new Float32Array(size * size);
+    let squared = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const i = (y0 + y) * width + x0 + x;
+            const a = alpha[i];
+            data[y * size + x] = a;
+            for (const { region, background } of samples) {
+                for (let c = 0; c < 3; c++) {
+                    squared += (region.data[i * 4 + c] - (a * color[c] + (1 - a) * background[c])) ** 2;
+                }
+            }
+        }
+    }
+
+    return {
+        alphaMap: { width: size, height: size, data },
+        size,
+        margin: { right: width - x0 - size, bottom: height - y0 - size },
+        logoColor: color,
+        colorEstimated: estimated !== null,
+        residual: Math.sqrt(squared / (size * size * n * 3))
+    };
+}
+
+// Alpha map as a capture of a white logo over black, the format of
+// bg_48.png / bg_96.png that WatermarkCore.alphaMapFromRgba reads back
+export function alphaMapToRgba({ width, height, data }) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i++) {
+        const value = Math.round(data[i] * 255);
+        rgba.set([value, value, value, 255], i * 4);
+    }
+    return { width, height, data: rgba };
+}
+
+/**
+ * Template file (see templates.js) for a calibration result. The alpha map
+ * travels as an image URL, usually a PNG data URL of alphaMapToRgba, so it
+ * can also be saved next to bg_48.png and bg_96.png.
+ *
+ * @param {ReturnType<typeof calibrate>} result
+ * @param {{ id: string, label: string, minWidth?: number, minHeight?: number }} meta
+ *   The template applies to images at least minWidth x minHeight
+ * @param {string} alphaMapUrl
+ */
+export function createTemplate(result, { id, label, minWidth = 0, minHeight = 0 }, alphaMapUrl) {
+    return serializeTemplate({
+        id,
+        label,
+        size: result.size,
+        anchor: TEMPLATE_ANCHOR.BOTTOM_RIGHT,
+        margin: { ...result.margin },
+        rule: { minWidth, minHeight },
+        logoColor: [...result.logoColor],
+        alphaMapUrl
+    });
+}
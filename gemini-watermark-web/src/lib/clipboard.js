@@ -0,0 +1,78 @@
+// Copying images to the clipboard. Browsers only take images as PNG, and
+// Office apps (Outlook, Word) downscale pasted bitmaps to screen size, so an
+// HTML fragment embedding the same PNG goes along where the browser allows
+// it: those apps prefer the HTML and keep the full resolution.
+
+import { toPngBlob } from './outputFormat.js';
+
+const PNG = 'image/png';
+const HTML = 'text/html';
+
+const escapeAttribute = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Width and height from the IHDR chunk, null if the bytes aren't a PNG
+export function pngSize(bytes) {
+    if (bytes.length < 24 || bytes[0] !== 0x89 || bytes[1] !== 0x50) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+export function bytesToDataUrl(bytes, mime) {
+    let binary = '';
+    const CHUNK = 0x8000; // Keep String.fromCharCode under the argument limit
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+    }
+    return `data:${mime};base64,${btoa(binary)}`;
+}
+
+// <img> embedding a PNG at its own pixel size
+export function imageHtml(bytes, alt = '') {
+    const size = pngSize(bytes);
+    const dimensions = size ? ` width="${size.width}" height="${size.height}"` : '';
+    return `<img src="${bytesToDataUrl(bytes, PNG)}"${dimensions} alt="${escapeAttribute(alt)}">`;
+}
+
+// Types to offer: PNG always, HTML where the browser says it takes it
+// (browsers without ClipboardItem.supports all accept text/html)
+export function clipboardTypes(ClipboardItemImpl = globalThis.ClipboardItem) {
+    if (typeof ClipboardItemImpl?.supports !== 'function') return [PNG, HTML];
+    return [PNG, HTML].filter(type => ClipboardItemImpl.supports(type));
+}
+
+/**
+ * Put an image on the clipboard as PNG plus, where possible, HTML embedding
+ * the same PNG. Takes the image as a promise and hands the clipboard promises
+ * right away: Safari rejects writes that start after an await in the click
+ * handler.
+ *
+ * @param {Blob | Promise<Blob>} source Any decodable image
+ * @param {{ alt?: string, clipboard?: Clipboard, ClipboardItemImpl?: typeof ClipboardItem }} [options]
+ */
+export async function copyImageToClipboard(source, {
+    alt = '',
+    clipboard = navigator.clipboard,
+    ClipboardItemImpl = globalThis.ClipboardItem
+} = {}) {
+    if (!clipboard?.write || !ClipboardItemImpl) throw new Error('Clipboard image writing is not supported');
+
+    const png = Promise.resolve(source).then(toPngBlob);
+    const items = { [PNG]: png };
+    if (clipboardTypes(ClipboardItemImpl).includes(HTML)) {
+        items[HTML] = png.then(async (blob) => (
+            new Blob([imageHtml(new Uint8Array(await blob.arrayBuffer()), alt)], { type: HTML })
+        ));
+    }
+
+    try {
+        await clipboard.write([new ClipboardItemImpl(items)]);
+    } catch (err) {
+        // Some browsers refuse the pair; the PNG alone still helps
+        if (!items[HTML]) throw err;
+        await clipboard.write([new ClipboardItemImpl({ [PNG]: png })]);
+    }
+}
@@ -0,0 +1,146 @@
+// Contact sheet: the whole batch scaled into one grid with each file name
+// underneath, so it can be copied or shared as a single picture.
+
+import { createCanvas } from './watermark.js';
+import { OUTPUT_FORMAT, encodeCanvas } from './outputFormat.js';
+
+/**
+ * @typedef {Object} ContactSheetOptions
+ * @property {number} cell Largest side of each thumbnail
+ * @property {number} gap Space between cells
+ * @property {number} padding Border around the grid
+ * @property {number} label Height of the name line under each thumbnail
+ * @property {number} maxSide Cells shrink so neither side of the sheet exceeds this
+ * @property {string} background
+ * @property {string} color Label color
+ */
+export const DEFAULT_CONTACT_SHEET = {
+    cell: 480,
+    gap: 16,
+    padding: 24,
+    label: 28,
+    maxSide: 8192,
+    background: '#ffffff',
+    color: '#333333'
+};
+
+/**
+ * Where everything goes on the sheet. Columns follow the square root of the
+ * count so the sheet stays roughly square; thumbnails are never enlarged.
+ *
+ * @param {{ width: number, height: number }[]} sizes
+ * @param {Partial<ContactSheetOptions>} [options]
+ * @returns {{ width: number, height: number, cell: number, tiles: Object[] }} Each tile has
+ *   the thumbnail box (x, y, width, height) and the label's center and width
+ */
+export function contactSheetLayout(sizes, options = {}) {
+    const { cell: maxCell, gap, padding, label, maxSide } = { ...DEFAULT_CONTACT_SHEET, ...options };
+    const columns = Math.max(1, Math.ceil(Math.sqrt(sizes.length)));
+    const rows = Math.max(1, Math.ceil(sizes.length / columns));
+
+    const fixedX = 2 * padding + (columns - 1) * gap;
+    const fixedY = 2 * padding + (rows - 1) * gap + rows * label;
+    const cell = Math.max(1, Math.floor(Math.min(maxCell, (maxSide - fixedX) / columns, (maxSide - fixedY) / rows)));
+
+    const tiles = sizes.map((size, i) => {
+        const cellX = padding + (i % columns) * (cell + gap);
+        const cellY = padding + Math.floor(i / columns) * (cell + label + gap);
+        const scale = Math.min(1, cell / size.width, cell / size.height);
+        const width = Math.max(1, Math.round(size.width * scale));
+        const height = Math.max(1, Math.round(size.height * scale));
+        return {
+            x: cellX + Math.floor((cell - width) / 2),
+            y: cellY + (cell - height), // Bottom-aligned so every name sits right under its image
+            width,
+            height,
+            labelX: cellX + cell / 2,
+            labelY: cellY + cell + label / 2,
+            labelWidth: cell
+        };
+    });
+
+    return { width: fixedX + columns * cell, height: fixedY + rows * cell, cell, tiles };
+}
+
+// Shorten text with an ellipsis until it fits
+export function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (ctx.measureText(`${text.slice(0, mid)}…`).width <= maxWidth) low = mid;
+        else high = mid - 1;
+    }
+    return `${text.slice(0, low)}…`;
+}
+
+/**
+ * Decode the batch as thumbnails at their size on the sheet, one image at a
+ * time, so full-resolution pixels are never held for more than one image.
+ * Sources without a known size are decoded once more just to measure them.
+ * If any decode fails, the thumbnails made so far are closed.
+ *
+ * @param {{ getBlob: () => Promise<Blob>, name: string, width?: number, height?: number }[]} sources
+ * @param {Partial<ContactSheetOptions>} [options]
+ * @param {(blob: Blob, options?: ImageBitmapOptions) => Promise<ImageBitmap>} [decode]
+ * @returns {Promise<{ image: ImageBitmap, name: string }[]>} For renderContactSheet;
+ *   the caller closes the images
+ */
+export async function loadContactSheetEntries(sources, options = {}, decode = (blob, opts) => createImageBitmap(blob, opts)) {
+    const entries = [];
+    try {
+        const sizes = [];
+        for (const source of sources) {
+            if (source.width && source.height) {
+                sizes.push({ width: source.width, height: source.height });
+            } else {
+                const probe = await decode(await source.getBlob());
+                sizes.push({ width: probe.width, height: probe.height });
+                probe.close();
+            }
+        }
+
+        const { tiles } = contactSheetLayout(sizes, options);
+        for (const [i, source] of sources.entries()) {
+            const { width, height } = tiles[i];
+            const image = await decode(await source.getBlob(), { resizeWidth: width, resizeHeight: height, resizeQuality: 'high' });
+            entries.push({ image, name: source.name });
+        }
+        return entries;
+    } catch (error) {
+        entries.forEach(entry => entry.image.close());
+        throw error;
+    }
+}
+
+/**
+ * Draw the sheet and encode it as PNG.
+ *
+ * @param {{ image: CanvasImageSource & { width: number, height: number }, name: string }[]} entries
+ * @param {Partial<ContactSheetOptions>} [options]
+ * @returns {Promise<Blob>}
+ */
+export function renderContactSheet(entries, options = {}) {
+    const settings = { ...DEFAULT_CONTACT_SHEET, ...options };
+    const layout = contactSheetLayout(entries.map(entry => entry.image), settings);
+
+    const canvas = createCanvas(layout.width, layout.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = settings.background;
+    ctx.fillRect(0, 0, layout.width, layout.height);
+
+    ctx.imageSmoothingQuality = 'high';
+    ctx.font = `${Math.round(settings.label * 0.5)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = settings.color;
+
+    entries.forEach((entry, i) => {
+        const tile = layout.tiles[i];
+        ctx.drawImage(entry.image, tile.x, tile.y, tile.width, tile.height);
+        ctx.fillText(fitText(ctx, entry.name, tile.labelWidth), tile.labelX, tile.labelY);
+    });
+
+    return encodeCanvas(canvas, OUTPUT_FORMAT.PNG);
+}
@@ -0,0 +1,1121 @@
+import { BUILTIN_TEMPLATES, anchorSides, templateBox, templateMargins, selectTemplate } from './templates.js';
+import { BLEND_SPACE, blendSpace } from './blendSpace.js';
+
+export { BLEND_SPACE } from './blendSpace.js';
+
+const MAX_ALPHA = 0.99; // Avoid division by near-zero
+const ALPHA_THRESHOLD = 0.002; // Ignore very small alpha (noise)
+const DETECTION_THRESHOLD = 0.25; // Minimum correlation to treat the logo as present
+const LOCATE_THRESHOLD = 0.35; // Stricter, since the search also maximizes over chance matches
+const SEARCH_RADIUS = 12; // Max shift (px) from the expected corner position
+const SEARCH_SCALE_MIN = 0.5;
+const SEARCH_SCALE_MAX = 1.5;
+const SEARCH_SCALE_STEP = 1.1; // Geometric step of the coarse scale search
+const SEARCH_SCALE_REFINE = 8; // 0.2% steps either side of the fine scale winner
+const SEARCH_MIN_LOGO = 32; // Smaller logos match noise too easily
+const ESTIMATE_RING = 6; // Border (px) around the logo used to model the background
+const ESTIMATE_MIN_ALPHA = 0.05; // Pixels the logo barely touches carry no signal
+const ESTIMATE_INTENSITY_RANGE = [0.2, 2.0];
+const ESTIMATE_LOGO_RANGE = [128, 255];
+const INPAINT_ALPHA = 0.45; // Above this the division amplifies noise more than ~1.8x
+const INPAINT_CLIP_TOLERANCE = 8; // Results this far outside 0-255 are unreliable
+const INPAINT_ITERATIONS = 80;
+const INPAINT_INPUT_ERROR = 1.5; // Levels the watermarked input may be off: rounding plus some noise
+const INPAINT_ROUGHNESS_RATIO = 2; // Fill where the slack exceeds this many times the background roughness
+
+// Ids of the built-in templates (see templates.js)
+export const WATERMARK_SIZE = {
+    SMALL: 'small',
+    LARGE: 'large'
+};
+
+export const INPAINT_MODE = {
+    NONE: 'none',
+    DIFFUSION: 'diffusion'
+};
+
+export const PRECISION = {
+    UINT8: 'uint8',
+    FLOAT: 'float'
+};
+
+export const SIZE_MODE_AUTO = 'auto';
+export const INTENSITY_AUTO = 'auto';
+export const LOGO_COLOR_AUTO = 'auto';
+
+/**
+ * Public API of the shared watermark library, used by the React app, the
+ * vanilla page (script.js) and the Node CLI. Bump VERSION when any of the
+ * exported signatures or typedefs below change.
+ *
+ * @typedef {Object} RgbaImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8ClampedArray | Float32Array} data RGBA, 4 values per pixel (ImageData
+ *   layout); float data (e.g. from a 16-bit source) is on the same 0-255 scale and
+ *   keeps its fractions
+ *
+ * @typedef {Object} ProcessOptions
+ * @property {string} [size='auto'] Template id; 'auto' detects presence and template
+ * @property {number | 'auto'} [intensity=1] Alpha scale; 'auto' estimates it and the logo value per image
+ * @property {number} [logoValue] Logo brightness, ignored when intensity is 'auto'; scales
+ *   the logo color, which defaults to the template's
+ * @property {number[] | 'auto'} [logoColor] [r, g, b] used as is instead of the template's
+ *   color (and color map) and logoValue; 'auto' estimates each channel per image
+ * @property {'srgb' | 'linear' | 'auto'} [blendSpace='srgb'] Reverse the blend on the encoded
+ *   values or in linear light; 'auto' tries both and keeps the smaller residual
+ * @property {'uint8' | 'float'} [precision='uint8'] 'float' keeps the area around the logo in
+ *   a Float32Array through the blend and inpainting, rounding only when it goes back into
+ *   8-bit data; float images are always processed this way
+ * @property {boolean} [dither=false] Quantize float results to whole levels with ordered
+ *   dithering, which turns the banding of smooth dark gradients into fine noise
+ * @property {boolean} [localize=false] Search offsets and scales for cropped or resized images
+ * @property {'none' | 'diffusion'} [inpaint='none'] Residual cleanup post-pass
+ * @property {ManualPlacement | null} [placement=null] Apply the alpha map at this box
+ *   instead of the bottom-right corner; skips detection and localize
+ *
+ * @typedef {Object} ManualPlacement
+ * @property {number} x Logo top-left in image pixels (sub-pixel)
+ * @property {number} y
+ * @property {number} size Logo width and height in image pixels
+ *
+ * @typedef {Object} Transform
+ * @property {number} x Logo top-left in image pixels (sub-pixel)
+ * @property {number} y
+ * @property {number} size Logo width and height in image pixels
+ * @property {number} scale Relative to the native logo size
+ * @property {number} dx Offset from the native corner position
+ * @property {number} dy
+ *
+ * @typedef {Object} Detection
+ * @property {boolean} found
+ * @property {string | null} size Template id
+ * @property {number} confidence 0-1
+ * @property {Object<string, number>} scores By template id
+ * @property {Transform | null} transform
+ *
+ * @typedef {Object} ProcessResult
+ * @property {boolean} applied Whether any pixels were changed
+ * @property {string | null} size Template id
+ * @property {Detection | null} detection Only in auto size mode
+ * @property {Transform | null} transform
+ * @property {{ intensity: number, logoValue: number, logoColor: number[] } | null} estimate
+ *   Only with intensity or logoColor 'auto'
+ * @property {number} inpainted Pixels filled by the inpainting post-pass
+ * @property {string | null} blendSpace The space the blend was reversed in
+ * @property {Object<string, number> | null} residuals Logo left after removal, by blend
+ *   space tried (see residualLevel); closer to 0 is better
+ * @property {{ x: number, y: number, width: number, height: number } | null} region Pixels that may have changed
+ */
+export const VERSION = '2.3.0';
+
+// Copy a rectangle out of an RGBA image, like getImageData; into the
+// image's own array type unless another is given
+export function readRegion(image, x, y, width, height, ArrayType = image.data.constructor) {
+    const data = new ArrayType(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        const start = ((y + row) * image.width + x) * 4;
+        data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return { width, height, data };
+}
+
+// Paste a region back into an RGBA image, like putImageData
+export function writeRegion(image, region, x, y) {
+    for (let row = 0; row < region.height; row++) {
+        const start = row * region.width * 4;
+        image.data.set(region.data.subarray(start, start + region.width * 4), ((y + row) * image.width + x) * 4);
+    }
+}
+
+// 4x4 Bayer matrix as rounding offsets in (-0.5, 0.5)
+const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(value => (value + 0.5) / 16 - 0.5);
+
+/**
+ * A float region as 8-bit data. Dithering adds an ordered pattern, keyed to
+ * the region's position (x, y) in the image, before rounding: gradients
+ * restored with more than 8 bits of detail become a fine mix of the two
+ * nearest levels instead of bands, and whole levels stay as they are.
+ *
+ * @param {RgbaImage} region
+ * @param {{ dither?: boolean, x?: number, y?: number }} [options]
+ * @returns {RgbaImage}
+ */
+export function quantizeRegion(region, { dither = false, x = 0, y = 0 } = {}) {
+    const { width, height } = region;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const offset = dither ? BAYER[((y + row) & 3) * 4 + ((x + col) & 3)] : 0;
+            const idx = (row * width + col) * 4;
+            for (let c = 0; c < 3; c++) data[idx + c] = Math.round(region.data[idx + c] + offset);
+            data[idx + 3] = Math.round(region.data[idx + 3]);
+        }
+    }
+    return { width, height, data };
+}
+
+// 8-bit buffers round every write; anything else holds fractions
+const isFloatData = (data) => !(data instanceof Uint8ClampedArray || data instanceof Uint8Array);
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Brightness of an [r, g, b] logo color, the scalar the estimates work with
+const colorBrightness = (color) => (color[0] + color[1] + color[2]) / 3;
+
+// The same hue at another brightness
+function scaleColor(color, brightness) {
+    const current = colorBrightness(color);
+    if (current === 0) return [brightness, brightness, brightness];
+    return color.map(value => clamp(value * brightness / current, 0, 255));
+}
+
+// Solve the n×n system m·x = v (Gaussian elimination with partial
+// pivoting); null when singular
+function solveLinear(m, v) {
+    const n = v.length;
+    const rows = m.map((row, r) => [...row, v[r]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-9) return null;
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+        for (let r = col + 1; r < n; r++) {
+            const factor = rows[r][col] / rows[col][col];
+            for (let c = col; c <= n; c++) rows[r][c] -= factor * rows[col][c];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = rows[r][n];
+        for (let c = r + 1; c < n; c++) sum -= rows[r][c] * x[c];
+        x[r] = sum / rows[r][r];
+    }
+    return x;
+}
+
+// Solve the 3x3 system m·x = v (Cramer's rule); null when singular
+function solve3(m, v) {
+    const det3 = (a) =>
+        a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+        a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+        a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+    const det = det3(m);
+    if (Math.abs(det) < 1e-9) return null;
+
+    return [0, 1, 2].map((col) => {
+        const replaced = m.map((row, r) => row.map((value, c) => (c === col ? v[r] : value)));
+        return det3(replaced) / det;
+    });
+}
+
+// Reverse alpha blending math on plain RGBA buffers ({ width, height, data }).
+// Has no DOM dependency, so it runs in the browser, in workers and in Node.
+export class WatermarkCore {
+    constructor() {
+        this.templates = []; // Registry entries with decoded alpha maps
+        this.ready = false;
+        // C++ version uses 255.0 as logo value (white)
+        this.logoValue = 255.0;
+    }
+
+    /**
+     * Install the template registry. Every entry needs its decoded alphaMap;
+     * detection tries them all, and each id is a valid `size` option.
+     *
+     * @param {import('./templates.js').WatermarkTemplate[]} templates
+     */
+    setTemplates(templates) {
+        const missing = templates.find(template => !template.alphaMap);
+        if (missing) throw new Error(`Template "${missing.id}" has no alpha map`);
+        this.templates = templates;
+        this.ready = templates.length > 0;
+    }
+
+    // The built-in templates, with their maps decoded by the caller (e.g. in Node)
+    setAlphaMaps(small, large) {
+        const maps = { [WATERMARK_SIZE.SMALL]: small, [WATERMARK_SIZE.LARGE]: large };
+        this.setTemplates(BUILTIN_TEMPLATES.map(template => ({ ...template, alphaMap: maps[template.id] })));
+    }
+
+    getTemplate(id) {
+        const template = this.templates.find(candidate => candidate.id === id);
+        if (!template) throw new Error(`Unknown watermark size: ${id}`);
+        return template;
+    }
+
+    // Native template for an image size, by the templates' rules
+    templateFor(width, height) {
+        return selectTemplate(this.templates, width, height) || this.templates[0];
+    }
+
+    // Alpha map from an RGBA capture of the logo over black (bg_48.png / bg_96.png)
+    alphaMapFromRgba({ width, height, data }) {
+        const alphaMap = new Float32Array(width * height);
+
+        for (let i = 0; i < data.length; i += 4) {
+            // In C++: alpha = max(R, G, B) / 255.0
+            // This represents how "white" the pixel is, which is the opacity of the logo
+            const maxVal = Math.max(data[i], data[i + 1], data[i + 2]);
+            alphaMap[i / 4] = maxVal / 255.0;
+        }
+
+        return {
+            width,
+            height,
+            data: alphaMap
+        };
+    }
+
+    // Color map from an RGBA image of the logo's color per pixel
+    colorMapFromRgba({ width, height, data }) {
+        const colors = new Float32Array(width * height * 3);
+        for (let i = 0; i < width * height; i++) {
+            for (let c = 0; c < 3; c++) colors[i * 3 + c] = data[i * 4 + c];
+        }
+        return { width, height, data: colors };
+    }
+
+    /**
+     * Correlate every template against its corner and report which one is
+     * present (or none) with a 0-1 confidence score.
+     *
+     * @param {RgbaImage} image
+     * @param {{ localize?: boolean }} [options] Also search nearby offsets and scales
+     * @returns {Detection}
+     */
+    detect(image, options = {}) {
+        return this.analyze(image, options).detection;
+    }
+
+    analyze(image, { localize = false } = {}) {
+        if (!this.ready) throw new Error("Watermark engine not initialized");
+
+        const scores = Object.fromEntries(this.templates.map(template => [template.id, 0]));
+        let best = null;
+
+        // Try the template the size rules expect first so it wins ties
+        const expected = this.templateFor(image.width, image.height);
+        const candidates = [expected, ...this.templates.filter(template => template !== expected)];
+
+        for (const { id: size } of candidates) {
+            const placement = this.findPlacement(image, size, localize);
+            if (!placement) continue; // Image too small for this template
+
+            const score = Math.max(0, placement.score);
+            scores[size] = score;
+
+            if (!best || score > best.confidence) {
+                best = { size, confidence: score, placement };
+            }
+        }
+
+        const threshold = localize ? LOCATE_THRESHOLD : DETECTION_THRESHOLD;
+        const found = !!best && best.confidence >= threshold;
+        return {
+            detection: {
+                found,
+                size: found ? best.size : null,
+                confidence: best ? best.confidence : 0,
+                scores,
+                transform: found ? this.describePlacement(image, best.size, best.placement) : null
+            },
+            placement: found ? best.placement : null
+        };
+    }
+
+    findPlacement(image, size, localize) {
+        return localize ? this.locate(image, size) : this.placeAtCorner(image, size);
+    }
+
+    // Native placement: fixed margins from the anchor corner, scale 1
+    placeAtCorner(image, size) {
+        const template = this.getTemplate(size);
+        const { x, y } = templateBox(template, image.width, image.height);
+        if (x < 0 || y < 0 || x + template.size > image.width || y + template.size > image.height) return null;
+
+        const map = template.alphaMap;
+        const win = this.getSearchWindow(image, template);
+        return { x, y, scale: 1, ix: x, iy: y, map, score: this.correlateWindow(win, map, x, y) };
+    }
+
+    // User-chosen box: any position and scale, no search. Null when the box
+    // misses the image entirely.
+    placeManually(image, size, box) {
+        const template = this.getTemplate(size);
+        const scale = box.size / template.size;
+        const ix = Math.floor(box.x);
+        const iy = Math.floor(box.y);
+        const map = this.resampleAlphaMap(template.alphaMap, scale, box.x - ix, box.y - iy);
+
+        const placement = { x: box.x, y: box.y, scale, ix, iy, map, score: null };
+        return this.getPlacementRegion(image, placement) ? placement : null;
+    }
+
+    // Alpha map whose native size is closest to a manual box; resampling
+    // distorts least when the scale stays near 1
+    sizeForPlacement(box) {
+        let best = null;
+        for (const template of this.templates) {
+            const distance = Math.abs(Math.log(box.size / template.size));
+            if (!best || distance < best.distance) best = { id: template.id, distance };
+        }
+        return best.id;
+    }
+
+    // Search offsets and scales around the expected corner position for the
+    // best-correlating placement, then refine it to sub-pixel precision.
+    // Covers images that were cropped, padded or rescaled after generation.
+    locate(image, size) {
+        const template = this.getTemplate(size);
+        const alphaMap = template.alphaMap;
+        const win = this.getSearchWindow(image, template);
+
+        let best = null;
+        const search = (scale, centerX, centerY, radius, step) => {
+            // Margins scale with the image, so anchor the search on the scaled corner
+            const { x: anchorX, y: anchorY } = templateBox(template, image.width, image.height, scale);
+            const baseX = Math.floor(anchorX);
+            const baseY = Math.floor(anchorY);
+            const map = this.resampleAlphaMap(alphaMap, scale, anchorX - baseX, anchorY - baseY);
+
+            for (let dy = centerY - radius; dy <= centerY + radius; dy += step) {
+                for (let dx = centerX - radius; dx <= centerX + radius; dx += step) {
+                    const score = this.correlateWindow(win, map, baseX + dx, baseY + dy);
+                    if (!best || score > best.score) {
+                        best = { score, scale, dx, dy, anchorX, anchorY, baseX, baseY, map };
+                    }
+                }
+            }
+        };
+
+        // Coarse pass over the whole scale range on a 2px grid
+        const minScale = Math.max(SEARCH_SCALE_MIN, SEARCH_MIN_LOGO / template.size);
+        const minStep = Math.ceil(Math.log(minScale) / Math.log(SEARCH_SCALE_STEP));
+        const maxStep = Math.floor(Math.log(SEARCH_SCALE_MAX) / Math.log(SEARCH_SCALE_STEP));
+        for (let k = minStep; k <= maxStep; k++) {
+            search(Math.pow(SEARCH_SCALE_STEP, k), 0, 0, SEARCH_RADIUS, 2);
+        }
+        if (!best) return null;
+
+        // Fine pass around the coarse winner, in 1% scale steps
+        const coarse = best;
+        for (let k = -5; k <= 5; k++) {
+            search(coarse.scale * (1 + k / 100), coarse.dx, coarse.dy, 2, 1);
+        }
+
+        // The correlation peaks sharply in scale: 1% off moves the edges of a
+        // 60px logo by more than half a pixel, which the reverse blend turns
+        // into a visible outline. Settle the scale in 0.2% steps.
+        const fine = best;
+        for (let k = -SEARCH_SCALE_REFINE; k <= SEARCH_SCALE_REFINE; k++) {
+            search(fine.scale * (1 + k / 500), fine.dx, fine.dy, 1, 1);
+        }
+
+        // Sub-pixel refinement: fit a parabola through the peak and its neighbours
+        const peak = best;
+        const at = (dx, dy) => this.correlateWindow(win, peak.map, peak.baseX + dx, peak.baseY + dy);
+        const refine = (minus, plus) => {
+            const denom = minus - 2 * peak.score + plus;
+            if (denom >= 0) return 0; // Not a maximum, keep the integer position
+            return Math.max(-0.5, Math.min(0.5, (minus - plus) / (2 * denom)));
+        };
+        const subX = refine(at(peak.dx - 1, peak.dy), at(peak.dx + 1, peak.dy));
+        const subY = refine(at(peak.dx, peak.dy - 1), at(peak.dx, peak.dy + 1));
+
+        const x = peak.anchorX + peak.dx + subX;
+        const y = peak.anchorY + peak.dy + subY;
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const map = this.resampleAlphaMap(alphaMap, peak.scale, x - ix, y - iy);
+        const score = this.correlateWindow(win, map, ix, iy);
+
+        // Keep the grid position unless the sub-pixel shift actually fits better
+        if (score <= peak.score) {
+            return {
+                x: peak.anchorX + peak.dx,
+                y: peak.anchorY + peak.dy,
+                scale: peak.scale,
+                ix: peak.baseX + peak.dx,
+                iy: peak.baseY + peak.dy,
+                map: peak.map,
+                score: peak.score
+            };
+        }
+        return { x, y, scale: peak.scale, ix, iy, map, score };
+    }
+
+    // Public description of where the alpha map was applied, relative to the
+    // native corner position for that template
+    describePlacement(image, size, placement) {
+        const template = this.getTemplate(size);
+        const native = templateBox(template, image.width, image.height);
+        return {
+            x: placement.x,
+            y: placement.y,
+            size: template.size * placement.scale,
+            scale: placement.scale,
+            dx: placement.x - native.x,
+            dy: placement.y - native.y
+        };
+    }
+
+    // Brightness gradients of the anchor corner, large enough for every searched placement
+    getSearchWindow(image, template) {
+        const { right, bottom } = anchorSides(template);
+        const margin = templateMargins(template);
+        const extentX = Math.ceil(SEARCH_SCALE_MAX * (margin.x + template.size)) + SEARCH_RADIUS + 2;
+        const extentY = Math.ceil(SEARCH_SCALE_MAX * (margin.y + template.size)) + SEARCH_RADIUS + 2;
+        const x = right ? Math.max(0, image.width - extentX) : 0;
+        const y = bottom ? Math.max(0, image.height - extentY) : 0;
+        const width = right ? image.width - x : Math.min(image.width, extentX);
+        const height = bottom ? image.height - y : Math.min(image.height, extentY);
+
+        const data = readRegion(image, x, y, width, height).data;
+        const luma = new Float32Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            const idx = i * 4;
+            luma[i] = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+        }
+
+        return { x, y, width, height, ...this.gradients(luma, width, height) };
+    }
+
+    // Central-difference gradients; border pixels stay zero
+    gradients(values, width, height) {
+        const gx = new Float32Array(width * height);
+        const gy = new Float32Array(width * height);
+        for (let row = 1; row < height - 1; row++) {
+            for (let col = 1; col < width - 1; col++) {
+                const i = row * width + col;
+                gx[i] = values[i + 1] - values[i - 1];
+                gy[i] = values[i + width] - values[i - width];
+            }
+        }
+        return { gx, gy };
+    }
+
+    getMapGradients(map) {
+        if (!map.gradients) map.gradients = this.gradients(map.data, map.width, map.height);
+        return map.gradients;
+    }
+
+    // Normalized cross-correlation between the gradients of an alpha map placed
+    // at (ox, oy) and the image brightness gradients. The logo is white, so its
+    // edges brighten the image exactly where alpha rises; comparing gradients
+    // rather than raw brightness keeps smooth highlights from looking like a logo.
+    correlateWindow(win, map, ox, oy) {
+        const { gx, gy } = this.getMapGradients(map);
+        let n = 0;
+        let sumA = 0;
+        let sumL = 0;
+        let sumAA = 0;
+        let sumLL = 0;
+        let sumAL = 0;
+
+        // Only visit map pixels whose window position has valid gradients
+        const rowStart = Math.max(1, win.y + 1 - oy);
+        const rowEnd = Math.min(map.height - 1, win.y + win.height - 1 - oy);
+        const colStart = Math.max(1, win.x + 1 - ox);
+        const colEnd = Math.min(map.width - 1, win.x + win.width - 1 - ox);
+
+        for (let row = rowStart; row < rowEnd; row++) {
+            let mi = row * map.width + colStart;
+            let wi = (oy + row - win.y) * win.width + (ox + colStart - win.x);
+
+            for (let col = colStart; col < colEnd; col++, mi++, wi++) {
+                const ax = gx[mi];
+                const lx = win.gx[wi];
+                const ay = gy[mi];
+                const ly = win.gy[wi];
+                sumA += ax + ay;
+                sumL += lx + ly;
+                sumAA += ax * ax + ay * ay;
+                sumLL += lx * lx + ly * ly;
+                sumAL += ax * lx + ay * ly;
+            }
+            n += 2 * Math.max(0, colEnd - colStart);
+        }
+
+        if (n < map.data.length) return 0; // Mostly outside the image
+
+        const cov = sumAL - sumA * sumL / n;
+        const varA = sumAA - sumA * sumA / n;
+        const varL = sumLL - sumL * sumL / n;
+        if (varA <= 0 || varL <= 1e-6) return 0; // Flat area carries no evidence
+        return cov / Math.sqrt(varA * varL);
+    }
+
+    // Resample an alpha map at the given scale, with the logo origin sitting
+    // (fracX, fracY) into the first output pixel
+    resampleAlphaMap(alphaMap, scale, fracX = 0, fracY = 0) {
+        if (scale === 1 && fracX === 0 && fracY === 0) return alphaMap;
+
+        const width = Math.ceil(alphaMap.width * scale + fracX);
+        const height = Math.ceil(alphaMap.height * scale + fracY);
+        const data = new Float32Array(width * height);
+        const samples = Math.max(1, Math.ceil(1 / scale)); // Supersample when shrinking
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let sy = 0; sy < samples; sy++) {
+                    const v = (y + (sy + 0.5) / samples - fracY) / scale - 0.5;
+                    for (let sx = 0; sx < samples; sx++) {
+                        const u = (x + (sx + 0.5) / samples - fracX) / scale - 0.5;
+                        sum += this.sampleBilinear(alphaMap, u, v);
+                    }
+                }
+                data[y * width + x] = sum / (samples * samples);
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    sampleBilinear(map, u, v) {
+        const x0 = Math.floor(u);
+        const y0 = Math.floor(v);
+        const fx = u - x0;
+        const fy = v - y0;
+        const at = (x, y) => (x < 0 || y < 0 || x >= map.width || y >= map.height) ?
+            0 :
+            map.data[y * map.width + x];
+
+        return at(x0, y0) * (1 - fx) * (1 - fy) +
+            at(x0 + 1, y0) * fx * (1 - fy) +
+            at(x0, y0 + 1) * (1 - fx) * fy +
+            at(x0 + 1, y0 + 1) * fx * fy;
+    }
+
+    /**
+     * Remove the watermark in place.
+     *
+     * In auto size mode images without a detected watermark are left
+     * untouched instead of being darkened.
+     *
+     * @param {RgbaImage} image Modified in place
+     * @param {ProcessOptions} [options]
+     * @returns {ProcessResult}
+     */
+    process(image, options = {}) {
+        if (!this.ready) throw new Error("Watermark engine not initialized");
+
+        const {
+            size: sizeMode = SIZE_MODE_AUTO,
+            intensity = 1.0,
+            logoValue = null,
+            logoColor = null,
+            blendSpace: space = BLEND_SPACE.SRGB,
+            precision = PRECISION.UINT8,
+            dither = false,
+            localize = false,
+            inpaint = INPAINT_MODE.NONE,
+            placement: manual = null
+        } = options;
+
+        if (sizeMode !== SIZE_MODE_AUTO && !this.templates.some(template => template.id === sizeMode)) {
+            throw new Error(`Unknown watermark size: ${sizeMode}`);
+        }
+        if (!Object.values(BLEND_SPACE).includes(space)) throw new Error(`Unknown blend space: ${space}`);
+        if (!Object.values(PRECISION).includes(precision)) throw new Error(`Unknown precision: ${precision}`);
+        if (manual && !(Number.isFinite(manual.x) && Number.isFinite(manual.y) && manual.size > 0)) {
+            throw new Error('Invalid manual placement');
+        }
+        const estimate = intensity === INTENSITY_AUTO;
+        const forceSize = sizeMode === SIZE_MODE_AUTO ? null : sizeMode;
+
+        // Determine watermark size and placement
+        let size;
+        let placement;
+        let detection = null;
+        if (manual) {
+            // The user placed the logo, so there is nothing to detect
+            size = forceSize || this.sizeForPlacement(manual);
+            placement = this.placeManually(image, size, manual);
+        } else if (forceSize) {
+            size = forceSize;
+            placement = this.findPlacement(image, size, localize);
+        } else {
+            const analysis = this.analyze(image, { localize });
+            detection = analysis.detection;
+            if (!detection.found) return this.notApplied(null, detection);
+            size = detection.size;
+            placement = analysis.placement;
+        }
+
+        const area = placement && this.getWorkArea(image, placement);
+        if (!area) return this.notApplied(size, detection); // Image too small or box outside
+
+        // Each blend space works on its own copy of the pixels the estimates
+        // and the blend read, so only the winner is written back
+        const template = this.getTemplate(size);
+        const WorkArray = precision === PRECISION.FLOAT ? Float32Array : image.data.constructor;
+        const local = { ...placement, x: placement.x - area.x, y: placement.y - area.y, ix: placement.ix - area.x, iy: placement.iy - area.y };
+        const spaces = space === BLEND_SPACE.AUTO ? [BLEND_SPACE.SRGB, BLEND_SPACE.LINEAR] : [space];
+        const trials = spaces.map((id) => {
+            const work = readRegion(image, area.x, area.y, area.width, area.height, WorkArray);
+            const outcome = this.removeWatermark(work, template, local, { intensity, logoValue, logoColor, inpaint }, blendSpace(id));
+            return { ...outcome, space: id, work, residual: this.residualLevel(work, local) };
+        });
+        const best = trials.reduce((winner, trial) => (trial.residual < winner.residual ? trial : winner));
+        const quantize = isFloatData(best.work.data) && (dither || !isFloatData(image.data));
+        writeRegion(image, quantize ? quantizeRegion(best.work, { dither, x: area.x, y: area.y }) : best.work, area.x, area.y);
+
+        const reported = estimate || logoColor === LOGO_COLOR_AUTO;
+        return {
+            applied: true,
+            size,
+            detection,
+            transform: this.describePlacement(image, size, placement),
+            estimate: reported ? {
+                intensity: best.intensity,
+                logoValue: Math.round(colorBrightness(best.color)),
+                logoColor: best.color.map(Math.round)
+            } : null,
+            inpainted: best.inpainted,
+            blendSpace: best.space,
+            residuals: Object.fromEntries(trials.map(trial => [trial.space, Math.round(trial.residual * 10) / 10])),
+            region: this.getPlacementRegion(image, placement)
+        };
+    }
+
+    notApplied(size, detection) {
+        return {
+            applied: false,
+            size,
+            detection,
+            transform: null,
+            estimate: null,
+            inpainted: 0,
+            blendSpace: null,
+            residuals: null,
+            region: null
+        };
+    }
+
+    // Estimate what is missing and reverse the blend in one space. An
+    // explicit color is used as is; otherwise the brightness (given or
+    // estimated) scales the template's color or color map.
+    removeWatermark(image, template, placement, { intensity, logoValue, logoColor, inpaint }, space) {
+        const ownColor = Array.isArray(logoColor) ? logoColor : null;
+        const baseColor = ownColor || template.logoColor;
+        const baseBrightness = colorBrightness(baseColor);
+        const params = intensity === INTENSITY_AUTO ?
+            this.estimateParameters(image, placement, baseBrightness, { fixedLogo: !!ownColor, space }) :
+            { intensity, logoValue: ownColor ? baseBrightness : logoValue ?? baseBrightness };
+
+        let color = ownColor || scaleColor(baseColor, params.logoValue);
+        let logo = color;
+        if (logoColor === LOGO_COLOR_AUTO) {
+            color = this.estimateLogoColor(image, placement, params.intensity, color, space);
+            logo = color;
+        } else if (!ownColor && template.colorMap) {
+            logo = this.placeColorMap(template, placement, baseBrightness > 0 ? params.logoValue / baseBrightness : 1);
+        }
+
+        const inpainted = this.applyReverseBlend(image, placement, params.intensity, logo, inpaint, space);
+        return { intensity: params.intensity, color, inpainted };
+    }
+
+    // The placement plus the ESTIMATE_RING around it, clipped to the image:
+    // every pixel removing the watermark reads or writes
+    getWorkArea(image, placement) {
+        if (!this.getPlacementRegion(image, placement)) return null;
+        const x0 = Math.max(0, placement.ix - ESTIMATE_RING);
+        const y0 = Math.max(0, placement.iy - ESTIMATE_RING);
+        const x1 = Math.min(image.width, placement.ix + placement.map.width + ESTIMATE_RING);
+        const y1 = Math.min(image.height, placement.iy + placement.map.height + ESTIMATE_RING);
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+
+    /**
+     * How much of the logo is left after removal. The restored brightness
+     * around the placement is fitted as a background plane plus c1·a + c2·a²
+     * in the alpha a; the alpha terms are what still follows the logo's
+     * shape, reported as their alpha-weighted RMS over the logo in 8-bit
+     * levels. A clean removal scores about 0 and a fresh white mark on
+     * mid-gray about 45. Texture doesn't follow the alpha map, so it barely
+     * moves the score, which makes it the metric for comparing blend spaces.
+     *
+     * @param {RgbaImage} image After removal
+     * @returns {number}
+     */
+    residualLevel(image, placement) {
+        const pixels = this.estimationPixels(image, placement);
+        if (!pixels) return 0;
+
+        const m = Array.from({ length: 5 }, () => [0, 0, 0, 0, 0]);
+        const v = [0, 0, 0, 0, 0];
+        for (const { a, x, y, rgb } of pixels) {
+            const basis = [1, x, y, a, a * a];
+            const luma = (rgb[0] + rgb[1] + rgb[2]) / 3;
+            for (let r = 0; r < 5; r++) {
+                for (let c = 0; c < 5; c++) m[r][c] += basis[r] * basis[c];
+                v[r] += basis[r] * luma;
+            }
+        }
+        const fit = solveLinear(m, v);
+        if (!fit) return 0;
+
+        let sum = 0;
+        let weight = 0;
+        for (const { a } of pixels) {
+            if (a < ESTIMATE_MIN_ALPHA) continue;
+            const leftover = fit[3] * a + fit[4] * a * a;
+            sum += a * leftover * leftover;
+            weight += a;
+        }
+        return weight > 0 ? Math.sqrt(sum / weight) : 0;
+    }
+
+    // Placement rectangle clipped to the image, or null when fully outside
+    getPlacementRegion(image, placement) {
+        const x0 = Math.max(0, placement.ix);
+        const y0 = Math.max(0, placement.iy);
+        const x1 = Math.min(image.width, placement.ix + placement.map.width);
+        const y1 = Math.min(image.height, placement.iy + placement.map.height);
+        if (x1 <= x0 || y1 <= y0) return null;
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+
+    // The pixels of a placement and a ring of ESTIMATE_RING pixels around
+    // it, with their alpha, position relative to the logo origin and color
+    // in the blend space
+    estimationPixels(image, placement, { decode } = blendSpace(BLEND_SPACE.SRGB)) {
+        const { map, ix, iy } = placement;
+
+        const x0 = Math.max(0, ix - ESTIMATE_RING);
+        const y0 = Math.max(0, iy - ESTIMATE_RING);
+        const x1 = Math.min(image.width, ix + map.width + ESTIMATE_RING);
+        const y1 = Math.min(image.height, iy + map.height + ESTIMATE_RING);
+        if (x1 <= x0 || y1 <= y0) return null;
+
+        const width = x1 - x0;
+        const data = readRegion(image, x0, y0, width, y1 - y0).data;
+        const pixels = [];
+        for (let row = y0; row < y1; row++) {
+            for (let col = x0; col < x1; col++) {
+                const mx = col - ix;
+                const my = row - iy;
+                const inside = mx >= 0 && my >= 0 && mx < map.width && my < map.height;
+                const idx = ((row - y0) * width + (col - x0)) * 4;
+                pixels.push({
+                    a: inside ? map.data[my * map.width + mx] : 0,
+                    x: mx,
+                    y: my,
+                    rgb: [decode(data[idx]), decode(data[idx + 1]), decode(data[idx + 2])]
+                });
+            }
+        }
+        return pixels;
+    }
+
+    // Background plane value(pixel) = p0 + p1·x + p2·y fitted to the
+    // logo-free pixels; null when they don't determine it
+    fitBackground(pixels, value) {
+        const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const v = [0, 0, 0];
+        let count = 0;
+        for (const pixel of pixels) {
+            if (pixel.a >= ALPHA_THRESHOLD) continue;
+            const basis = [1, pixel.x, pixel.y];
+            const l = value(pixel);
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) m[r][c] += basis[r] * basis[c];
+                v[r] += basis[r] * l;
+            }
+            count++;
+        }
+        if (count < 3) return null;
+
+        const plane = solve3(m, v);
+        return plane && ((pixel) => plane[0] + plane[1] * pixel.x + plane[2] * pixel.y);
+    }
+
+    // Estimate the alpha scale (intensity) and logo value for a placement.
+    // The background under the logo is modelled as a plane fitted to the
+    // surrounding ring of pixels; the blend W = B + k·a·(L - B) is then linear
+    // in k·L and k, which a least-squares fit over the logo pixels recovers.
+    // L is only identifiable when the background brightness varies across the
+    // logo, so a flat background falls back to the template's logo value;
+    // with `fixedLogo` that value is known and only k is fitted. The fit runs
+    // in the blend space; logo values are sRGB levels either way.
+    estimateParameters(image, placement, fallbackLogo = this.logoValue, { fixedLogo = false, space = blendSpace(BLEND_SPACE.SRGB) } = {}) {
+        const fallback = { intensity: 1.0, logoValue: fallbackLogo };
+        const pixels = this.estimationPixels(image, placement, space);
+        if (!pixels) return fallback;
+
+        const luma = ({ rgb }) => (rgb[0] + rgb[1] + rgb[2]) / 3;
+        const background = this.fitBackground(pixels, luma);
+        if (!background) return fallback;
+
+        // Least squares for y = u·a - k·(a·B) with u = k·L
+        let s11 = 0;
+        let s12 = 0;
+        let s22 = 0;
+        let t1 = 0;
+        let t2 = 0;
+        const samples = [];
+        for (const pixel of pixels) {
+            const { a } = pixel;
+            if (a < ESTIMATE_MIN_ALPHA) continue;
+
+            const w = luma(pixel);
+            if (w >= space.decode(254)) continue; // Clipped highlights no longer follow the blend
+
+            const b = background(pixel);
+            const y = w - b;
+            const c1 = a;
+            const c2 = -a * b;
+            s11 += c1 * c1;
+            s12 += c1 * c2;
+            s22 += c2 * c2;
+            t1 += c1 * y;
+            t2 += c2 * y;
+            samples.push({ a, b, y });
+        }
+        if (samples.length === 0) return fallback;
+
+        let intensity;
+        let logoValue;
+        const det = s11 * s22 - s12 * s12;
+        if (!fixedLogo && det > 1e-3 * s11 * s22) {
+            const u = (t1 * s22 - t2 * s12) / det;
+            intensity = (s11 * t2 - s12 * t1) / det;
+            logoValue = intensity > 0 ? u / intensity : NaN;
+        }
+
+        const [minLogo, maxLogo] = ESTIMATE_LOGO_RANGE.map(space.toBlend);
+        if (!(logoValue >= minLogo && logoValue <= maxLogo)) {
+            // Flat background (or an implausible fit): only k is identifiable
+            logoValue = space.toBlend(fallbackLogo);
+            let num = 0;
+            let den = 0;
+            for (const { a, b, y } of samples) {
+                const c = a * (logoValue - b);
+                num += c * y;
+                den += c * c;
+            }
+            if (den === 0) return fallback;
+            intensity = num / den;
+        }
+
+        return {
+            intensity: Math.round(clamp(intensity, ...ESTIMATE_INTENSITY_RANGE) * 100) / 100,
+            logoValue: Math.round(space.fromBlend(logoValue))
+        };
+    }
+
+    // Logo color per channel for a known intensity. With k fixed the blend
+    // W = B + k·a·(L - B) is linear in L, so each channel gets its own
+    // background plane and least-squares L. A tint shows up even on a flat
+    // background, where only the overall brightness is ambiguous.
+    estimateLogoColor(image, placement, intensity, fallback, space = blendSpace(BLEND_SPACE.SRGB)) {
+        const pixels = this.estimationPixels(image, placement, space);
+        if (!pixels) return fallback;
+
+        const backgrounds = [0, 1, 2].map(c => this.fitBackground(pixels, ({ rgb }) => rgb[c]));
+        if (backgrounds.some(background => !background)) return fallback;
+
+        const num = [0, 0, 0];
+        let den = 0;
+        for (const pixel of pixels) {
+            if (pixel.a < ESTIMATE_MIN_ALPHA) continue;
+            if (pixel.rgb.some(value => value >= space.decode(254))) continue; // Clipped
+
+            const ka = Math.min(pixel.a * intensity, MAX_ALPHA);
+            for (let c = 0; c < 3; c++) {
+                const b = backgrounds[c](pixel);
+                num[c] += ka * (pixel.rgb[c] - b + ka * b);
+            }
+            den += ka * ka;
+        }
+        if (den === 0) return fallback;
+        return num.map(value => clamp(space.fromBlend(value / den), 0, 255));
+    }
+
+    // A template's color map aligned with a placement's (resampled) alpha
+    // map and scaled in brightness. It is resampled premultiplied by alpha so
+    // the transparent surroundings don't bleed into the logo's edge colors.
+    placeColorMap(template, placement, factor = 1) {
+        const { alphaMap, colorMap } = template;
+        const { map } = placement;
+        const data = new Float32Array(map.width * map.height * 3);
+
+        for (let c = 0; c < 3; c++) {
+            const premultiplied = new Float32Array(alphaMap.data.length);
+            for (let i = 0; i < premultiplied.length; i++) premultiplied[i] = alphaMap.data[i] * colorMap.data[i * 3 + c];
+
+            const resampled = this.resampleAlphaMap(
+                { width: alphaMap.width, height: alphaMap.height, data: premultiplied },
+                placement.scale,
+                placement.x - placement.ix,
+                placement.y - placement.iy
+            );
+            for (let i = 0; i < map.data.length; i++) {
+                data[i * 3 + c] = map.data[i] > 0 ? clamp(resampled.data[i] / map.data[i] * factor, 0, 255) : 0;
+            }
+        }
+
+        return { width: map.width, height: map.height, data };
+    }
+
+    // `logo` is a brightness, an [r, g, b] color or a color map aligned with
+    // the placement (see placeColorMap), all in sRGB levels. Returns the
+    // number of pixels filled in by the inpainting post-pass.
+    applyReverseBlend(image, placement, intensity, logo = this.logoValue, inpaint = INPAINT_MODE.NONE, space = blendSpace(BLEND_SPACE.SRGB)) {
+        const { map, ix, iy } = placement;
+
+        // Clip the ROI (Region of Interest) to the image
+        const x0 = Math.max(0, ix);
+        const y0 = Math.max(0, iy);
+        const x1 = Math.min(image.width, ix + map.width);
+        const y1 = Math.min(image.height, iy + map.height);
+        if (x1 <= x0 || y1 <= y0) return 0;
+
+        const imageData = readRegion(image, x0, y0, x1 - x0, y1 - y0);
+        const data = imageData.data;
+        const round = isFloatData(data) ? (value) => value : Math.round;
+        const { decode, toBlend, fromBlend } = space;
+        const colorMap = typeof logo === 'number' || Array.isArray(logo) ? null : logo.data;
+        const color = colorMap ? null : (typeof logo === 'number' ? [logo, logo, logo] : logo).map(toBlend);
+
+        // Pixels whose reconstruction can't be trusted: near-opaque logo or
+        // results the clamp had to pull far back into range. `slack` is how
+        // far the true value may be from the reconstruction: the input error
+        // amplified by the division, unbounded where the clamp kicked in.
+        const unreliable = new Uint8Array((x1 - x0) * (y1 - y0));
+        const slack = new Float32Array(unreliable.length).fill(INPAINT_INPUT_ERROR);
+        const outOfRange = (value) =>
+            value < -INPAINT_CLIP_TOLERANCE || value > 255 + INPAINT_CLIP_TOLERANCE;
+
+        // Apply Reverse Alpha Blending with intensity scaling, per channel in the blend space
+        // Original = (Watermarked - Alpha * Logo) / (1 - Alpha)
+        for (let row = y0; row < y1; row++) {
+            for (let col = x0; col < x1; col++) {
+                // Scale alpha by intensity (allows user adjustment)
+                const mapIndex = (row - iy) * map.width + (col - ix);
+                const rawAlpha = map.data[mapIndex] * intensity;
+                const alpha = Math.min(rawAlpha, MAX_ALPHA); // Clamp alpha
+
+                if (alpha < ALPHA_THRESHOLD) continue;
+
+                const oneMinusAlpha = 1.0 - alpha;
+                const pixel = (row - y0) * (x1 - x0) + (col - x0);
+                const idx = pixel * 4;
+
+                // Round explicitly so plain Uint8Array buffers behave like ImageData;
+                // float buffers keep the fraction. The alpha channel remains unchanged.
+                let clipped = false;
+                for (let c = 0; c < 3; c++) {
+                    const logoValue = colorMap ? toBlend(colorMap[mapIndex * 3 + c]) : color[c];
+                    const value = (decode(data[idx + c]) - alpha * logoValue) / oneMinusAlpha;
+                    data[idx + c] = round(clamp(fromBlend(value), 0, 255));
+                    if (outOfRange(value)) clipped = true;
+                }
+
+                if (alpha >= INPAINT_ALPHA || clipped) unreliable[pixel] = 1;
+                slack[pixel] = clipped ? Infinity : INPAINT_INPUT_ERROR / oneMinusAlpha;
+            }
+        }
+
+        let inpainted = 0;
+        if (inpaint === INPAINT_MODE.DIFFUSION) {
+            inpainted = this.inpaintDiffusion(data, x1 - x0, y1 - y0, unreliable, slack);
+        }
+
+        writeRegion(image, imageData, x0, y0);
+        return inpainted;
+    }
+
+    // Fill masked pixels by harmonic diffusion from their neighbours
+    // (Gauss-Seidel iterations of the 4-neighbour average). The mask is grown
+    // by one pixel first so the bright rims around the logo are covered too.
+    // A smooth fill only beats the reconstruction where the background is
+    // smoother than the reconstruction is noisy, so pixels are filled only
+    // where their slack outweighs the roughness of the pixels around the
+    // mask, and never moved further than that slack: speckle on smooth
+    // backgrounds goes, texture the reconstruction still resolves stays.
+    inpaintDiffusion(data, width, height, mask, slack) {
+        const grown = new Uint8Array(mask.length);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const i = row * width + col;
+                grown[i] = mask[i] ||
+                    (col > 0 && mask[i - 1]) || (col < width - 1 && mask[i + 1]) ||
+                    (row > 0 && mask[i - width]) || (row < height - 1 && mask[i + width]) ? 1 : 0;
+            }
+        }
+
+        const roughness = this.surfaceRoughness(data, width, height, grown);
+        const targets = [];
+        for (let i = 0; i < grown.length; i++) {
+            if (grown[i] && slack[i] > INPAINT_ROUGHNESS_RATIO * roughness) targets.push(i);
+        }
+        if (targets.length === 0 || targets.length === mask.length) return 0;
+
+        // Work in float so repeated averaging doesn't accumulate rounding
+        const values = new Float32Array(mask.length * 3);
+        for (let i = 0; i < mask.length; i++) {
+            for (let c = 0; c < 3; c++) values[i * 3 + c] = data[i * 4 + c];
+        }
+
+        for (let iter = 0; iter < INPAINT_ITERATIONS; iter++) {
+            for (const i of targets) {
+                const col = i % width;
+                const neighbours = [];
+                if (col > 0) neighbours.push(i - 1);
+                if (col < width - 1) neighbours.push(i + 1);
+                if (i >= width) neighbours.push(i - width);
+                if (i + width < mask.length) neighbours.push(i + width);
+
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    for (const n of neighbours) sum += values[n * 3 + c];
+                    values[i * 3 + c] = sum / neighbours.length;
+                }
+            }
+        }
+
+        const round = isFloatData(data) ? (value) => value : Math.round;
+        for (const i of targets) {
+            for (let c = 0; c < 3; c++) {
+                const value = data[i * 4 + c];
+                data[i * 4 + c] = round(clamp(values[i * 3 + c], value - slack[i], value + slack[i]));
+            }
+        }
+        return targets.length;
+    }
+
+    // Mean distance of the pixels outside `excluded` from the average of
+    // their 4 neighbours: about 0 on smooth backgrounds, the texture's
+    // amplitude on textured ones
+    surfaceRoughness(data, width, height, excluded) {
+        let sum = 0;
+        let count = 0;
+        for (let row = 1; row < height - 1; row++) {
+            for (let col = 1; col < width - 1; col++) {
+                const i = row * width + col;
+                if (excluded[i] || excluded[i - 1] || excluded[i + 1] || excluded[i - width] || excluded[i + width]) continue;
+                for (let c = 0; c < 3; c++) {
+                    const at = (n) => data[n * 4 + c];
+                    sum += Math.abs(at(i) - (at(i - 1) + at(i + 1) + at(i - width) + at(i + width)) / 4);
+                }
+                count += 3;
+            }
+        }
+        return count > 0 ? sum / count : 0;
+    }
+}
+
+// Native corner box for an image, as a ManualPlacement. Starting point
+// for placing the logo by hand when nothing was detected.
+export function cornerPlacement(width, height, templates = BUILTIN_TEMPLATES) {
+    return templateBox(selectTemplate(templates, width, height) || templates[0], width, height);
+}
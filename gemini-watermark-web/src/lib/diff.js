@@ -0,0 +1,83 @@
+// Difference heatmap between the original and the processed image, for the
+// comparison viewer. Works on RGBA buffers ({ width, height, data }).
+
+// Black -> blue -> red -> yellow -> white, indexed by difference 0-255
+const HEAT_STOPS = [
+    [0, [0, 0, 0]],
+    [0.25, [30, 40, 200]],
+    [0.5, [220, 40, 60]],
+    [0.75, [250, 200, 40]],
+    [1, [255, 255, 255]]
+];
+
+const HEAT_LUT = (() => {
+    const lut = new Uint8Array(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const t = i / 255;
+        let s = 1;
+        while (s < HEAT_STOPS.length - 1 && HEAT_STOPS[s][0] < t) s++;
+        const [t0, c0] = HEAT_STOPS[s - 1];
+        const [t1, c1] = HEAT_STOPS[s];
+        const f = (t - t0) / (t1 - t0);
+        for (let c = 0; c < 3; c++) lut[i * 3 + c] = Math.round(c0[c] + (c1[c] - c0[c]) * f);
+    }
+    return lut;
+})();
+
+/**
+ * Per-pixel max channel difference rendered as a heatmap.
+ *
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} before
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} after
+ * @param {{ gain?: number }} [options] Amplifies small differences
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray, maxDifference: number, changedPixels: number, bounds: { x: number, y: number, width: number, height: number } | null }}
+ */
+export function differenceHeatmap(before, after, { gain = 4 } = {}) {
+    if (before.width !== after.width || before.height !== after.height) {
+        throw new Error('Images must have the same size');
+    }
+
+    const { width, height } = before;
+    const data = new Uint8ClampedArray(width * height * 4);
+    let maxDifference = 0;
+    let changedPixels = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const diff = Math.max(
+                Math.abs(before.data[idx] - after.data[idx]),
+                Math.abs(before.data[idx + 1] - after.data[idx + 1]),
+                Math.abs(before.data[idx + 2] - after.data[idx + 2])
+            );
+
+            if (diff > 0) {
+                changedPixels++;
+                if (diff > maxDifference) maxDifference = diff;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+
+            const level = Math.min(255, Math.round(diff * gain)) * 3;
+            data[idx] = HEAT_LUT[level];
+            data[idx + 1] = HEAT_LUT[level + 1];
+            data[idx + 2] = HEAT_LUT[level + 2];
+            data[idx + 3] = 255;
+        }
+    }
+
+    return {
+        width,
+        height,
+        data,
+        maxDifference,
+        changedPixels,
+        bounds: maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+    };
+}
@@ -0,0 +1,51 @@
+// Export file names from a template such as "processed_{name}", or plain
+// "{name}" for pipelines that expect the original names unchanged.
+
+import { stripExtension, formatDate, expandTokens } from './tokens.js';
+
+export const FILENAME_TOKENS = [
+    ['name', '原檔名（不含副檔名）'],
+    ['index', '批次中的序號'],
+    ['date', '匯出日期'],
+    ['size', '圖片尺寸，例如 1024x768'],
+    ['mode', '浮水印模式：auto、範本 ID（如 small、large）或 manual']
+];
+
+/**
+ * @typedef {Object} FilenameSettings
+ * @property {string} template Name without extension; the extension follows the output format
+ *   (see outputFilename)
+ * @property {boolean} keepFolders Recreate the folders of dropped directories in ZIPs and folder saves
+ */
+export const DEFAULT_FILENAME_SETTINGS = { template: 'processed_{name}', keepFolders: false };
+
+// Characters no file system takes in a name; "/" included, folders only
+// come from the dropped structure
+const INVALID_CHARS = /[\\/:*?"<>|]/g;
+
+/**
+ * @typedef {Object} FilenameInfo
+ * @property {string} name Original file name
+ * @property {number} [index] 0-based position in the batch
+ * @property {number} [total] Batch size, for the index padding
+ * @property {Date} [date]
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} [mode]
+ */
+
+// Fill in the tokens; unknown ones are left as typed
+export function expandFilenameTemplate(template, { name, index = 0, total = 1, date = new Date(), width, height, mode = '' }) {
+    const values = {
+        name: stripExtension(name),
+        index: String(index + 1).padStart(Math.max(2, String(total).length), '0'),
+        date: formatDate(date),
+        size: width && height ? `${width}x${height}` : '',
+        mode
+    };
+    const expanded = expandTokens(template, values)
+        .replace(INVALID_CHARS, '_')
+        .trim();
+    // Never an empty or dot-only name
+    return /^\.*$/.test(expanded) ? values.name || 'image' : expanded;
+}
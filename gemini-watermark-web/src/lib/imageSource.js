@@ -0,0 +1,215 @@
+// Ways in besides the file picker: dropped folders, images pasted from the
+// clipboard and images fetched from a URL. All come out as File objects so
+// they go through the same pipeline as uploads.
+
+import { detectFormat } from './metadata.js';
+import { FORMAT_INFO, formatFromMime } from './outputFormat.js';
+import { pad } from './tokens.js';
+
+export const IMPORT_ERROR = {
+    INVALID_URL: 'invalid-url',
+    NETWORK: 'network', // Offline, unreachable, or blocked by CORS; the browser doesn't say which
+    HTTP: 'http',
+    NOT_IMAGE: 'not-image',
+    TIMEOUT: 'timeout'
+};
+
+const IMPORT_PROTOCOLS = ['http:', 'https:', 'data:', 'blob:'];
+export const IMPORT_TIMEOUT = 30000;
+
+function importError(reason, message, extra = {}) {
+    const error = new Error(message);
+    error.name = 'ImageImportError';
+    error.reason = reason;
+    return Object.assign(error, extra);
+}
+
+const extensionFor = (mime) => {
+    const format = formatFromMime(mime);
+    return format ? FORMAT_INFO[format].extension : mime.split('/')[1].replace(/\W.*$/, '');
+};
+
+// Browsers call every pasted screenshot "image.png"; give them distinct names
+const isGenericName = (name) => !name || /^image\.\w+$/i.test(name);
+
+function pastedName(mime, date, index) {
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-`
+        + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    return `pasted-${stamp}${index > 0 ? `-${index + 1}` : ''}.${extensionFor(mime)}`;
+}
+
+// Every entry of a directory; readEntries() hands them out in chunks
+function readDirectory(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    return new Promise((resolve, reject) => {
+        const next = () => reader.readEntries((chunk) => {
+            if (chunk.length === 0) {
+                resolve(entries);
+                return;
+            }
+            entries.push(...chunk);
+            next();
+        }, reject);
+        next();
+    });
+}
+
+async function collectEntry(entry, folder, out) {
+    if (entry.isFile) {
+        out.push({ file: await new Promise((resolve, reject) => entry.file(resolve, reject)), folder });
+    } else if (entry.isDirectory) {
+        const path = folder ? `${folder}/${entry.name}` : entry.name;
+        const children = await readDirectory(entry);
+        // In the order a file manager lists them: "2.png" before "10.png"
+        children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        for (const child of children) await collectEntry(child, path, out);
+    }
+}
+
+/**
+ * Files of a drop, with dropped folders walked recursively. `folder` is
+ * the path of the file's folder from the dropped one ("renders/week 1"),
+ * '' for files dropped on their own. Call it from the drop handler itself:
+ * the entries are read before the first await, as the browser empties the
+ * DataTransfer once the event returns.
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<{ file: File, folder: string }[]>}
+ */
+export async function filesFromDataTransfer(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.());
+    // Without the entries API there are no folders, only the files
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Array.from(dataTransfer.files || [], file => ({ file, folder: '' }));
+    }
+
+    const files = [];
+    for (const entry of entries) await collectEntry(entry, '', files);
+    return files;
+}
+
+/**
+ * Image files in a paste event's clipboardData, in clipboard order.
+ *
+ * @param {DataTransfer} clipboardData
+ * @param {Date} [date] Used to name unnamed (screenshot) images
+ * @returns {File[]}
+ */
+export function imagesFromClipboard(clipboardData, date = new Date()) {
+    if (!clipboardData) return [];
+
+    // Files copied in a file manager show up in .files; images copied from a
+    // page or a screenshot tool only as file items
+    let files = Array.from(clipboardData.files || []);
+    if (files.length === 0) {
+        files = Array.from(clipboardData.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+    }
+
+    return files
+        .filter(file => file.type.startsWith('image/'))
+        .map((file, index) => (isGenericName(file.name)
+            ? new File([file], pastedName(file.type, date, index), { type: file.type, lastModified: file.lastModified })
+            : file));
+}
+
+/**
+ * Image address in a paste without image data, e.g. "copy image address" or
+ * an <img> copied as HTML. Null when there is none.
+ *
+ * @param {DataTransfer} clipboardData
+ * @returns {string | null}
+ */
+export function imageUrlFromClipboard(clipboardData) {
+    if (!clipboardData) return null;
+
+    const html = clipboardData.getData('text/html');
+    const src = html && /<img\b[^>]*\ssrc\s*=\s*["']([^"']+)["']/i.exec(html);
+    if (src && /^(https?|data):/i.test(src[1])) return src[1].replace(/&amp;/g, '&');
+
+    const text = clipboardData.getData('text/plain').trim();
+    return /^https?:\/\/\S+$/i.test(text) ? text : null;
+}
+
+// Last path segment of the URL, with the extension fixed up to match the type
+function fileNameFor(url, mime) {
+    let base = '';
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+        const segment = url.pathname.split('/').filter(Boolean).pop() || '';
+        try {
+            base = decodeURIComponent(segment);
+        } catch {
+            base = segment;
+        }
+        base = base.replace(/[\\/:*?"<>|]/g, '_').replace(/\.[^.]*$/, '');
+    }
+    return `${base || 'image'}.${extensionFor(mime)}`;
+}
+
+/**
+ * Download an image as a File. The request is a plain CORS request without
+ * credentials, so only images the server shares with any origin can be read.
+ * Failures reject with an Error whose `reason` is one of IMPORT_ERROR (plus
+ * `status` for HTTP errors); cancelling through `signal` rejects with the
+ * signal's AbortError as usual.
+ *
+ * @param {string} input
+ * @param {{ signal?: AbortSignal, timeout?: number, fetchImpl?: typeof fetch }} [options]
+ * @returns {Promise<File>}
+ */
+export async function fetchImageFile(input, { signal, timeout = IMPORT_TIMEOUT, fetchImpl = fetch } = {}) {
+    let url;
+    try {
+        url = new URL(String(input).trim());
+    } catch {
+        throw importError(IMPORT_ERROR.INVALID_URL, `Invalid URL: ${input}`);
+    }
+    if (!IMPORT_PROTOCOLS.includes(url.protocol)) {
+        throw importError(IMPORT_ERROR.INVALID_URL, `Unsupported protocol: ${url.protocol}`);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new DOMException('Image import timed out', 'TimeoutError')), timeout);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        let response;
+        let blob;
+        try {
+            response = await fetchImpl(url.href, {
+                mode: 'cors',
+                credentials: 'omit',
+                referrerPolicy: 'no-referrer',
+                signal: controller.signal
+            });
+            if (response.ok) blob = await response.blob();
+        } catch (err) {
+            if (signal?.aborted) throw err;
+            if (controller.signal.aborted) throw importError(IMPORT_ERROR.TIMEOUT, 'Image import timed out');
+            throw importError(IMPORT_ERROR.NETWORK, `Could not fetch ${url.href}: ${err.message}`);
+        }
+        if (!response.ok) {
+            throw importError(IMPORT_ERROR.HTTP, `Server responded ${response.status}`, { status: response.status });
+        }
+
+        // Trust the bytes over a missing or generic Content-Type
+        const declared = (blob.type || '').split(';')[0].trim().toLowerCase();
+        const sniffed = detectFormat(new Uint8Array(await blob.slice(0, 16).arrayBuffer()));
+        const mime = sniffed ? FORMAT_INFO[sniffed].mime : declared;
+        if (!mime.startsWith('image/')) {
+            throw importError(IMPORT_ERROR.NOT_IMAGE, `Not an image: ${declared || 'unknown type'}`);
+        }
+
+        return new File([blob], fileNameFor(url, mime), { type: mime });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
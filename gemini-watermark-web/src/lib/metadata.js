@@ -0,0 +1,563 @@
+// Carries EXIF, ICC profile and XMP metadata from the source file into the
+// re-encoded export. Canvas encoders drop all of it, which loses capture data
+// and, worse, the color profile: wide-gamut (e.g. Display-P3) images then get
+// interpreted as sRGB and shift color.
+//
+// Reads JPEG, PNG and WebP sources and writes the same three formats (AVIF
+// output is left without metadata). Works on plain bytes so it runs in the
+// page, in workers and under Node.
+
+export const METADATA_FIELD = {
+    EXIF: 'exif',
+    GPS: 'gps', // Location tags inside EXIF
+    ICC: 'icc',
+    XMP: 'xmp'
+};
+
+export const DEFAULT_METADATA_OPTIONS = {
+    [METADATA_FIELD.EXIF]: true,
+    [METADATA_FIELD.GPS]: true,
+    [METADATA_FIELD.ICC]: true,
+    [METADATA_FIELD.XMP]: true
+};
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_HEADER = 'ICC_PROFILE\0';
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const JPEG_MAX_SEGMENT = 0xFFFF - 2; // Payload bytes after the length field
+const ICC_CHUNK_SIZE = JPEG_MAX_SEGMENT - ICC_HEADER.length - 2;
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_IFD = 0x8825;
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {Uint8Array | null} exif TIFF structure, without the "Exif\0\0" prefix
+ * @property {Uint8Array | null} icc Uncompressed ICC profile
+ * @property {string | null} xmp XMP packet
+ *
+ * @typedef {Object} MetadataOptions
+ * @property {boolean} [exif=true]
+ * @property {boolean} [gps=true] Ignored when exif is false
+ * @property {boolean} [icc=true]
+ * @property {boolean} [xmp=true]
+ * @property {boolean} [resetOrientation=true] Set EXIF Orientation to 1, for
+ *   pixels that were already rotated upright while decoding
+ */
+
+const textEncoder = new TextEncoder();
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder();
+
+const bytesEqual = (bytes, offset, text) => {
+    if (offset + text.length > bytes.length) return false;
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+};
+
+const asciiBytes = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+// zlib streams, as used by PNG iCCP / compressed iTXt
+async function runStream(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+const inflate = (bytes) => runStream(bytes, new DecompressionStream('deflate'));
+const deflate = (bytes) => runStream(bytes, new CompressionStream('deflate'));
+
+export function detectFormat(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+    if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) return 'png';
+    if (bytesEqual(bytes, 0, 'RIFF') && bytesEqual(bytes, 8, 'WEBP')) return 'webp';
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+
+// Calls visit(marker, start, end) for each segment before the image data
+function walkJpegSegments(bytes, visit) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) break;
+        const marker = bytes[offset + 1];
+        if (marker === 0xFF) {
+            offset++; // Fill byte
+            continue;
+        }
+        if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2; // Standalone markers
+            continue;
+        }
+        if (marker === 0xDA || marker === 0xD9) break; // Start of scan / end of image
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const end = offset + 2 + length;
+        if (length < 2 || end > bytes.length) break;
+        visit(marker, offset + 4, end, offset);
+        offset = end;
+    }
+    return offset;
+}
+
+function readJpeg(bytes) {
+    const meta = { exif: null, icc: null, xmp: null };
+    const iccChunks = [];
+
+    walkJpegSegments(bytes, (marker, start, end) => {
+        if (marker === 0xE1 && bytesEqual(bytes, start, EXIF_HEADER)) {
+            meta.exif = bytes.slice(start + EXIF_HEADER.length, end);
+        } else if (marker === 0xE1 && bytesEqual(bytes, start, XMP_HEADER)) {
+            meta.xmp = utf8.decode(bytes.subarray(start + XMP_HEADER.length, end));
+        } else if (marker === 0xE2 && bytesEqual(bytes, start, ICC_HEADER)) {
+            // Profiles over 64 KB are split into numbered chunks
+            const sequence = bytes[start + ICC_HEADER.length];
+            iccChunks.push({ sequence, data: bytes.subarray(start + ICC_HEADER.length + 2, end) });
+        }
+    });
+
+    if (iccChunks.length > 0) {
+        iccChunks.sort((a, b) => a.sequence - b.sequence);
+        meta.icc = concatBytes(iccChunks.map((chunk) => chunk.data));
+    }
+    return meta;
+}
+
+// Calls visit(type, start, end) for each chunk's data
+function walkPngChunks(bytes, visit) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+        const start = offset + 8;
+        const end = start + length;
+        if (end + 4 > bytes.length) break;
+        if (visit(type, start, end, offset) === false) break;
+        offset = end + 4;
+        if (type === 'IEND') break;
+    }
+}
+
+async function readPng(bytes) {
+    const meta = { exif: null, icc: null, xmp: null };
+    const pending = [];
+
+    walkPngChunks(bytes, (type, start, end) => {
+        if (type === 'eXIf') {
+            meta.exif = bytes.slice(start, end);
+        } else if (type === 'iCCP') {
+            // keyword \0 compression-method zlib-data
+            const nul = bytes.indexOf(0, start);
+            if (nul < 0 || nul + 2 > end) return;
+            pending.push(inflate(bytes.slice(nul + 2, end)).then((icc) => { meta.icc = icc; }));
+        } else if (type === 'iTXt') {
+            // keyword \0 compressed method language \0 translated \0 text
+            const keywordEnd = bytes.indexOf(0, start);
+            if (keywordEnd < 0 || latin1.decode(bytes.subarray(start, keywordEnd)) !== PNG_XMP_KEYWORD) return;
+            const compressed = bytes[keywordEnd + 1] === 1;
+            const languageEnd = bytes.indexOf(0, keywordEnd + 3);
+            const translatedEnd = bytes.indexOf(0, languageEnd + 1);
+            if (languageEnd < 0 || translatedEnd < 0 || translatedEnd >= end) return;
+
+            const text = bytes.slice(translatedEnd + 1, end);
+            pending.push((compressed ? inflate(text) : Promise.resolve(text))
+                .then((data) => { meta.xmp = utf8.decode(data); }));
+        }
+    });
+
+    await Promise.all(pending);
+    return meta;
+}
+
+// Calls visit(type, start, end, chunkStart, chunkEnd) for each RIFF chunk;
+// chunkEnd includes the padding byte of odd-sized chunks
+function walkWebpChunks(bytes, visit) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = latin1.decode(bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        const end = Math.min(bytes.length, start + size);
+        const chunkEnd = Math.min(bytes.length, end + (size & 1));
+        visit(type, start, end, offset, chunkEnd);
+        offset = chunkEnd;
+        if (end < start + size) break;
+    }
+}
+
+function readWebp(bytes) {
+    const meta = { exif: null, icc: null, xmp: null };
+    walkWebpChunks(bytes, (type, start, end) => {
+        if (type === 'EXIF') {
+            // Some encoders keep the JPEG-style prefix
+            const skip = bytesEqual(bytes, start, EXIF_HEADER) ? EXIF_HEADER.length : 0;
+            meta.exif = bytes.slice(start + skip, end);
+        } else if (type === 'ICCP') {
+            meta.icc = bytes.slice(start, end);
+        } else if (type === 'XMP ') {
+            meta.xmp = utf8.decode(bytes.subarray(start, end));
+        }
+    });
+    return meta;
+}
+
+/**
+ * Extract the metadata blocks from an encoded image.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<ImageMetadata>} All fields null for unknown formats
+ */
+export async function readMetadata(bytes) {
+    switch (detectFormat(bytes)) {
+        case 'jpeg': return readJpeg(bytes);
+        case 'png': return readPng(bytes);
+        case 'webp': return readWebp(bytes);
+        default: return { exif: null, icc: null, xmp: null };
+    }
+}
+
+// ---------------------------------------------------------------------------
+// EXIF editing
+
+// Returns an edited copy of a TIFF/EXIF block. Throws on malformed input.
+export function editExif(exif, { resetOrientation = false, dropGps = false } = {}) {
+    const tiff = exif.slice();
+    const view = new DataView(tiff.buffer);
+    const order = latin1.decode(tiff.subarray(0, 2));
+    if (order !== 'II' && order !== 'MM') throw new Error('Invalid TIFF byte order');
+    const little = order === 'II';
+    if (view.getUint16(2, little) !== 42) throw new Error('Invalid TIFF header');
+
+    const readEntries = (ifdOffset) => {
+        if (ifdOffset + 2 > tiff.length) throw new Error('IFD out of range');
+        const count = view.getUint16(ifdOffset, little);
+        if (ifdOffset + 2 + count * 12 > tiff.length) throw new Error('IFD out of range');
+        return Array.from({ length: count }, (_, i) => {
+            const offset = ifdOffset + 2 + i * 12;
+            return {
+                offset,
+                tag: view.getUint16(offset, little),
+                type: view.getUint16(offset + 2, little),
+                count: view.getUint32(offset + 4, little)
+            };
+        });
+    };
+
+    const ifd0 = view.getUint32(4, little);
+    for (const entry of readEntries(ifd0)) {
+        if (resetOrientation && entry.tag === TAG_ORIENTATION) {
+            view.setUint16(entry.offset + 8, 1, little);
+        }
+
+        if (dropGps && entry.tag === TAG_GPS_IFD) {
+            // Wipe the GPS directory and every value it points to, then leave
+            // an empty directory behind so the pointer stays valid
+            const gpsIfd = view.getUint32(entry.offset + 8, little);
+            const gpsEntries = readEntries(gpsIfd);
+            for (const gps of gpsEntries) {
+                const size = (TIFF_TYPE_SIZES[gps.type] || 1) * gps.count;
+                if (size > 4) {
+                    const valueOffset = view.getUint32(gps.offset + 8, little);
+                    tiff.fill(0, valueOffset, Math.min(tiff.length, valueOffset + size));
+                }
+            }
+            tiff.fill(0, gpsIfd, gpsIfd + 2 + gpsEntries.length * 12 + 4);
+        }
+    }
+    return tiff;
+}
+
+/**
+ * Drop the fields the user opted out of and fix up the EXIF block.
+ * A malformed EXIF block is dropped entirely rather than risking leaking
+ * GPS data or a wrong orientation.
+ *
+ * @param {ImageMetadata} meta
+ * @param {MetadataOptions} [options]
+ * @returns {ImageMetadata}
+ */
+export function filterMetadata(meta, options = {}) {
+    const { exif, gps, icc, xmp, resetOrientation = true } = { ...DEFAULT_METADATA_OPTIONS, ...options };
+
+    let exifBlock = exif ? meta.exif : null;
+    if (exifBlock && (resetOrientation || !gps)) {
+        try {
+            exifBlock = editExif(exifBlock, { resetOrientation, dropGps: !gps });
+        } catch (e) {
+            console.warn('Dropping unreadable EXIF data:', e.message);
+            exifBlock = null;
+        }
+    }
+
+    return {
+        exif: exifBlock,
+        icc: icc ? meta.icc : null,
+        xmp: xmp ? meta.xmp : null
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(asciiBytes(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+async function embedInPng(bytes, meta) {
+    const added = [];
+    const replaced = new Set();
+
+    if (meta.icc) {
+        // iCCP overrides and must not coexist with the implicit color chunks
+        const header = asciiBytes('ICC Profile\0\0');
+        added.push(pngChunk('iCCP', concatBytes([header, await deflate(meta.icc)])));
+        ['iCCP', 'sRGB', 'gAMA', 'cHRM'].forEach((type) => replaced.add(type));
+    }
+    if (meta.exif) {
+        added.push(pngChunk('eXIf', meta.exif));
+        replaced.add('eXIf');
+    }
+    if (meta.xmp) {
+        const header = asciiBytes(`${PNG_XMP_KEYWORD}\0\0\0\0\0`);
+        added.push(pngChunk('iTXt', concatBytes([header, textEncoder.encode(meta.xmp)])));
+        replaced.add('XMP');
+    }
+    if (added.length === 0) return bytes;
+
+    // Metadata goes right after IHDR, ahead of PLTE and IDAT as iCCP requires
+    const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+    walkPngChunks(bytes, (type, start, end, chunkStart) => {
+        const isXmp = type === 'iTXt' && bytesEqual(bytes, start, `${PNG_XMP_KEYWORD}\0`);
+        if (!replaced.has(isXmp ? 'XMP' : type)) parts.push(bytes.subarray(chunkStart, end + 4));
+        if (type === 'IHDR') parts.push(...added);
+    });
+    return concatBytes(parts);
+}
+
+function jpegSegment(marker, payload) {
+    if (payload.length > JPEG_MAX_SEGMENT) throw new Error('JPEG segment too large');
+    const segment = new Uint8Array(4 + payload.length);
+    segment[0] = 0xFF;
+    segment[1] = marker;
+    segment[2] = (payload.length + 2) >> 8;
+    segment[3] = (payload.length + 2) & 0xFF;
+    segment.set(payload, 4);
+    return segment;
+}
+
+function embedInJpeg(bytes, meta) {
+    const added = [];
+    if (meta.exif) {
+        const payload = concatBytes([asciiBytes(EXIF_HEADER), meta.exif]);
+        if (payload.length <= JPEG_MAX_SEGMENT) added.push(jpegSegment(0xE1, payload));
+        else console.warn('EXIF data too large for a JPEG segment, dropped');
+    }
+    if (meta.xmp) {
+        // Extended XMP (split across segments) isn't supported
+        const payload = concatBytes([asciiBytes(XMP_HEADER), textEncoder.encode(meta.xmp)]);
+        if (payload.length <= JPEG_MAX_SEGMENT) added.push(jpegSegment(0xE1, payload));
+        else console.warn('XMP packet too large for a JPEG segment, dropped');
+    }
+    if (meta.icc) {
+        const count = Math.ceil(meta.icc.length / ICC_CHUNK_SIZE);
+        for (let i = 0; i < count; i++) {
+            const chunk = meta.icc.subarray(i * ICC_CHUNK_SIZE, (i + 1) * ICC_CHUNK_SIZE);
+            added.push(jpegSegment(0xE2, concatBytes([asciiBytes(ICC_HEADER), Uint8Array.of(i + 1, count), chunk])));
+        }
+    }
+    if (added.length === 0) return bytes;
+
+    // Keep JFIF (APP0) first, drop any metadata of the kinds being replaced,
+    // and insert ours before the remaining header segments
+    const kept = [];
+    let jfif = null;
+    const dataStart = walkJpegSegments(bytes, (marker, start, end, segmentStart) => {
+        const segment = bytes.subarray(segmentStart, end);
+        if (marker === 0xE0 && !jfif && kept.length === 0) {
+            jfif = segment;
+        } else if (
+            (meta.exif && marker === 0xE1 && bytesEqual(bytes, start, EXIF_HEADER)) ||
+            (meta.xmp && marker === 0xE1 && bytesEqual(bytes, start, XMP_HEADER)) ||
+            (meta.icc && marker === 0xE2 && bytesEqual(bytes, start, ICC_HEADER))
+        ) {
+            // Replaced below
+        } else {
+            kept.push(segment);
+        }
+    });
+
+    return concatBytes([
+        bytes.subarray(0, 2),
+        ...(jfif ? [jfif] : []),
+        ...added,
+        ...kept,
+        bytes.subarray(dataStart)
+    ]);
+}
+
+const uint24 = (value) => Uint8Array.of(value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF);
+const readUint24 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+
+function webpChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+    chunk.set(asciiBytes(type));
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+// Canvas size and alpha from the VP8 / VP8L bitstream header
+function readWebpBitstream(bytes, type, start) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (type === 'VP8L' && bytes[start] === 0x2F) {
+        const bits = view.getUint32(start + 1, true);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1, alpha: ((bits >>> 28) & 1) === 1 };
+    }
+    if (type === 'VP8 ' && bytes[start + 3] === 0x9D && bytes[start + 4] === 0x01 && bytes[start + 5] === 0x2A) {
+        return { width: view.getUint16(start + 6, true) & 0x3FFF, height: view.getUint16(start + 8, true) & 0x3FFF, alpha: false };
+    }
+    return null;
+}
+
+// Metadata needs the extended format: a VP8X header chunk whose flags
+// announce the ICCP / EXIF / XMP chunks around the image data
+function embedInWebp(bytes, meta) {
+    if (!meta.icc && !meta.exif && !meta.xmp) return bytes;
+
+    const chunks = [];
+    let header = null;
+    let size = null;
+    walkWebpChunks(bytes, (type, start, end, chunkStart, chunkEnd) => {
+        if (type === 'VP8X') {
+            header = {
+                flags: bytes[start],
+                width: readUint24(bytes, start + 4) + 1,
+                height: readUint24(bytes, start + 7) + 1
+            };
+            return;
+        }
+        if (!size && (type === 'VP8 ' || type === 'VP8L')) size = readWebpBitstream(bytes, type, start);
+        chunks.push({ type, bytes: bytes.subarray(chunkStart, chunkEnd) });
+    });
+
+    if (!header) {
+        if (!size) throw new Error('Unrecognized WebP bitstream');
+        header = { flags: size.alpha ? 0x10 : 0, width: size.width, height: size.height };
+    }
+    if (chunks.some((chunk) => chunk.type === 'ALPH')) header.flags |= 0x10;
+
+    const keep = (type) => chunks.filter((chunk) => chunk.type === type).map((chunk) => chunk.bytes);
+    const icc = meta.icc ? [webpChunk('ICCP', meta.icc)] : keep('ICCP');
+    const exif = meta.exif ? [webpChunk('EXIF', meta.exif)] : keep('EXIF');
+    const xmp = meta.xmp ? [webpChunk('XMP ', textEncoder.encode(meta.xmp))] : keep('XMP ');
+    const image = chunks.filter((chunk) => !['ICCP', 'EXIF', 'XMP '].includes(chunk.type)).map((chunk) => chunk.bytes);
+
+    let flags = header.flags & ~(0x20 | 0x08 | 0x04);
+    if (icc.length) flags |= 0x20;
+    if (exif.length) flags |= 0x08;
+    if (xmp.length) flags |= 0x04;
+
+    // flags, 3 reserved bytes, then 24-bit little-endian width - 1 and height - 1
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    vp8x.set(uint24(header.width - 1), 4);
+    vp8x.set(uint24(header.height - 1), 7);
+
+    // Required order: VP8X, ICCP, image data (ANIM/ALPH/VP8...), EXIF, XMP
+    const body = concatBytes([asciiBytes('WEBP'), webpChunk('VP8X', vp8x), ...icc, ...image, ...exif, ...xmp]);
+    const riff = new Uint8Array(8);
+    riff.set(asciiBytes('RIFF'));
+    new DataView(riff.buffer).setUint32(4, body.length, true);
+    return concatBytes([riff, body]);
+}
+
+/**
+ * Write metadata into an encoded PNG, JPEG or WebP. Other formats are
+ * returned as-is.
+ *
+ * @param {Uint8Array} bytes
+ * @param {ImageMetadata} meta
+ * @returns {Promise<Uint8Array>}
+ */
+export async function embedMetadata(bytes, meta) {
+    switch (detectFormat(bytes)) {
+        case 'png': return embedInPng(bytes, meta);
+        case 'jpeg': return embedInJpeg(bytes, meta);
+        case 'webp': return embedInWebp(bytes, meta);
+        default: return bytes;
+    }
+}
+
+/**
+ * Copy the metadata of `source` into the re-encoded `output`.
+ *
+ * @param {Blob} source Original upload
+ * @param {Blob} output Encoded result
+ * @param {MetadataOptions} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function transferMetadata(source, output, options = {}) {
+    const [sourceBytes, outputBytes] = await Promise.all([
+        source.arrayBuffer().then((buffer) => new Uint8Array(buffer)),
+        output.arrayBuffer().then((buffer) => new Uint8Array(buffer))
+    ]);
+
+    try {
+        const meta = filterMetadata(await readMetadata(sourceBytes), options);
+        const bytes = await embedMetadata(outputBytes, meta);
+        return bytes === outputBytes ? output : new Blob([bytes], { type: output.type });
+    } catch (e) {
+        // Corrupt metadata shouldn't cost the user the cleaned image
+        console.warn('Could not copy metadata:', e);
+        return output;
+    }
+}
+
+// createImageBitmap options matching what transferMetadata writes: keep the
+// raw pixel values when the source profile travels along, so the embedded ICC
+// still describes them. Decoders already rotate by the EXIF orientation,
+// hence resetOrientation defaulting to true.
+export function decodeOptionsFor(options = {}) {
+    const { icc } = { ...DEFAULT_METADATA_OPTIONS, ...options };
+    return { colorSpaceConversion: icc ? 'none' : 'default' };
+}
@@ -0,0 +1,121 @@
+// Export formats: what the user can pick, how each maps to an encoder MIME
+// type and file extension, and which ones the browser can actually encode.
+
+import { createCanvas } from './watermark.js';
+import { DEFAULT_FILENAME_SETTINGS, expandFilenameTemplate } from './filename.js';
+
+export const OUTPUT_FORMAT = {
+    SAME: 'same', // Same as the uploaded file
+    PNG: 'png',
+    JPEG: 'jpeg',
+    WEBP: 'webp',
+    AVIF: 'avif'
+};
+
+export const FORMAT_INFO = {
+    [OUTPUT_FORMAT.PNG]: { mime: 'image/png', extension: 'png', label: 'PNG', lossy: false, alpha: true, metadata: true },
+    [OUTPUT_FORMAT.JPEG]: { mime: 'image/jpeg', extension: 'jpg', label: 'JPEG', lossy: true, alpha: false, metadata: true },
+    [OUTPUT_FORMAT.WEBP]: { mime: 'image/webp', extension: 'webp', label: 'WebP', lossy: true, alpha: true, metadata: true },
+    // Metadata isn't written into AVIF containers yet
+    [OUTPUT_FORMAT.AVIF]: { mime: 'image/avif', extension: 'avif', label: 'AVIF', lossy: true, alpha: true, metadata: false }
+};
+
+// Formats by file extension, the usual alternates included
+const EXTENSION_FORMATS = {
+    ...Object.fromEntries(Object.entries(FORMAT_INFO).map(([format, info]) => [info.extension, format])),
+    jpeg: OUTPUT_FORMAT.JPEG,
+    jpe: OUTPUT_FORMAT.JPEG,
+    jfif: OUTPUT_FORMAT.JPEG
+};
+
+export const DEFAULT_QUALITY = 90;
+
+/**
+ * @typedef {Object} OutputSettings
+ * @property {string} format One of OUTPUT_FORMAT
+ * @property {number} quality 1-100, used by the lossy formats
+ */
+export const DEFAULT_OUTPUT = { format: OUTPUT_FORMAT.SAME, quality: DEFAULT_QUALITY };
+
+export function formatFromMime(mime) {
+    const entry = Object.entries(FORMAT_INFO).find(([, info]) => info.mime === mime);
+    return entry ? entry[0] : null;
+}
+
+// Concrete format for a choice; 'same' falls back to PNG for inputs we
+// can't encode (GIF, BMP, ...)
+export function resolveOutputFormat(format, sourceMime) {
+    if (format !== OUTPUT_FORMAT.SAME) return format;
+    return formatFromMime(sourceMime) || OUTPUT_FORMAT.PNG;
+}
+
+// Export name: the expanded filename template plus the format's extension.
+// A source already in that format keeps its own extension as typed
+// ("photo.jpeg", "IMG_01.JPG"), so "{name}" reproduces the original name.
+// `info` supplies the other template values (see expandFilenameTemplate).
+export function outputFilename(name, format, template = DEFAULT_FILENAME_SETTINGS.template, info = {}) {
+    const extension = /\.([^/.]+)$/.exec(name)?.[1];
+    const kept = extension && EXTENSION_FORMATS[extension.toLowerCase()] === format;
+    return `${expandFilenameTemplate(template, { ...info, name })}.${kept ? extension : FORMAT_INFO[format].extension}`;
+}
+
+// Encoders silently fall back to PNG for types they don't support, so the
+// returned blob's type is the format that was actually written
+export function encodeCanvas(canvas, format, quality = DEFAULT_QUALITY) {
+    const { mime, lossy, alpha } = FORMAT_INFO[format];
+    const q = lossy ? quality / 100 : undefined;
+
+    if (!alpha) {
+        // Encoders turn transparent pixels black; flatten onto white instead
+        const flat = createCanvas(canvas.width, canvas.height);
+        const ctx = flat.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, flat.width, flat.height);
+        ctx.drawImage(canvas, 0, 0);
+        canvas = flat;
+    }
+
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type: mime, quality: q });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas encoding failed'))), mime, q);
+    });
+}
+
+// Re-encode as PNG, e.g. for the clipboard, which only accepts image/png
+export async function toPngBlob(blob) {
+    if (blob.type === FORMAT_INFO[OUTPUT_FORMAT.PNG].mime) return blob;
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return encodeCanvas(canvas, OUTPUT_FORMAT.PNG);
+}
+
+// Formats this browser can encode, probed once with a 1x1 canvas
+let supportedPromise = null;
+export function getSupportedOutputFormats() {
+    if (!supportedPromise) {
+        const canvas = createCanvas(1, 1);
+        canvas.getContext('2d').fillRect(0, 0, 1, 1);
+
+        supportedPromise = Promise.all(Object.keys(FORMAT_INFO).map(async (format) => {
+            try {
+                const blob = await encodeCanvas(canvas, format);
+                return blob.type === FORMAT_INFO[format].mime ? format : null;
+            } catch {
+                return null;
+            }
+        })).then((formats) => formats.filter(Boolean));
+    }
+    return supportedPromise;
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
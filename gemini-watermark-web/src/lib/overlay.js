@@ -0,0 +1,283 @@
+// Custom logo and text overlays: where they go on the processed image and
+// how they are drawn. The geometry is plain math so the placement panels can
+// preview and drag them with exactly the numbers the renderer uses.
+
+import { stripExtension, formatDate, expandTokens } from './tokens.js';
+
+export const LOGO_ANCHOR = {
+    TOP_LEFT: 'top-left',
+    TOP: 'top',
+    TOP_RIGHT: 'top-right',
+    LEFT: 'left',
+    CENTER: 'center',
+    RIGHT: 'right',
+    BOTTOM_LEFT: 'bottom-left',
+    BOTTOM: 'bottom',
+    BOTTOM_RIGHT: 'bottom-right'
+};
+
+const MAX_TILES = 4000;
+
+export const OFFSET_UNIT = {
+    PX: 'px',
+    PERCENT: '%' // Of the image width (x) or height (y)
+};
+
+/**
+ * Placement of the logo, and of the text overlay.
+ *
+ * @typedef {Object} LogoPlacement
+ * @property {string} anchor One of LOGO_ANCHOR
+ * @property {number} offsetX Inward from the anchored edge; right of center for middle anchors
+ * @property {number} offsetY Inward from the anchored edge; below center for middle anchors
+ * @property {'px' | '%'} unit
+ * @property {number} rotation Degrees, clockwise around the logo center
+ * @property {boolean} tile Repeat the logo over the whole image instead
+ * @property {number} spacing Gap between tiles as a fraction of the logo size
+ */
+export const DEFAULT_LOGO_PLACEMENT = {
+    anchor: LOGO_ANCHOR.BOTTOM_RIGHT,
+    offsetX: 20,
+    offsetY: 20,
+    unit: OFFSET_UNIT.PX,
+    rotation: 0,
+    tile: false,
+    spacing: 1
+};
+
+// Which edge each anchor hugs: -1 = left/top, 0 = centered, 1 = right/bottom
+const ANCHOR_SIDES = {
+    [LOGO_ANCHOR.TOP_LEFT]: { x: -1, y: -1 },
+    [LOGO_ANCHOR.TOP]: { x: 0, y: -1 },
+    [LOGO_ANCHOR.TOP_RIGHT]: { x: 1, y: -1 },
+    [LOGO_ANCHOR.LEFT]: { x: -1, y: 0 },
+    [LOGO_ANCHOR.CENTER]: { x: 0, y: 0 },
+    [LOGO_ANCHOR.RIGHT]: { x: 1, y: 0 },
+    [LOGO_ANCHOR.BOTTOM_LEFT]: { x: -1, y: 1 },
+    [LOGO_ANCHOR.BOTTOM]: { x: 0, y: 1 },
+    [LOGO_ANCHOR.BOTTOM_RIGHT]: { x: 1, y: 1 }
+};
+
+const toPixels = (value, unit, extent) => (unit === OFFSET_UNIT.PERCENT ? (value / 100) * extent : value);
+const fromPixels = (value, unit, extent) => (unit === OFFSET_UNIT.PERCENT ? (value / extent) * 100 : value);
+
+// Position along one axis: offsets push inward from an edge, or right/down
+// from the center
+function axisPosition(side, offset, extent, size) {
+    if (side < 0) return offset;
+    if (side > 0) return extent - size - offset;
+    return (extent - size) / 2 + offset;
+}
+
+function axisOffset(side, position, extent, size) {
+    if (side < 0) return position;
+    if (side > 0) return extent - size - position;
+    return position - (extent - size) / 2;
+}
+
+/**
+ * Top-left of the (unrotated) logo box in image pixels.
+ *
+ * @param {{ width: number, height: number }} image
+ * @param {{ width: number, height: number }} logo Drawn logo size in image pixels
+ * @param {LogoPlacement} placement
+ * @returns {{ x: number, y: number }}
+ */
+export function logoPosition(image, logo, placement) {
+    const sides = ANCHOR_SIDES[placement.anchor];
+    return {
+        x: axisPosition(sides.x, toPixels(placement.offsetX, placement.unit, image.width), image.width, logo.width),
+        y: axisPosition(sides.y, toPixels(placement.offsetY, placement.unit, image.height), image.height, logo.height)
+    };
+}
+
+// Inverse of logoPosition: the offsets that put the logo's top-left at (x, y)
+// for the placement's anchor and unit. Used when the logo is dragged.
+export function offsetsForPosition(image, logo, placement, { x, y }) {
+    const sides = ANCHOR_SIDES[placement.anchor];
+    return {
+        offsetX: fromPixels(axisOffset(sides.x, x, image.width, logo.width), placement.unit, image.width),
+        offsetY: fromPixels(axisOffset(sides.y, y, image.height, logo.height), placement.unit, image.height)
+    };
+}
+
+// Tile centers for the repeated pattern, in a frame rotated by the placement
+// angle around the image center. Rows are staggered by half a step so the
+// tiles line up diagonally; the grid covers the image's circumscribed circle
+// so no corner is left empty after rotation. Tiny logos on huge images get
+// wider gaps instead of hundreds of thousands of draw calls.
+export function tileCenters(image, logo, spacing) {
+    const radius = Math.hypot(image.width, image.height) / 2;
+    const spread = Math.max(1, Math.sqrt((4 * radius * radius) / (logo.width * logo.height * (1 + spacing) ** 2 * MAX_TILES)));
+    const stepX = logo.width * (1 + spacing) * spread;
+    const stepY = logo.height * (1 + spacing) * spread;
+    const columns = Math.ceil(radius / stepX) + 1;
+    const rows = Math.ceil(radius / stepY);
+
+    const centers = [];
+    for (let row = -rows; row <= rows; row++) {
+        const shift = (row & 1) ? stepX / 2 : 0;
+        for (let col = -columns; col <= columns; col++) {
+            centers.push({ x: col * stepX + shift, y: row * stepY });
+        }
+    }
+    return centers;
+}
+
+// Draw one item of the given box size, or the tiled pattern, with the
+// placement's rotation. drawItem(x, y) draws the box with its top-left at
+// (x, y) in the current (translated and rotated) coordinate system.
+function drawPlaced(ctx, image, box, placement, drawItem) {
+    const angle = (placement.rotation * Math.PI) / 180;
+
+    if (placement.tile) {
+        ctx.translate(image.width / 2, image.height / 2);
+        ctx.rotate(angle);
+        for (const center of tileCenters(image, box, placement.spacing)) {
+            drawItem(center.x - box.width / 2, center.y - box.height / 2);
+        }
+    } else {
+        const { x, y } = logoPosition(image, box, placement);
+        ctx.translate(x + box.width / 2, y + box.height / 2);
+        ctx.rotate(angle);
+        drawItem(-box.width / 2, -box.height / 2);
+    }
+}
+
+/**
+ * Draw the logo onto a 2D context covering an image of the given size.
+ *
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource & { width: number, height: number }} logoImage
+ * @param {{ width: number, height: number }} image
+ * @param {{ opacity: number, scale: number, placement: LogoPlacement }} options
+ *   opacity 0-1, scale relative to the logo file's own size
+ */
+export function drawLogoOverlay(ctx, logoImage, image, { opacity, scale, placement }) {
+    const logo = { width: logoImage.width * scale, height: logoImage.height * scale };
+    if (logo.width <= 0 || logo.height <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    drawPlaced(ctx, image, logo, placement, (x, y) => ctx.drawImage(logoImage, x, y, logo.width, logo.height));
+    ctx.restore();
+}
+
+export const TEXT_FONTS = [
+    ['sans-serif', '無襯線'],
+    ['serif', '襯線'],
+    ['monospace', '等寬'],
+    ['"Microsoft JhengHei", "PingFang TC", "Noto Sans TC", sans-serif', '正黑體'],
+    ['Arial, Helvetica, sans-serif', 'Arial'],
+    ['Georgia, serif', 'Georgia'],
+    ['Impact, sans-serif', 'Impact']
+];
+
+/**
+ * @typedef {Object} TextOverlay
+ * @property {boolean} enabled
+ * @property {string} template Text with {name}, {filename}, {year} or {date} placeholders
+ * @property {string} font CSS font family
+ * @property {boolean} bold
+ * @property {number} size Font size
+ * @property {'px' | '%'} unit '%' is relative to the image height
+ * @property {string} color CSS color
+ * @property {number} opacity 0-100
+ * @property {number} strokeWidth Outline width as a percentage of the font size, 0 = none
+ * @property {string} strokeColor
+ * @property {number} shadowBlur Shadow blur as a percentage of the font size, 0 = none
+ * @property {string} shadowColor
+ * @property {LogoPlacement} placement
+ */
+export const DEFAULT_TEXT_OVERLAY = {
+    enabled: false,
+    template: '{name} © {year}',
+    font: TEXT_FONTS[0][0],
+    bold: false,
+    size: 3,
+    unit: OFFSET_UNIT.PERCENT,
+    color: '#ffffff',
+    opacity: 80,
+    strokeWidth: 0,
+    strokeColor: '#000000',
+    shadowBlur: 10,
+    shadowColor: '#000000',
+    placement: { ...DEFAULT_LOGO_PLACEMENT, anchor: LOGO_ANCHOR.BOTTOM_LEFT }
+};
+
+const LINE_HEIGHT = 1.2;
+
+// Fill in the placeholders for one file; unknown ones are left as typed
+export function expandTextTemplate(template, { filename = '', date = new Date() } = {}) {
+    const values = {
+        name: stripExtension(filename),
+        filename,
+        year: String(date.getFullYear()),
+        date: formatDate(date)
+    };
+    return expandTokens(template, values);
+}
+
+function applyTextStyle(ctx, overlay, image) {
+    const fontSize = overlay.unit === OFFSET_UNIT.PERCENT ? (overlay.size / 100) * image.height : overlay.size;
+    ctx.font = `${overlay.bold ? 'bold ' : ''}${fontSize}px ${overlay.font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    return fontSize;
+}
+
+/**
+ * Box the rendered text occupies, for placement and hit testing.
+ *
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+ * @param {string} text Already expanded
+ * @param {{ width: number, height: number }} image
+ * @param {TextOverlay} overlay
+ * @returns {{ width: number, height: number }}
+ */
+export function measureTextOverlay(ctx, text, image, overlay) {
+    ctx.save();
+    const fontSize = applyTextStyle(ctx, overlay, image);
+    const width = ctx.measureText(text).width;
+    ctx.restore();
+    return { width, height: fontSize * LINE_HEIGHT };
+}
+
+/**
+ * Draw the text onto a 2D context covering an image of the given size.
+ *
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx
+ * @param {string} text Already expanded
+ * @param {{ width: number, height: number }} image
+ * @param {TextOverlay} overlay
+ */
+export function drawTextOverlay(ctx, text, image, overlay) {
+    const box = measureTextOverlay(ctx, text, image, overlay);
+    if (!text || box.width <= 0 || box.height <= 0) return;
+
+    ctx.save();
+    const fontSize = applyTextStyle(ctx, overlay, image);
+    ctx.globalAlpha = overlay.opacity / 100;
+    if (overlay.shadowBlur > 0) {
+        ctx.shadowColor = overlay.shadowColor;
+        ctx.shadowBlur = (overlay.shadowBlur / 100) * fontSize;
+        ctx.shadowOffsetX = ctx.shadowOffsetY = fontSize * 0.04;
+    }
+    ctx.fillStyle = overlay.color;
+    ctx.strokeStyle = overlay.strokeColor;
+    ctx.lineJoin = 'round';
+    // The stroke is centered on the glyph edge and the fill covers the inner half
+    ctx.lineWidth = 2 * (overlay.strokeWidth / 100) * fontSize;
+
+    drawPlaced(ctx, image, box, overlay.placement, (x, y) => {
+        const cx = x + box.width / 2;
+        const cy = y + box.height / 2;
+        if (overlay.strokeWidth > 0) {
+            ctx.strokeText(text, cx, cy);
+            ctx.shadowColor = 'transparent'; // Shadow once, under the outline
+        }
+        ctx.fillText(text, cx, cy);
+        if (overlay.strokeWidth > 0 && overlay.shadowBlur > 0) ctx.shadowColor = overlay.shadowColor;
+    });
+    ctx.restore();
+}
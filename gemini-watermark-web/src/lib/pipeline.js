@@ -0,0 +1,76 @@
+import { INTENSITY_AUTO, LOGO_COLOR_AUTO, createProcessingContext } from './watermark.js';
+import { FORMAT_INFO, resolveOutputFormat, encodeCanvas } from './outputFormat.js';
+import { METADATA_FIELD, transferMetadata } from './metadata.js';
+import { drawLogoOverlay, drawTextOverlay, expandTextTemplate } from './overlay.js';
+
+// Metadata options for an export. The ICC profile can only stay with the raw
+// pixels when the output format can carry it; otherwise decode to sRGB.
+export function exportMetadataOptions(settings, file) {
+    const format = resolveOutputFormat(settings.output.format, file.type);
+    if (FORMAT_INFO[format].metadata) return settings.metadata;
+    return { ...settings.metadata, [METADATA_FIELD.ICC]: false };
+}
+
+// Draw a decoded image onto the canvas, remove the watermark and add the
+// custom logo and text overlays. Shared by the worker pool and the main-thread fallback,
+// so `canvas` may be an HTMLCanvasElement or an OffscreenCanvas; it must be
+// fresh, since its context is created here for the chosen precision.
+export function renderProcessedImage(engine, canvas, image, logoImage, settings) {
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = createProcessingContext(canvas, settings.precision);
+    ctx.drawImage(image, 0, 0);
+
+    // Auto intensity: let the engine estimate alpha scale and logo value,
+    // manual mode keeps the user's slider value as an override. The logo
+    // color is the template's, estimated per channel, or the user's pick.
+    // Auto blend space removes it both ways and keeps the cleaner result.
+    const logoColor = { auto: LOGO_COLOR_AUTO, manual: settings.logoColor }[settings.logoColorMode] ?? null;
+    const result = engine.process(canvas, {
+        size: settings.sizeMode,
+        intensity: settings.intensityMode === 'auto' ? INTENSITY_AUTO : settings.intensity,
+        logoValue: settings.logoValue,
+        logoColor,
+        blendSpace: settings.blendSpace,
+        precision: settings.precision,
+        dither: settings.dither,
+        localize: settings.localize,
+        inpaint: settings.inpaint,
+        placement: settings.placement
+    });
+
+    // Add custom logo overlay if exists
+    if (logoImage) {
+        drawLogoOverlay(ctx, logoImage, canvas, {
+            opacity: settings.logoOpacity / 100,
+            scale: settings.logoSize / 100,
+            placement: settings.logoPlacement
+        });
+    }
+
+    // Text watermark, in the same pass on top of the logo
+    if (settings.textOverlay?.enabled) {
+        const text = expandTextTemplate(settings.textOverlay.template, { filename: settings.fileName });
+        drawTextOverlay(ctx, text, canvas, settings.textOverlay);
+    }
+
+    return {
+        intensity: result.estimate ? result.estimate.intensity : settings.intensity,
+        logoValue: result.estimate ? result.estimate.logoValue : settings.logoValue,
+        logoColor: result.estimate ? result.estimate.logoColor : settings.logoColor,
+        residuals: result.residuals,
+        detection: result.detection,
+        transform: result.transform,
+        watermarkApplied: result.applied,
+        width: canvas.width,
+        height: canvas.height
+    };
+}
+
+// Encode the processed canvas in the chosen output format and copy the
+// source file's metadata into it
+export async function encodeProcessedImage(canvas, file, settings) {
+    const format = resolveOutputFormat(settings.output.format, file.type);
+    const encoded = await encodeCanvas(canvas, format, settings.output.quality);
+    return transferMetadata(file, encoded, exportMetadataOptions(settings, file));
+}
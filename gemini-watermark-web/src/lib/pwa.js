@@ -0,0 +1,54 @@
+// Installable app support: registering the service worker, and collecting
+// the images the installed app is opened with, either as the file handler
+// for them or as a share target.
+
+const SHARE_PARAM = 'share-target';
+
+let listener = null;
+const pending = []; // Files that arrived before the app listened
+
+function deliver(files) {
+    if (files.length === 0) return;
+    if (listener) listener(files);
+    else pending.push(...files);
+}
+
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+            .catch(err => console.warn('Service worker registration failed:', err));
+    });
+}
+
+// Call once at startup: launches are only delivered to the first consumer
+export function collectLaunchedFiles() {
+    if ('launchQueue' in window) {
+        window.launchQueue.setConsumer(async ({ files }) => {
+            if (files?.length) deliver(await Promise.all(files.map(handle => handle.getFile())));
+        });
+    }
+
+    const url = new URL(window.location.href);
+    if (url.searchParams.has(SHARE_PARAM) && 'serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'shared-files') deliver(event.data.files);
+        });
+        navigator.serviceWorker.ready.then(registration => {
+            registration.active?.postMessage({ type: 'share-ready' });
+        });
+        // Keep a reload from asking again
+        url.searchParams.delete(SHARE_PARAM);
+        window.history.replaceState(null, '', url);
+    }
+}
+
+// Hand launched files to callback(files), including any that came in
+// earlier. Returns the unsubscribe function.
+export function onLaunchedFiles(callback) {
+    listener = callback;
+    if (pending.length > 0) callback(pending.splice(0));
+    return () => {
+        if (listener === callback) listener = null;
+    };
+}
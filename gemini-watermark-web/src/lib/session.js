@@ -0,0 +1,133 @@
+// Keeps the current batch in IndexedDB so a refresh doesn't lose it: the
+// original files with their per-image settings, and the global settings
+// including the custom logo. Processed results are not stored; restored
+// images are simply processed again.
+
+const DB_NAME = 'gemini-watermark-session';
+const DB_VERSION = 1;
+const IMAGES = 'images';
+const SETTINGS = 'settings';
+const SETTINGS_KEY = 'global';
+
+// Per-image fields worth restoring; everything else is derived by processing
+export const PERSISTED_IMAGE_FIELDS = [
+    'sizeMode',
+    'intensity',
+    'intensityMode',
+    'logoValue',
+    'logoColorMode',
+    'logoColor',
+    'blendSpace',
+    'precision',
+    'dither',
+    'localize',
+    'inpaint',
+    'output',
+    'placement'
+];
+
+/**
+ * @typedef {Object} StoredImage
+ * @property {number} id
+ * @property {number} order Position in the batch
+ * @property {File | Blob} file The original upload
+ * @property {string} name
+ * @property {string} folder Path inside a dropped directory, '' otherwise
+ * @property {Object} settings The PERSISTED_IMAGE_FIELDS of the image
+ */
+
+// Record for one image of the App's `images` array
+export function toStoredImage(image, order) {
+    const settings = {};
+    for (const field of PERSISTED_IMAGE_FIELDS) settings[field] = image[field];
+    return { id: image.id, order, file: image.file, name: image.name, folder: image.folder || '', settings };
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export class SessionStore {
+    constructor(factory = globalThis.indexedDB) {
+        this.factory = factory;
+        this.db = null;
+    }
+
+    // Rejects where IndexedDB is unavailable (some private modes); callers
+    // then simply run without persistence
+    async open() {
+        if (!this.factory) throw new Error('IndexedDB is not available');
+
+        const request = this.factory.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IMAGES)) db.createObjectStore(IMAGES, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(SETTINGS)) db.createObjectStore(SETTINGS);
+        };
+        this.db = await promisify(request);
+        return this;
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    // Run fn(...stores) in one transaction and resolve once it has committed,
+    // with the result of the request fn returned (if any)
+    transaction(storeNames, mode, fn) {
+        const names = [].concat(storeNames);
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(names, mode);
+            const request = fn(...names.map(name => tx.objectStore(name)));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+    }
+
+    /** @returns {Promise<StoredImage[]>} In batch order */
+    async loadImages() {
+        const records = await this.transaction(IMAGES, 'readonly', store => store.getAll());
+        return records.sort((a, b) => a.order - b.order);
+    }
+
+    /** @param {StoredImage[]} records */
+    saveImages(records) {
+        return this.transaction(IMAGES, 'readwrite', store => {
+            for (const record of records) store.put(record);
+        });
+    }
+
+    deleteImages(ids) {
+        return this.transaction(IMAGES, 'readwrite', store => {
+            for (const id of ids) store.delete(id);
+        });
+    }
+
+    async loadSettings() {
+        return (await this.transaction(SETTINGS, 'readonly', store => store.get(SETTINGS_KEY))) || null;
+    }
+
+    saveSettings(settings) {
+        return this.transaction(SETTINGS, 'readwrite', store => {
+            store.put(settings, SETTINGS_KEY);
+        });
+    }
+
+    clear() {
+        return this.transaction([IMAGES, SETTINGS], 'readwrite', (images, settings) => {
+            images.clear();
+            settings.clear();
+        });
+    }
+}
+
+// Storage used by this origin and the browser's quota for it, in bytes;
+// null when the browser doesn't say
+export async function estimateStorage() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
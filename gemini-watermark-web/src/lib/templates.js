@@ -0,0 +1,202 @@
+// Watermark templates: which corner marks the engine knows. Each entry
+// brings its alpha map (a capture of the logo over black, or the decoded
+// map), logo color (optionally per pixel), anchor corner, margins and the
+// rule for which image sizes it is the native mark of. Gemini's two marks are built in; more
+// come from template files, e.g. the ones the calibration tool exports.
+
+export const TEMPLATE_FORMAT = 'gemini-watermark-template';
+export const TEMPLATE_VERSION = 1;
+
+export const TEMPLATE_ANCHOR = {
+    BOTTOM_RIGHT: 'bottom-right',
+    BOTTOM_LEFT: 'bottom-left',
+    TOP_RIGHT: 'top-right',
+    TOP_LEFT: 'top-left'
+};
+
+/**
+ * @typedef {Object} AlphaMap
+ * @property {number} width
+ * @property {number} height
+ * @property {Float32Array} data 0-1 per pixel
+ *
+ * @typedef {Object} ColorMap
+ * @property {number} width
+ * @property {number} height
+ * @property {Float32Array} data Logo color per pixel, RGB interleaved, 0-255
+ *
+ * @typedef {Object} WatermarkTemplate
+ * @property {string} id Also the engine's `size` option value
+ * @property {string} label
+ * @property {number} size Native logo width and height in pixels
+ * @property {string} anchor One of TEMPLATE_ANCHOR
+ * @property {{ left?: number, right?: number, top?: number, bottom?: number }} margin
+ *   Distance from the anchor corner, on the anchor's two sides
+ * @property {{ minWidth: number, minHeight: number }} rule Native mark of images
+ *   at least this large; the most specific matching rule wins
+ * @property {number[]} logoColor [r, g, b]; with a color map, its average
+ * @property {string} [alphaMapUrl] Capture in the bg_48.png format
+ * @property {AlphaMap} [alphaMap] Decoded map, once loaded
+ * @property {string} [colorMapUrl] Image of the logo's color per pixel, for
+ *   gradient or multi-colored logos
+ * @property {ColorMap} [colorMap] Decoded color map, once loaded
+ */
+
+/** @type {WatermarkTemplate[]} */
+export const BUILTIN_TEMPLATES = [
+    {
+        id: 'small',
+        label: '48×48',
+        size: 48,
+        anchor: TEMPLATE_ANCHOR.BOTTOM_RIGHT,
+        margin: { right: 32, bottom: 32 },
+        rule: { minWidth: 0, minHeight: 0 },
+        logoColor: [255, 255, 255],
+        alphaMapUrl: 'bg_48.png'
+    },
+    {
+        // Both sides above 1024
+        id: 'large',
+        label: '96×96',
+        size: 96,
+        anchor: TEMPLATE_ANCHOR.BOTTOM_RIGHT,
+        margin: { right: 64, bottom: 64 },
+        rule: { minWidth: 1025, minHeight: 1025 },
+        logoColor: [255, 255, 255],
+        alphaMapUrl: 'bg_96.png'
+    }
+];
+
+function templateError(message) {
+    const error = new Error(message);
+    error.name = 'TemplateError';
+    return error;
+}
+
+// Which image edges the anchor corner touches
+export function anchorSides(template) {
+    return { right: template.anchor.endsWith('right'), bottom: template.anchor.startsWith('bottom') };
+}
+
+// Margins on the anchor's sides, horizontal and vertical
+export function templateMargins(template) {
+    const { right, bottom } = anchorSides(template);
+    return {
+        x: right ? template.margin.right : template.margin.left,
+        y: bottom ? template.margin.bottom : template.margin.top
+    };
+}
+
+// Top-left of the mark in an image; `scale` scales the margins along with
+// the logo, as when the whole image was resized
+export function templateBox(template, width, height, scale = 1) {
+    const { right, bottom } = anchorSides(template);
+    const margin = templateMargins(template);
+    const size = template.size * scale;
+    return {
+        x: right ? width - scale * margin.x - size : scale * margin.x,
+        y: bottom ? height - scale * margin.y - size : scale * margin.y,
+        size
+    };
+}
+
+export function matchesRule(template, width, height) {
+    return width >= template.rule.minWidth && height >= template.rule.minHeight;
+}
+
+// Native template for an image size: the matching rule that asks the most
+export function selectTemplate(templates, width, height) {
+    let best = null;
+    for (const template of templates) {
+        if (!matchesRule(template, width, height)) continue;
+        const { minWidth, minHeight } = template.rule;
+        if (!best || minWidth + minHeight > best.rule.minWidth + best.rule.minHeight) best = template;
+    }
+    return best;
+}
+
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+/**
+ * Check a template from a file (see calibration.js) and fill in the
+ * defaults. Throws a TemplateError naming the first problem.
+ *
+ * @param {Object} input
+ * @returns {WatermarkTemplate}
+ */
+export function normalizeTemplate(input) {
+    if (!input || typeof input !== 'object') throw templateError('Template is not an object');
+    if (input.format !== undefined && input.format !== TEMPLATE_FORMAT) {
+        throw templateError(`Not a watermark template: ${input.format}`);
+    }
+    if (input.version > TEMPLATE_VERSION) throw templateError(`Unsupported template version ${input.version}`);
+
+    const { id, size, anchor = TEMPLATE_ANCHOR.BOTTOM_RIGHT, margin = {}, rule = {}, logoColor = [255, 255, 255] } = input;
+    const validColor = Array.isArray(logoColor) && logoColor.length === 3 &&
+        logoColor.every(value => typeof value === 'number' && value >= 0 && value <= 255);
+    if (typeof id !== 'string' || !/^[\w.-]+$/.test(id)) throw templateError('Template id must be letters, digits, "-", "_" or "."');
+    if (!(Number.isInteger(size) && size > 0)) throw templateError('Template size must be a positive integer');
+    if (!Object.values(TEMPLATE_ANCHOR).includes(anchor)) throw templateError(`Unknown anchor: ${anchor}`);
+
+    const template = {
+        id,
+        label: typeof input.label === 'string' && input.label ? input.label : id,
+        size,
+        anchor,
+        margin: {},
+        rule: { minWidth: rule.minWidth ?? 0, minHeight: rule.minHeight ?? 0 },
+        logoColor: validColor ? [...logoColor] : null
+    };
+    const { right, bottom } = anchorSides(template);
+    const sides = [right ? 'right' : 'left', bottom ? 'bottom' : 'top'];
+    for (const side of sides) {
+        if (!isCount(margin[side])) throw templateError(`Template margin.${side} must be a non-negative number`);
+        template.margin[side] = margin[side];
+    }
+    if (!isCount(template.rule.minWidth) || !isCount(template.rule.minHeight)) {
+        throw templateError('Template rule sizes must be non-negative numbers');
+    }
+    if (!validColor) throw templateError('Template logoColor must be three values from 0 to 255');
+
+    if (input.alphaMap && typeof input.alphaMap === 'object') {
+        const { width, height, data } = input.alphaMap;
+        if (width !== size || height !== size || data?.length !== size * size) {
+            throw templateError('Template alpha map does not match its size');
+        }
+        template.alphaMap = input.alphaMap;
+    }
+    if (typeof input.alphaMapUrl === 'string') template.alphaMapUrl = input.alphaMapUrl;
+    if (!template.alphaMap && !template.alphaMapUrl) throw templateError('Template has no alpha map');
+
+    if (input.colorMap && typeof input.colorMap === 'object') {
+        const { width, height, data } = input.colorMap;
+        if (width !== size || height !== size || data?.length !== size * size * 3) {
+            throw templateError('Template color map does not match its size');
+        }
+        template.colorMap = input.colorMap;
+    }
+    if (typeof input.colorMapUrl === 'string') template.colorMapUrl = input.colorMapUrl;
+    return template;
+}
+
+// Template URLs made absolute, e.g. for workers, which resolve relative
+// URLs against their own script; data URLs pass through unchanged
+export function resolveTemplateUrls(templates, base) {
+    return templates.map(template => {
+        const resolved = { ...template };
+        for (const key of ['alphaMapUrl', 'colorMapUrl']) {
+            if (template[key]) resolved[key] = new URL(template[key], base).href;
+        }
+        return resolved;
+    });
+}
+
+// File form of a template: the maps only by URL. Templates that hold a map
+// only in decoded form can't be saved and throw a TemplateError; give them
+// an image URL (e.g. a PNG data URL, see calibration.js) first.
+export function serializeTemplate(template) {
+    if (template.alphaMap && !template.alphaMapUrl) throw templateError('Template alpha map has no URL to save');
+    if (template.colorMap && !template.colorMapUrl) throw templateError('Template color map has no URL to save');
+    const { alphaMap: _alphaMap, colorMap: _colorMap, ...rest } = template;
+    return { format: TEMPLATE_FORMAT, version: TEMPLATE_VERSION, ...rest };
+}
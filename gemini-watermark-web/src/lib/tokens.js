@@ -0,0 +1,15 @@
+// Placeholder expansion shared by the text overlay and the export file
+// names: "{name} © {year}", "processed_{name}" and the like.
+
+export const pad = (value) => String(value).padStart(2, '0');
+
+// "photo.final.jpg" -> "photo.final"
+export const stripExtension = (filename) => filename.replace(/\.[^/.]+$/, '');
+
+// YYYY-MM-DD in local time
+export const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Replace each {key} with values[key]; unknown ones are left as typed
+export function expandTokens(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (Object.hasOwn(values, key) ? values[key] : match));
+}
@@ -1,32 +1,106 @@
-const MAX_ALPHA = 0.99; // Avoid division by near-zero
-const ALPHA_THRESHOLD = 0.002; // Ignore very small alpha (noise)
-
-export const WATERMARK_SIZE = {
-    SMALL: 'small',
-    LARGE: 'large'
-};
-
-export class WatermarkEngine {
-    constructor() {
-        this.alphaMaps = {
-            small: null,
-            large: null
-        };
-        this.ready = false;
-        // C++ version uses 255.0 as logo value (white)
-        this.logoValue = 255.0;
+// Public entry of the shared watermark library. Both front ends (the React
+// app and the vanilla page in the repository root) import from here; Node
+// code can use core.js directly. See core.js for the typed option objects.
+import { WatermarkCore, PRECISION } from './core.js';
+import { BUILTIN_TEMPLATES } from './templates.js';
+
+export {
+    VERSION,
+    WatermarkCore,
+    WATERMARK_SIZE,
+    INPAINT_MODE,
+    SIZE_MODE_AUTO,
+    INTENSITY_AUTO,
+    LOGO_COLOR_AUTO,
+    BLEND_SPACE,
+    PRECISION,
+    cornerPlacement
+} from './core.js';
+
+export {
+    BUILTIN_TEMPLATES,
+    TEMPLATE_ANCHOR,
+    normalizeTemplate,
+    serializeTemplate,
+    resolveTemplateUrls
+} from './templates.js';
+
+// Works on the main thread and inside workers (OffscreenCanvas)
+export function createCanvas(width, height) {
+    if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * 2D context to process an image in. For precision 'float' it asks for
+ * half-float storage (colorType 'float16'), so sources with more than 8
+ * bits per channel keep them through drawing, removal and encoding; where
+ * the browser lacks it this is a plain 8-bit context. Must be the canvas's
+ * first getContext call. The canvas stays in sRGB: wide-gamut sources keep
+ * their gamut as raw values under their own ICC profile (see metadata.js).
+ *
+ * @param {HTMLCanvasElement | OffscreenCanvas} canvas
+ * @param {string} [precision]
+ */
+export function createProcessingContext(canvas, precision = PRECISION.UINT8) {
+    if (precision === PRECISION.FLOAT) {
+        try {
+            return canvas.getContext('2d', { colorType: 'float16' });
+        } catch {
+            // Unknown colorType value: no context was created, fall through
+        }
+    }
+    return canvas.getContext('2d');
+}
+
+const isFloat16 = (ctx) => ctx.getContextAttributes?.().colorType === 'float16';
+
+// Pixels of a whole canvas for WatermarkCore. Half-float canvases are read
+// as such and scaled from 0-1 to the core's 0-255 in place.
+function readCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    if (!isFloat16(ctx)) return ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height, { pixelFormat: 'rgba-float16' });
+    scaleChannels(imageData, 255);
+    return imageData;
+}
+
+// Multiply the color channels of (a rectangle of) ImageData
+function scaleChannels(imageData, factor, { x = 0, y = 0, width = imageData.width, height = imageData.height } = {}) {
+    const { data } = imageData;
+    for (let row = y; row < y + height; row++) {
+        for (let i = (row * imageData.width + x) * 4, end = i + width * 4; i < end; i += 4) {
+            data[i] *= factor;
+            data[i + 1] *= factor;
+            data[i + 2] *= factor;
+        }
     }
+}
 
-    async init(bgSmallUrl, bgLargeUrl) {
+// Canvas front end for WatermarkCore: loads the templates' alpha and color
+// maps from image URLs and moves pixels between a canvas and the RGBA math.
+export class WatermarkEngine extends WatermarkCore {
+    /**
+     * @param {import('./templates.js').WatermarkTemplate[]} [templates] With
+     *   resolvable map URLs (see resolveTemplateUrls) or decoded maps
+     */
+    async init(templates = BUILTIN_TEMPLATES) {
         try {
-            const [smallImg, largeImg] = await Promise.all([
-                this.loadImage(bgSmallUrl),
-                this.loadImage(bgLargeUrl)
-            ]);
-
-            this.alphaMaps.small = this.calculateAlphaMap(smallImg);
-            this.alphaMaps.large = this.calculateAlphaMap(largeImg);
-            this.ready = true;
+            const loaded = await Promise.all(templates.map(async (template) => {
+                const [alphaMap, colorMap] = await Promise.all([
+                    template.alphaMap || this.loadImage(template.alphaMapUrl).then(img => this.calculateAlphaMap(img)),
+                    template.colorMap || (template.colorMapUrl &&
+                        this.loadImage(template.colorMapUrl).then(img => this.colorMapFromRgba(this.readPixels(img))))
+                ]);
+                return colorMap ? { ...template, alphaMap, colorMap } : { ...template, alphaMap };
+            }));
+
+            this.setTemplates(loaded);
             console.log('[log] Watermark Engine Initialized');
         } catch (e) {
             console.error("Failed to initialize watermark engine:", e);
@@ -35,6 +109,16 @@ export class WatermarkEngine {
     }
 
     loadImage(url) {
+        // Workers have no Image element; decode through fetch + ImageBitmap there
+        if (typeof Image === 'undefined') {
+            return fetch(url)
+                .then((response) => {
+                    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+                    return response.blob();
+                })
+                .then((blob) => createImageBitmap(blob));
+        }
+
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.crossOrigin = "Anonymous";
@@ -44,116 +128,44 @@ export class WatermarkEngine {
         });
     }
 
-    // Calculate alpha map from background capture (bg_48.png / bg_96.png)
-    calculateAlphaMap(img) {
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width;
-        canvas.height = img.height;
+    // RGBA pixels of a loaded image
+    readPixels(img) {
+        const canvas = createCanvas(img.width, img.height);
         const ctx = canvas.getContext('2d');
         ctx.drawImage(img, 0, 0);
-
-        const imageData = ctx.getImageData(0, 0, img.width, img.height);
-        const data = imageData.data;
-        const alphaMap = new Float32Array(img.width * img.height);
-
-        for (let i = 0; i < data.length; i += 4) {
-            // In C++: alpha = max(R, G, B) / 255.0
-            // This represents how "white" the pixel is, which is the opacity of the logo
-            const maxVal = Math.max(data[i], data[i + 1], data[i + 2]);
-            alphaMap[i / 4] = maxVal / 255.0;
-        }
-
-        return {
-            width: img.width,
-            height: img.height,
-            data: alphaMap
-        };
-    }
-
-    process(canvas, forceSize = null, intensity = 1.0) {
-        if (!this.ready) throw new Error("Watermark engine not initialized");
-
-        const width = canvas.width;
-        const height = canvas.height;
-
-        // Determine watermark size
-        let config;
-        if (forceSize) {
-            config = forceSize === WATERMARK_SIZE.LARGE ?
-                this.getWatermarkConfigLarge() :
-                this.getWatermarkConfigSmall();
-        } else {
-            config = this.getWatermarkConfig(width, height);
-        }
-
-        const alphaMap = config.size === 96 ? this.alphaMaps.large : this.alphaMaps.small;
-
-        // Calculate ROI (Region of Interest)
-        const roiX = width - config.margin_right - config.logo_size;
-        const roiY = height - config.margin_bottom - config.logo_size;
-
-        if (roiX < 0 || roiY < 0) return; // Image too small
-
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(roiX, roiY, config.logo_size, config.logo_size);
-        const data = imageData.data;
-
-        // Apply Reverse Alpha Blending with intensity scaling
-        // Original = (Watermarked - Alpha * Logo) / (1 - Alpha)
-        for (let i = 0; i < alphaMap.data.length; i++) {
-            // Scale alpha by intensity (allows user adjustment)
-            const rawAlpha = alphaMap.data[i] * intensity;
-            const alpha = Math.min(rawAlpha, MAX_ALPHA); // Clamp alpha
-
-            if (alpha < ALPHA_THRESHOLD) continue;
-
-            const alphaM = alpha * this.logoValue;
-            const oneMinusAlpha = 1.0 - alpha;
-
-            const idx = i * 4;
-
-            // R
-            const r = (data[idx] - alphaM) / oneMinusAlpha;
-            data[idx] = Math.max(0, Math.min(255, r));
-
-            // G
-            const g = (data[idx + 1] - alphaM) / oneMinusAlpha;
-            data[idx + 1] = Math.max(0, Math.min(255, g));
-
-            // B
-            const b = (data[idx + 2] - alphaM) / oneMinusAlpha;
-            data[idx + 2] = Math.max(0, Math.min(255, b));
-
-            // Alpha channel remains unchanged (usually 255)
-        }
-
-        ctx.putImageData(imageData, roiX, roiY);
+        return ctx.getImageData(0, 0, img.width, img.height);
     }
 
-    getWatermarkConfig(width, height) {
-        // Large (96x96, 64px margin): BOTH width AND height > 1024
-        if (width > 1024 && height > 1024) {
-            return this.getWatermarkConfigLarge();
-        } else {
-            return this.getWatermarkConfigSmall();
-        }
+    // Calculate alpha map from a capture over black (bg_48.png, bg_96.png, ...)
+    calculateAlphaMap(img) {
+        return this.alphaMapFromRgba(this.readPixels(img));
     }
 
-    getWatermarkConfigLarge() {
-        return {
-            margin_right: 64,
-            margin_bottom: 64,
-            logo_size: 96,
-            size: 96
-        };
+    /**
+     * @param {HTMLCanvasElement | OffscreenCanvas} canvas
+     * @param {{ localize?: boolean }} [options]
+     * @returns {import('./core.js').Detection}
+     */
+    detect(canvas, options = {}) {
+        return super.detect(readCanvas(canvas), options);
     }
 
-    getWatermarkConfigSmall() {
-        return {
-            margin_right: 32,
-            margin_bottom: 32,
-            logo_size: 48,
-            size: 48
-        };
+    /**
+     * @param {HTMLCanvasElement | OffscreenCanvas} canvas Modified in place
+     * @param {import('./core.js').ProcessOptions} [options]
+     * @returns {import('./core.js').ProcessResult}
+     */
+    process(canvas, options = {}) {
+        const ctx = canvas.getContext('2d');
+        const imageData = readCanvas(canvas);
+        const result = super.process(imageData, options);
+
+        // Only the ROI changed, so only write that part back
+        if (result.region) {
+            const { x, y, width, height } = result.region;
+            if (isFloat16(ctx)) scaleChannels(imageData, 1 / 255, result.region);
+            ctx.putImageData(imageData, 0, 0, x, y, width, height);
+        }
+        return result;
     }
 }
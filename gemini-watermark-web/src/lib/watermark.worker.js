@@ -0,0 +1,86 @@
+import { WatermarkEngine } from './watermark.js';
+import { renderProcessedImage, encodeProcessedImage, exportMetadataOptions } from './pipeline.js';
+import { decodeOptionsFor } from './metadata.js';
+
+// Each worker loads the template alpha maps on 'init', again whenever the
+// registry changes, and then processes jobs sent by WorkerPool. Messages:
+//   in:  { type: 'init', templates }
+//        { type: 'process', id, file, logo, settings }
+//        { type: 'cancel', id }
+//   out: { type: 'progress' | 'done' | 'error', id, ... }
+
+let enginePromise = null;
+const active = new Set(); // Ids of the jobs in flight
+const cancelled = new Set();
+
+const throwIfCancelled = (id) => {
+    if (cancelled.has(id)) throw new DOMException('Job cancelled', 'AbortError');
+};
+
+async function processJob({ id, file, logo, settings }) {
+    const progress = (stage, value) => self.postMessage({ type: 'progress', id, stage, progress: value });
+    let image = null;
+    let logoImage = null;
+    active.add(id);
+
+    try {
+        if (!enginePromise) throw new Error('Watermark worker not initialized');
+        const engine = await enginePromise;
+
+        // Settle both decodes so neither bitmap is lost when the other fails
+        progress('decode', 0.1);
+        const decoded = await Promise.allSettled([
+            createImageBitmap(file, decodeOptionsFor(exportMetadataOptions(settings, file))),
+            logo ? createImageBitmap(logo) : null
+        ]);
+        [image, logoImage] = decoded.map(outcome => (outcome.status === 'fulfilled' ? outcome.value : null));
+        const failed = decoded.find(outcome => outcome.status === 'rejected');
+        if (failed) throw failed.reason;
+        throwIfCancelled(id);
+
+        progress('process', 0.4);
+        const canvas = new OffscreenCanvas(image.width, image.height);
+        const result = renderProcessedImage(engine, canvas, image, logoImage, settings);
+        // Free the decoded pixels before encoding; `finally` covers failures
+        image.close();
+        logoImage?.close();
+        image = logoImage = null;
+        throwIfCancelled(id);
+
+        progress('encode', 0.7);
+        const blob = await encodeProcessedImage(canvas, file, settings);
+        throwIfCancelled(id);
+
+        self.postMessage({ type: 'done', id, blob, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, error: { name: error.name, message: error.message } });
+    } finally {
+        image?.close();
+        logoImage?.close();
+        active.delete(id);
+        cancelled.delete(id);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init': {
+            const engine = new WatermarkEngine();
+            enginePromise = engine.init(message.templates).then(() => engine);
+            // Surface init failures through the jobs instead of an unhandled rejection
+            enginePromise.catch(() => {});
+            break;
+        }
+        case 'cancel':
+            // A job that already replied has nothing left to cancel
+            if (active.has(message.id)) cancelled.add(message.id);
+            break;
+        case 'process':
+            processJob(message);
+            break;
+        default:
+            console.warn('Unknown worker message:', message.type);
+    }
+};
@@ -0,0 +1,131 @@
+// Fixed-size pool of workers speaking the watermark.worker.js protocol.
+// Jobs queue until a worker is free, report progress through a callback and
+// can be cancelled with an AbortSignal, whether still queued or running. A
+// cancelled running job keeps its worker until the worker replies for it, so
+// a worker never has more than one job in flight.
+
+const abortError = () => new DOMException('Job cancelled', 'AbortError');
+
+export function defaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+}
+
+export class WorkerPool {
+    constructor(createWorker, size = defaultPoolSize()) {
+        this.queue = [];
+        this.nextId = 1;
+        this.slots = Array.from({ length: size }, () => {
+            const slot = { worker: createWorker(), job: null };
+            slot.worker.onmessage = (event) => this.handleMessage(slot, event.data);
+            slot.worker.onerror = (event) => this.handleError(slot, event);
+            return slot;
+        });
+    }
+
+    // Send a message to every worker, e.g. the engine initialization
+    broadcast(message) {
+        for (const slot of this.slots) slot.worker.postMessage(message);
+    }
+
+    // Resolves with the worker's 'done' message
+    run(message, { signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const job = { id: this.nextId++, message, resolve, reject, onProgress, signal, slot: null };
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    cancel(job) {
+        if (job.slot) {
+            // The worker drops the job at its next checkpoint and replies;
+            // only then is the slot free for new work
+            job.cancelled = true;
+            job.slot.worker.postMessage({ type: 'cancel', id: job.id });
+            job.signal?.removeEventListener('abort', job.onAbort);
+        } else {
+            this.queue = this.queue.filter(queued => queued !== job);
+        }
+
+        job.reject(abortError());
+    }
+
+    dispatch() {
+        for (const slot of this.slots) {
+            if (slot.job || this.queue.length === 0) continue;
+
+            const job = this.queue.shift();
+            slot.job = job;
+            job.slot = slot;
+            slot.worker.postMessage({ ...job.message, id: job.id });
+        }
+    }
+
+    release(job) {
+        if (job.slot) job.slot.job = null;
+        job.slot = null;
+        job.signal?.removeEventListener('abort', job.onAbort);
+    }
+
+    handleMessage(slot, data) {
+        const job = slot.job;
+        if (!job || data.id !== job.id) return; // Not the job in flight
+
+        if (data.type === 'progress') {
+            if (!job.cancelled) job.onProgress?.(data);
+            return;
+        }
+
+        // A cancelled job's caller was rejected already; its reply only
+        // frees the worker
+        this.release(job);
+        if (job.cancelled) {
+            this.dispatch();
+            return;
+        }
+        if (data.type === 'done') {
+            job.resolve(data);
+        } else {
+            const error = new Error(data.error?.message || 'Worker job failed');
+            error.name = data.error?.name || 'Error';
+            job.reject(error);
+        }
+        this.dispatch();
+    }
+
+    handleError(slot, event) {
+        const job = slot.job;
+        if (!job) return;
+
+        this.release(job);
+        if (!job.cancelled) job.reject(new Error(event.message || 'Worker crashed'));
+        this.dispatch();
+    }
+
+    terminate() {
+        for (const slot of this.slots) {
+            slot.worker.terminate();
+            if (slot.job) {
+                const job = slot.job;
+                this.release(job);
+                if (!job.cancelled) job.reject(abortError());
+            }
+        }
+        for (const job of this.queue) {
+            this.release(job);
+            job.reject(abortError());
+        }
+        this.queue = [];
+    }
+}
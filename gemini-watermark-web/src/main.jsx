@@ -2,8 +2,12 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { registerServiceWorker, collectLaunchedFiles } from './lib/pwa'
 import './styles.css'
 
+if (import.meta.env.PROD) registerServiceWorker()
+collectLaunchedFiles()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
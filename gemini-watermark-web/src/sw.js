@@ -0,0 +1,75 @@
+// Service worker: precaches the build and the alpha maps so the installed
+// app works offline, and receives images shared to it. This is a template;
+// the build fills in the file list and cache version (see vite.config.js).
+
+const PRECACHE = self.__PRECACHE_MANIFEST__ || [];
+const CACHE_PREFIX = 'gemini-watermark-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.__CACHE_VERSION__}`;
+
+const SHARE_TARGET = new URL('share-target', self.registration.scope).href;
+const SHARE_TIMEOUT = 10000; // How long shared files wait for the page to ask for them
+
+const inScope = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+        // Bypass the HTTP cache so a new version never precaches stale files
+        cache.addAll(PRECACHE.map(file => new Request(inScope(file), { cache: 'reload' })))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Precached copy when there is one, else the network
+async function fromCache(key, request) {
+    const cached = await caches.match(key, { cacheName: CACHE_NAME, ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (request.method === 'POST' && request.url === SHARE_TARGET) {
+        receiveShare(event);
+    } else if (request.method !== 'GET') {
+        return;
+    } else if (request.mode === 'navigate') {
+        // Every page of the app is the same index.html
+        event.respondWith(fromCache(inScope('index.html'), request));
+    } else if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(fromCache(request, request));
+    }
+});
+
+// Shared images arrive as a form POST. Answer with a redirect to the app and
+// hold the files until the page asks for them; the service worker is kept
+// alive until then (or the timeout) so they aren't lost in between.
+let shared = null;
+
+function receiveShare(event) {
+    let delivered;
+    event.waitUntil(new Promise(resolve => {
+        delivered = resolve;
+        setTimeout(resolve, SHARE_TIMEOUT);
+    }));
+    event.respondWith((async () => {
+        const data = await event.request.formData();
+        shared = { files: data.getAll('images').filter(file => file instanceof File), delivered };
+        return Response.redirect(inScope('./?share-target'), 303);
+    })());
+}
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'share-ready') return;
+    event.source.postMessage({ type: 'shared-files', files: shared ? shared.files : [] });
+    shared?.delivered();
+    shared = null;
+});
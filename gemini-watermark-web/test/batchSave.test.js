@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { CONFLICT_POLICY, numberedName, saveToDirectory, buildZip } from '../src/lib/batchSave.js';
+
+// In-memory stand-in for a FileSystemDirectoryHandle. `files` maps the
+// full path from the root to the content, so subfolders share it.
+function fakeDirectory(existing = [], files = new Map(existing.map(name => [name, 'old'])), prefix = '') {
+    const notFound = () => new DOMException('Not found', 'NotFoundError');
+    return {
+        files,
+        async getDirectoryHandle(name) {
+            return fakeDirectory([], files, `${prefix}${name}/`);
+        },
+        async getFileHandle(leaf, { create = false } = {}) {
+            const name = prefix + leaf;
+            if (!files.has(name) && !create) throw notFound();
+            return {
+                async createWritable() {
+                    let data = null;
+                    return {
+                        async write(blob) {
+                            if (blob.failWrite) throw new Error('Disk full');
+                            data = await blob.text();
+                        },
+                        async close() {
+                            files.set(name, data);
+                        },
+                        async abort() {}
+                    };
+                }
+            };
+        }
+    };
+}
+
+const file = (name, content = name) => ({ name, getBlob: async () => new Blob([content]) });
+
+describe('numberedName', () => {
+    it('numbers duplicate names before the extension', () => {
+        expect(numberedName('photo.png', 2)).toBe('photo (2).png');
+        expect(numberedName('README', 1)).toBe('README (1)');
+        expect(numberedName('v1.2/README', 1)).toBe('v1.2/README (1)');
+    });
+});
+
+describe('saveToDirectory', () => {
+    it('writes every file and reports progress', async () => {
+        const directory = fakeDirectory();
+        const progress = [];
+        const result = await saveToDirectory(directory, [file('a.png'), file('b.png')], {
+            onProgress: (fraction) => progress.push(fraction)
+        });
+
+        expect(result.written).toEqual(['a.png', 'b.png']);
+        expect(directory.files.get('b.png')).toBe('b.png');
+        expect(progress).toEqual([0.5, 1]);
+    });
+
+    it('overwrites, skips or renames existing files', async () => {
+        const batch = () => [file('a.png', 'new'), file('b.png', 'new')];
+
+        const overwrite = fakeDirectory(['a.png']);
+        await saveToDirectory(overwrite, batch(), { conflict: CONFLICT_POLICY.OVERWRITE });
+        expect(overwrite.files.get('a.png')).toBe('new');
+
+        const skip = fakeDirectory(['a.png']);
+        const skipped = await saveToDirectory(skip, batch(), { conflict: CONFLICT_POLICY.SKIP });
+        expect(skipped).toMatchObject({ written: ['b.png'], skipped: ['a.png'] });
+        expect(skip.files.get('a.png')).toBe('old');
+
+        const rename = fakeDirectory(['a.png', 'a (1).png']);
+        const renamed = await saveToDirectory(rename, batch(), { conflict: CONFLICT_POLICY.RENAME });
+        expect(renamed.written).toEqual(['a (2).png', 'b.png']);
+        expect(rename.files.get('a.png')).toBe('old');
+    });
+
+    it('never overwrites its own files', async () => {
+        const directory = fakeDirectory();
+        const result = await saveToDirectory(directory, [file('a.png', '1'), file('a.png', '2')], {
+            conflict: CONFLICT_POLICY.OVERWRITE
+        });
+        expect(result.written).toEqual(['a.png', 'a (1).png']);
+    });
+
+    it('recreates subfolders', async () => {
+        const directory = fakeDirectory(['renders/a.png']);
+        const result = await saveToDirectory(directory, [file('renders/a.png'), file('renders/sub/b.png'), file('a.png')]);
+
+        expect(result.written).toEqual(['renders/a (1).png', 'renders/sub/b.png', 'a.png']);
+        expect(directory.files.get('renders/sub/b.png')).toBe('renders/sub/b.png');
+    });
+
+    it('collects failures and carries on', async () => {
+        const broken = { name: 'bad.png', getBlob: async () => Object.assign(new Blob(['x']), { failWrite: true }) };
+        const result = await saveToDirectory(fakeDirectory(), [broken, file('ok.png')]);
+
+        expect(result.written).toEqual(['ok.png']);
+        expect(result.failed.map(f => f.name)).toEqual(['bad.png']);
+    });
+
+    it('stops when cancelled', async () => {
+        const controller = new AbortController();
+        const directory = fakeDirectory();
+        const pending = saveToDirectory(directory, [file('a.png'), file('b.png')], {
+            signal: controller.signal,
+            onProgress: () => controller.abort()
+        });
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+        expect([...directory.files.keys()]).toEqual(['a.png']);
+    });
+});
+
+describe('buildZip', () => {
+    it('packs the files with unique names', async () => {
+        const progress = [];
+        const blob = await buildZip([file('a.png', '1'), file('a.png', '2'), file('dir/b.png', '3')], {
+            onProgress: (fraction) => progress.push(fraction)
+        });
+
+        const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+        expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort()).toEqual(['a (1).png', 'a.png', 'dir/b.png']);
+        expect(await zip.file('a (1).png').async('string')).toBe('2');
+        expect(progress.at(-1)).toBe(1);
+    });
+});
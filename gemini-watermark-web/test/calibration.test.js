@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+    CALIBRATION_ERROR,
+    calibrationRegionSize,
+    sampleBackground,
+    blackWhiteSamples,
+    calibrate,
+    alphaMapToRgba,
+    createTemplate
+} from '../src/lib/calibration.js';
+import { WatermarkCore } from '../src/lib/core.js';
+import { createEngine, createImage } from './helpers.js';
+
+const REGION = 112;
+const MARGIN = 32;
+
+// The real 48px alpha map in a solid corner region, with a tinted logo
+function render(map, background, color = [255, 255, 255]) {
+    const offset = REGION - MARGIN - map.width;
+    return createImage(REGION, REGION, (x, y) => {
+        const inside = x >= offset && y >= offset && x < offset + map.width && y < offset + map.height;
+        const a = inside ? map.data[(y - offset) * map.width + (x - offset)] : 0;
+        return background.map((b, c) => Math.round(a * color[c] + (1 - a) * b));
+    });
+}
+
+// Largest difference between the calibrated map and the real one at the same pixels
+function mapError(result, map) {
+    const offset = REGION - MARGIN - map.width;
+    const x0 = REGION - result.margin.right - result.size - offset;
+    const y0 = REGION - result.margin.bottom - result.size - offset;
+    let worst = 0;
+    for (let y = 0; y < result.size; y++) {
+        for (let x = 0; x < result.size; x++) {
+            const real = map.data[(y0 + y) * map.width + x0 + x] ?? 0;
+            worst = Math.max(worst, Math.abs(result.alphaMap.data[y * result.size + x] - real));
+        }
+    }
+    return worst;
+}
+
+describe('calibrate', () => {
+    const map = createEngine().getTemplate('small').alphaMap;
+
+    it('recovers the alpha map and logo color from black and white renders', () => {
+        const color = [250, 230, 200];
+        const result = calibrate(blackWhiteSamples(render(map, [0, 0, 0], color), render(map, [255, 255, 255], color)));
+
+        expect(result.colorEstimated).toBe(true);
+        result.logoColor.forEach((value, c) => expect(Math.abs(value - color[c])).toBeLessThanOrEqual(2));
+        expect(mapError(result, map)).toBeLessThan(0.02);
+        expect(result.residual).toBeLessThan(1);
+        expect(result).toMatchObject({ size: map.width, margin: { right: MARGIN, bottom: MARGIN } });
+    });
+
+    it('solves watermarked samples over solid backgrounds', () => {
+        const samples = [[20, 40, 90], [200, 180, 60], [120, 120, 120]].map(background => {
+            const region = render(map, background);
+            return { region, background: sampleBackground(region).color };
+        });
+        const result = calibrate(samples);
+
+        expect(result.colorEstimated).toBe(true);
+        result.logoColor.forEach(value => expect(value).toBeGreaterThanOrEqual(252));
+        expect(mapError(result, map)).toBeLessThan(0.02);
+    });
+
+    it('assumes the logo color with a single background', () => {
+        const region = render(map, [60, 60, 60]);
+        const result = calibrate([{ region, background: [60, 60, 60] }], { logoColor: [255, 255, 255] });
+
+        expect(result.colorEstimated).toBe(false);
+        expect(result.logoColor).toEqual([255, 255, 255]);
+        expect(mapError(result, map)).toBeLessThan(0.02);
+    });
+
+    it('rejects regions without a logo or of different sizes', () => {
+        const blank = createImage(32, 32, () => [0, 0, 0]);
+        expect(() => calibrate([{ region: blank, background: [0, 0, 0] }]))
+            .toThrow(expect.objectContaining({ reason: CALIBRATION_ERROR.NO_LOGO }));
+        expect(() => calibrate([
+            { region: blank, background: [0, 0, 0] },
+            { region: createImage(16, 16, () => [0, 0, 0]), background: [0, 0, 0] }
+        ])).toThrow(expect.objectContaining({ reason: CALIBRATION_ERROR.SIZE_MISMATCH }));
+        expect(() => calibrate([])).toThrow(expect.objectContaining({ reason: CALIBRATION_ERROR.NO_SAMPLES }));
+    });
+});
+
+describe('calibration helpers', () => {
+    it('fits the corner region into every sample', () => {
+        expect(calibrationRegionSize([{ width: 1024, height: 1024 }, { width: 800, height: 150 }])).toBe(150);
+        expect(calibrationRegionSize([{ width: 2048, height: 2048 }], 256)).toBe(256);
+    });
+
+    it('reads the background from the border and flags busy regions', () => {
+        const solid = sampleBackground(render(createEngine().getTemplate('small').alphaMap, [10, 20, 30]));
+        expect(solid).toEqual({ color: [10, 20, 30], deviation: 0 });
+
+        const busy = sampleBackground(createImage(32, 32, (x) => (x % 2 ? [0, 0, 0] : [200, 200, 200])));
+        expect(busy.deviation).toBeGreaterThan(50);
+    });
+
+    it('exports the map in the bg_48.png format', () => {
+        const alphaMap = { width: 2, height: 1, data: new Float32Array([0, 0.5]) };
+        const rgba = alphaMapToRgba(alphaMap);
+        expect(Array.from(rgba.data)).toEqual([0, 0, 0, 255, 128, 128, 128, 255]);
+        expect(new WatermarkCore().alphaMapFromRgba(rgba).data[1]).toBeCloseTo(0.5, 2);
+    });
+
+    it('describes the template for the engine', () => {
+        const result = { size: 40, margin: { right: 36, bottom: 36 }, logoColor: [255, 250, 240] };
+        expect(createTemplate(result, { id: 'custom', label: 'Custom', minWidth: 512 }, 'data:image/png;base64,AA')).toEqual({
+            format: 'gemini-watermark-template',
+            version: 1,
+            id: 'custom',
+            label: 'Custom',
+            size: 40,
+            anchor: 'bottom-right',
+            margin: { right: 36, bottom: 36 },
+            rule: { minWidth: 512, minHeight: 0 },
+            logoColor: [255, 250, 240],
+            alphaMapUrl: 'data:image/png;base64,AA'
+        });
+    });
+});
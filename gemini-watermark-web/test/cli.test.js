@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { PNG } from 'pngjs';
+import { WATERMARK_SIZE } from '../src/lib/core.js';
+import { embedMetadata, readMetadata } from '../src/lib/metadata.js';
+import { createEngine, createBackground, stampWatermark, nativeRegion, compare } from './helpers.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF>攝影師</rdf:RDF></x:xmpmeta>';
+
+let engine;
+let dir;
+const originals = {};
+
+// Runs the CLI in the temp directory, so the default ./processed lands there too
+function run(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8' });
+    return { status, stdout, stderr };
+}
+
+// One parsed line per image, in the order the CLI walked them
+function runJson(...args) {
+    const { status, stdout, stderr } = run('--json', ...args);
+    expect(stderr).toBe('');
+    expect(status).toBe(0);
+    return stdout.trim().split('\n').map(line => JSON.parse(line));
+}
+
+function writePng(file, image) {
+    const png = new PNG({ width: image.width, height: image.height });
+    png.data.set(image.data);
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), PNG.sync.write(png));
+}
+
+// 16-bit samples from a float image on the 0-255 scale, as the CLI writes them
+function writePng16(file, image) {
+    const samples = Uint16Array.from(image.data, value => Math.round(value * 257));
+    const png = { width: image.width, height: image.height, data: Buffer.from(samples.buffer) };
+    fs.writeFileSync(path.join(dir, file), PNG.sync.write(png, { bitDepth: 16 }));
+}
+
+function readPng(file) {
+    const png = PNG.sync.read(fs.readFileSync(path.join(dir, file)));
+    return { width: png.width, height: png.height, data: png.data };
+}
+
+const files = (folder) => fs.readdirSync(path.join(dir, folder), { recursive: true }).sort();
+
+beforeAll(async () => {
+    engine = createEngine();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watermark-cli-'));
+
+    originals.small = createBackground('noise', 800, 600);
+    originals.large = createBackground('gradient', 1600, 1200);
+    originals.inner = createBackground('flat', 800, 600);
+    originals.flipped = createBackground('gradient', 800, 600);
+
+    writePng('photos/small.png', stampWatermark(engine, originals.small, WATERMARK_SIZE.SMALL));
+    writePng('photos/large.png', stampWatermark(engine, originals.large, WATERMARK_SIZE.LARGE));
+    writePng('photos/clean.png', createBackground('noise', 400, 300));
+    writePng('photos/sub/inner.png', stampWatermark(engine, originals.inner, WATERMARK_SIZE.SMALL));
+    fs.writeFileSync(path.join(dir, 'photos/notes.txt'), 'not an image');
+    writePng('flipped.png', stampWatermark(engine, originals.flipped, WATERMARK_SIZE.SMALL, { at: { x: 40, y: 30 } }));
+
+    // Same pixels as small.png plus an XMP packet for --strip
+    const tagged = await embedMetadata(new Uint8Array(fs.readFileSync(path.join(dir, 'photos/small.png'))), { xmp: XMP });
+    fs.writeFileSync(path.join(dir, 'tagged.png'), tagged);
+
+    // Dark ramp with detail finer than one 8-bit level
+    const data = new Float32Array(800 * 600 * 4);
+    for (let y = 0; y < 600; y++) {
+        for (let x = 0; x < 800; x++) {
+            const value = 6 + x / 60 + y / 90;
+            data.set([value, value, value, 255], (y * 800 + x) * 4);
+        }
+    }
+    originals.deep = { width: 800, height: 600, data };
+    const stamped = stampWatermark(engine, originals.deep, WATERMARK_SIZE.SMALL);
+    writePng16('deep.png', { ...stamped, data: stamped.data.map(value => Math.round(value * 257) / 257) });
+});
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('cli', { timeout: 60000 }, () => {
+    it('reports without writing anything on a dry run', () => {
+        const report = runJson('--dry-run', 'photos');
+
+        expect(report.map(info => [path.basename(info.file), info.applied, info.size])).toEqual([
+            ['clean.png', false, null],
+            ['large.png', true, WATERMARK_SIZE.LARGE],
+            ['small.png', true, WATERMARK_SIZE.SMALL]
+        ]);
+        expect(report.every(info => info.output === null)).toBe(true);
+        expect(report[2].estimate.intensity).toBeCloseTo(1, 1);
+        expect(fs.existsSync(path.join(dir, 'processed'))).toBe(false);
+    });
+
+    it('prints one line per image without --json', () => {
+        const { status, stdout } = run('-n', 'photos/small.png', 'photos/clean.png');
+        const lines = stdout.trim().split('\n');
+
+        expect(status).toBe(0);
+        expect(lines[0]).toMatch(/^found\s+photos[/\\]small\.png\s+size=small\s+confidence=/);
+        expect(lines[1]).toMatch(/^skipped\s+photos[/\\]clean\.png/);
+    });
+
+    it('writes cleaned images into --out-dir, keeping subfolders', () => {
+        const report = runJson('--recursive', '--out-dir', 'out', 'photos');
+
+        expect(report.map(info => info.applied)).toEqual([false, true, true, true]);
+        expect(files('out')).toEqual(['processed_large.png', 'processed_small.png', 'sub', path.join('sub', 'processed_inner.png')]);
+
+        for (const [name, file, size] of [
+            ['small', 'out/processed_small.png', WATERMARK_SIZE.SMALL],
+            ['large', 'out/processed_large.png', WATERMARK_SIZE.LARGE],
+            ['inner', 'out/sub/processed_inner.png', WATERMARK_SIZE.SMALL]
+        ]) {
+            const original = originals[name];
+            expect(compare(readPng(file), original, nativeRegion(engine, original, size)).psnr).toBeGreaterThanOrEqual(40);
+        }
+    });
+
+    it('only descends into subfolders with --recursive', () => {
+        const names = (args) => runJson('-n', ...args).map(info => path.relative(dir, path.resolve(dir, info.file)));
+        expect(names(['photos'])).not.toContain(path.join('photos', 'sub', 'inner.png'));
+        expect(names(['-r', 'photos'])).toContain(path.join('photos', 'sub', 'inner.png'));
+    });
+
+    it('honours a fixed --intensity and skips the estimate', () => {
+        const [fixed] = runJson('-n', '--intensity', '1', 'photos/small.png');
+        const [auto] = runJson('-n', '-i', 'auto', 'photos/small.png');
+        expect(fixed.estimate).toBeNull();
+        expect(auto.estimate).toEqual(expect.objectContaining({ intensity: expect.any(Number) }));
+    });
+
+    it('removes the watermark from the box given with --at', () => {
+        expect(runJson('-n', 'flipped.png')[0].applied).toBe(false);
+
+        const [info] = runJson('--at', '40,30,48', '-o', 'manual', 'flipped.png');
+        expect(info.applied).toBe(true);
+        expect(info.transform).toMatchObject({ x: 40, y: 30, size: 48 });
+        expect(compare(readPng('manual/processed_flipped.png'), originals.flipped, { x: 40, y: 30, width: 48, height: 48 }).psnr)
+            .toBeGreaterThanOrEqual(40);
+    });
+
+    it('converts with --format', () => {
+        const [info] = runJson('--format', 'jpeg', '-o', 'jpeg', 'photos/small.png');
+        expect(path.basename(info.output)).toBe('processed_small.jpg');
+        expect([...fs.readFileSync(path.join(dir, 'jpeg/processed_small.jpg')).subarray(0, 3)]).toEqual([0xFF, 0xD8, 0xFF]);
+    });
+
+    it('keeps metadata unless --strip drops it', async () => {
+        runJson('-o', 'kept', 'tagged.png');
+        runJson('--strip', 'gps,xmp', '-o', 'stripped', 'tagged.png');
+
+        const read = async (file) => readMetadata(new Uint8Array(fs.readFileSync(path.join(dir, file))));
+        expect((await read('kept/processed_tagged.png')).xmp).toBe(XMP);
+        expect((await read('stripped/processed_tagged.png')).xmp).toBeNull();
+    });
+
+    it('processes 16-bit PNGs in float and writes 16 bits back', () => {
+        runJson('-o', 'deep', 'deep.png');
+        const buffer = fs.readFileSync(path.join(dir, 'deep/processed_deep.png'));
+        expect(buffer[24]).toBe(16); // IHDR bit depth
+
+        const png = PNG.sync.read(buffer, { skipRescale: true });
+        const restored = { width: png.width, height: png.height, data: Float32Array.from(png.data, value => value / 257) };
+        const region = nativeRegion(engine, originals.deep, WATERMARK_SIZE.SMALL);
+        // Well below the half level an 8-bit round trip would lose
+        expect(compare(restored, originals.deep, region).maxError).toBeLessThan(0.1);
+    });
+
+    it.each([
+        [['--intensity', '3']],
+        [['--intensity', 'strong']],
+        [['--at', '40,30']],
+        [['--at', '40,30,0']],
+        [['--strip', 'gps,names']],
+        [['--format', 'gif']],
+        [['--quality', '0']],
+        [['--size', 'medium']],
+        [['--bogus']],
+        [[]]
+    ])('exits with 2 on %j', (args) => {
+        const { status, stderr } = run(...args, ...(args.length > 0 ? ['photos'] : []));
+        expect(status).toBe(2);
+        expect(stderr).toMatch(/^Error: /);
+        expect(stderr).toContain('Usage: node cli.js');
+        expect(fs.existsSync(path.join(dir, 'processed'))).toBe(false);
+    });
+
+    it('fails with 2 when no images are found', () => {
+        const { status, stderr } = run('photos/notes.txt');
+        expect(status).toBe(2);
+        expect(stderr).toContain('Skipping unsupported file');
+        expect(stderr).toContain('no PNG/JPEG files found');
+    });
+});
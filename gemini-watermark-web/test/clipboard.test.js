@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { pngSize, imageHtml, clipboardTypes, copyImageToClipboard } from '../src/lib/clipboard.js';
+
+// Signature and IHDR of a 640x480 PNG; enough for the code under test
+const PNG_HEADER = new Uint8Array([
+    0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A,
+    0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52,
+    0, 0, 0x02, 0x80, 0, 0, 0x01, 0xE0,
+    8, 6, 0, 0, 0
+]);
+
+class FakeClipboardItem {
+    constructor(items) {
+        this.items = items;
+    }
+}
+
+class HtmlFreeClipboardItem extends FakeClipboardItem {
+    static supports(type) {
+        return type === 'image/png';
+    }
+}
+
+// Records writes; resolves each item so rejected promises surface like they do in browsers
+function fakeClipboard({ rejectTypes = [] } = {}) {
+    const writes = [];
+    return {
+        writes,
+        async write([item]) {
+            const types = Object.keys(item.items);
+            if (types.some(type => rejectTypes.includes(type))) throw new DOMException('Refused', 'NotAllowedError');
+            const entry = {};
+            for (const type of types) entry[type] = await item.items[type];
+            writes.push(entry);
+        }
+    };
+}
+
+describe('clipboard helpers', () => {
+    it('reads the PNG size from the header', () => {
+        expect(pngSize(PNG_HEADER)).toEqual({ width: 640, height: 480 });
+        expect(pngSize(new Uint8Array([0xFF, 0xD8, 0xFF]))).toBeNull();
+    });
+
+    it('embeds the PNG as an escaped <img> at full size', () => {
+        const html = imageHtml(PNG_HEADER, 'a "b" <c>');
+        expect(html).toMatch(/^<img src="data:image\/png;base64,iVBORw0KGgo[^"]*" width="640" height="480" alt="a &quot;b&quot; &lt;c&gt;">$/);
+    });
+
+    it('offers HTML unless the browser says it cannot take it', () => {
+        expect(clipboardTypes(FakeClipboardItem)).toEqual(['image/png', 'text/html']);
+        expect(clipboardTypes(HtmlFreeClipboardItem)).toEqual(['image/png']);
+    });
+});
+
+describe('copyImageToClipboard', () => {
+    const png = () => new Blob([PNG_HEADER], { type: 'image/png' });
+
+    it('writes PNG and HTML in one item', async () => {
+        const clipboard = fakeClipboard();
+        await copyImageToClipboard(Promise.resolve(png()), { alt: 'photo', clipboard, ClipboardItemImpl: FakeClipboardItem });
+
+        const [entry] = clipboard.writes;
+        expect(entry['image/png'].type).toBe('image/png');
+        expect(entry['text/html'].type).toBe('text/html');
+        expect(await entry['text/html'].text()).toContain('alt="photo"');
+    });
+
+    it('skips HTML where it is not supported', async () => {
+        const clipboard = fakeClipboard();
+        await copyImageToClipboard(png(), { clipboard, ClipboardItemImpl: HtmlFreeClipboardItem });
+        expect(Object.keys(clipboard.writes[0])).toEqual(['image/png']);
+    });
+
+    it('falls back to PNG alone when the pair is refused', async () => {
+        const clipboard = fakeClipboard({ rejectTypes: ['text/html'] });
+        await copyImageToClipboard(png(), { clipboard, ClipboardItemImpl: FakeClipboardItem });
+        expect(Object.keys(clipboard.writes[0])).toEqual(['image/png']);
+    });
+
+    it('rejects without clipboard support', async () => {
+        await expect(copyImageToClipboard(png(), { clipboard: {}, ClipboardItemImpl: FakeClipboardItem }))
+            .rejects.toThrow('not supported');
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { contactSheetLayout, fitText, loadContactSheetEntries } from '../src/lib/contactSheet.js';
+
+const OPTIONS = { cell: 100, gap: 10, padding: 20, label: 30, maxSide: 8192 };
+
+describe('contactSheetLayout', () => {
+    it('lays out a roughly square grid', () => {
+        const layout = contactSheetLayout(Array(5).fill({ width: 400, height: 400 }), OPTIONS);
+
+        // 3 columns x 2 rows
+        expect(layout.width).toBe(2 * 20 + 3 * 100 + 2 * 10);
+        expect(layout.height).toBe(2 * 20 + 2 * (100 + 30) + 10);
+        expect(layout.tiles[3]).toMatchObject({ x: 20, y: 20 + 130 + 10, width: 100, height: 100 });
+        expect(layout.tiles[4].labelX).toBe(20 + 110 + 50);
+        expect(layout.tiles[4].labelY).toBe(160 + 100 + 15);
+    });
+
+    it('fits thumbnails into the cell, bottom-aligned and never enlarged', () => {
+        const [wide, small] = contactSheetLayout([{ width: 400, height: 200 }, { width: 40, height: 20 }], OPTIONS).tiles;
+
+        expect(wide).toMatchObject({ x: 20, y: 20 + 50, width: 100, height: 50 });
+        expect(small).toMatchObject({ x: 130 + 30, y: 20 + 80, width: 40, height: 20 });
+    });
+
+    it('shrinks the cells to stay within the maximum size', () => {
+        const layout = contactSheetLayout(Array(100).fill({ width: 4000, height: 3000 }), { ...OPTIONS, cell: 1000, maxSide: 2000 });
+
+        expect(layout.cell).toBe(Math.floor((2000 - 40 - 9 * 10 - 10 * 30) / 10));
+        expect(layout.width).toBeLessThanOrEqual(2000);
+        expect(layout.height).toBeLessThanOrEqual(2000);
+    });
+
+    it('handles a single image', () => {
+        const layout = contactSheetLayout([{ width: 50, height: 80 }], OPTIONS);
+        expect(layout).toMatchObject({ width: 140, height: 170 });
+    });
+});
+
+describe('fitText', () => {
+    const ctx = { measureText: (text) => ({ width: text.length * 10 }) };
+
+    it('keeps text that fits', () => {
+        expect(fitText(ctx, 'photo.png', 100)).toBe('photo.png');
+    });
+
+    it('cuts long text with an ellipsis', () => {
+        expect(fitText(ctx, 'a-very-long-file-name.png', 100)).toBe('a-very-lo…');
+    });
+});
+
+describe('loadContactSheetEntries', () => {
+    // Decoder stand-in: "blobs" are { width, height, fail } objects and every
+    // bitmap records whether it was closed
+    function fakeDecoder() {
+        const decoded = [];
+        const decode = async (blob, options = {}) => {
+            if (blob.fail) throw new Error('Decode failed');
+            const bitmap = {
+                width: options.resizeWidth ?? blob.width,
+                height: options.resizeHeight ?? blob.height,
+                closed: false,
+                close() { bitmap.closed = true; }
+            };
+            decoded.push(bitmap);
+            return bitmap;
+        };
+        return { decoded, decode };
+    }
+    const source = (blob, known = true) => ({
+        getBlob: async () => blob,
+        name: 'image.png',
+        width: known ? blob.width : null,
+        height: known ? blob.height : null
+    });
+
+    it('decodes straight to the thumbnail size', async () => {
+        const { decoded, decode } = fakeDecoder();
+        const entries = await loadContactSheetEntries([source({ width: 400, height: 200 }), source({ width: 40, height: 20 })], OPTIONS, decode);
+
+        expect(entries.map(entry => [entry.image.width, entry.image.height])).toEqual([[100, 50], [40, 20]]);
+        expect(decoded).toHaveLength(2);
+    });
+
+    it('measures images of unknown size without keeping them', async () => {
+        const { decoded, decode } = fakeDecoder();
+        const entries = await loadContactSheetEntries([source({ width: 400, height: 400 }, false)], OPTIONS, decode);
+
+        expect(decoded).toHaveLength(2);
+        expect(decoded[0].closed).toBe(true);
+        expect(entries[0].image).toMatchObject({ width: 100, height: 100, closed: false });
+    });
+
+    it('closes the thumbnails already made when a decode fails', async () => {
+        const { decoded, decode } = fakeDecoder();
+        const sources = [source({ width: 400, height: 400 }), source({ width: 400, height: 400, fail: true })];
+
+        await expect(loadContactSheetEntries(sources, OPTIONS, decode)).rejects.toThrow('Decode failed');
+        expect(decoded).toHaveLength(1);
+        expect(decoded[0].closed).toBe(true);
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { differenceHeatmap } from '../src/lib/diff.js';
+import { createBackground, cloneImage } from './helpers.js';
+
+describe('differenceHeatmap', () => {
+    it('is black with no bounds for identical images', () => {
+        const image = createBackground('gradient', 32, 16);
+        const heatmap = differenceHeatmap(image, cloneImage(image));
+
+        expect(heatmap.changedPixels).toBe(0);
+        expect(heatmap.maxDifference).toBe(0);
+        expect(heatmap.bounds).toBeNull();
+        expect(heatmap.data[0]).toBe(0);
+        expect(heatmap.data[3]).toBe(255);
+    });
+
+    it('reports the changed area and the largest channel difference', () => {
+        const before = createBackground('flat', 40, 30);
+        const after = cloneImage(before);
+        after.data[(10 * 40 + 5) * 4 + 1] += 20;
+        after.data[(12 * 40 + 8) * 4 + 2] -= 3;
+
+        const heatmap = differenceHeatmap(before, after);
+        expect(heatmap.changedPixels).toBe(2);
+        expect(heatmap.maxDifference).toBe(20);
+        expect(heatmap.bounds).toEqual({ x: 5, y: 10, width: 4, height: 3 });
+    });
+
+    it('brightens with the gain', () => {
+        const before = createBackground('flat', 2, 1);
+        const after = cloneImage(before);
+        after.data[0] += 10;
+
+        const dim = differenceHeatmap(before, after, { gain: 1 });
+        const bright = differenceHeatmap(before, after, { gain: 16 });
+        const luma = (heatmap) => heatmap.data[0] + heatmap.data[1] + heatmap.data[2];
+        expect(luma(bright)).toBeGreaterThan(luma(dim));
+    });
+
+    it('rejects images of different sizes', () => {
+        expect(() => differenceHeatmap(createBackground('flat', 2, 2), createBackground('flat', 3, 2))).toThrow();
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FILENAME_SETTINGS, expandFilenameTemplate } from '../src/lib/filename.js';
+
+const DATE = new Date(2026, 2, 7);
+const INFO = { name: 'render.final.png', index: 4, total: 12, date: DATE, width: 1024, height: 768, mode: 'auto' };
+
+describe('expandFilenameTemplate', () => {
+    it('keeps the default "processed_" names', () => {
+        expect(expandFilenameTemplate(DEFAULT_FILENAME_SETTINGS.template, INFO)).toBe('processed_render.final');
+    });
+
+    it('leaves the original name unchanged', () => {
+        expect(expandFilenameTemplate('{name}', INFO)).toBe('render.final');
+    });
+
+    it('fills in every token', () => {
+        expect(expandFilenameTemplate('{date}_{index}_{name}_{size}_{mode}', INFO))
+            .toBe('2026-03-07_05_render.final_1024x768_auto');
+    });
+
+    it('pads the index to the batch size', () => {
+        expect(expandFilenameTemplate('{index}', { ...INFO, index: 6, total: 250 })).toBe('007');
+        expect(expandFilenameTemplate('{index}', { name: 'a.png' })).toBe('01');
+    });
+
+    it('leaves unknown tokens and drops an unknown size', () => {
+        expect(expandFilenameTemplate('{name}{size}-{other}', { name: 'a.png' })).toBe('a-{other}');
+    });
+
+    it('replaces characters file names cannot hold', () => {
+        expect(expandFilenameTemplate('out/{name}:v2?', INFO)).toBe('out_render.final_v2_');
+    });
+
+    it('never returns an empty name', () => {
+        expect(expandFilenameTemplate('', INFO)).toBe('render.final');
+        expect(expandFilenameTemplate(' .. ', { name: '.png' })).toBe('image');
+    });
+});
@@ -0,0 +1,160 @@
+// Synthetic fixtures for the regression tests: known backgrounds with the
+// real alpha maps forward-blended on top, plus the metrics to compare the
+// engine's output against the untouched originals.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PNG } from 'pngjs';
+import { WatermarkCore, WATERMARK_SIZE } from '../src/lib/core.js';
+import { templateBox } from '../src/lib/templates.js';
+import { srgbToLinear, linearToSrgb } from '../src/lib/blendSpace.js';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+function loadPng(name) {
+    const png = PNG.sync.read(fs.readFileSync(path.join(PUBLIC_DIR, name)));
+    return { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data) };
+}
+
+export function createEngine() {
+    const engine = new WatermarkCore();
+    engine.setAlphaMaps(
+        engine.alphaMapFromRgba(loadPng('bg_48.png')),
+        engine.alphaMapFromRgba(loadPng('bg_96.png'))
+    );
+    return engine;
+}
+
+// Small deterministic PRNG so textured backgrounds are identical on every run
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// fill(x, y) returns [r, g, b]
+export function createImage(width, height, fill) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const [r, g, b] = fill(x, y);
+            data[idx] = r;
+            data[idx + 1] = g;
+            data[idx + 2] = b;
+            data[idx + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+export const BACKGROUNDS = {
+    flat: () => () => [128, 128, 128],
+    dark: () => () => [12, 16, 20],
+    bright: () => () => [245, 240, 250],
+    gradient: (width, height) => (x, y) => [
+        (x / width) * 255,
+        (y / height) * 255,
+        ((x + y) / (width + height)) * 255
+    ],
+    noise: () => {
+        const random = mulberry32(1234);
+        return () => {
+            const base = 100 + random() * 40;
+            return [base, base + random() * 20, base - random() * 20];
+        };
+    }
+};
+
+export function createBackground(kind, width, height) {
+    return createImage(width, height, BACKGROUNDS[kind](width, height));
+}
+
+// Jitter every color channel by up to `amount` levels, like sensor noise or
+// a lossy re-encode on top of the 8-bit rounding
+export function addNoise(image, amount = 1, seed = 99) {
+    const random = mulberry32(seed);
+    const out = cloneImage(image);
+    for (let i = 0; i < out.data.length; i++) {
+        if (i % 4 !== 3) out.data[i] = Math.min(255, Math.max(0, Math.round(out.data[i] + (random() * 2 - 1) * amount)));
+    }
+    return out;
+}
+
+// Same array type, so float images stay float
+export function cloneImage(image) {
+    return { width: image.width, height: image.height, data: new image.data.constructor(image.data) };
+}
+
+// Native watermark placement for a template, as Gemini renders it
+export function nativeRegion(engine, image, size) {
+    const template = engine.getTemplate(size);
+    const { x, y } = templateBox(template, image.width, image.height);
+    return { x, y, width: template.size, height: template.size };
+}
+
+// Forward alpha blending, the operation the engine reverses:
+// W = a·L + (1 - a)·B with a = intensity·alpha. `at` moves the logo's
+// top-left away from the native corner, e.g. { x: 10, y: 20 }; `scale`
+// resamples the map as if the image had been resized, with the margins
+// scaled too. `logoColor` is [r, g, b] or (col, row) => [r, g, b] for a
+// tinted logo. `linear` composites in linear light instead of on the sRGB
+// values. Float images are stamped without rounding.
+export function stampWatermark(engine, image, size = WATERMARK_SIZE.SMALL, {
+    intensity = 1.0,
+    logoValue = 255,
+    logoColor = [logoValue, logoValue, logoValue],
+    at = null,
+    scale = 1,
+    linear = false
+} = {}) {
+    const [decode, encode] = linear ? [srgbToLinear, linearToSrgb] : [(v) => v, (v) => v];
+    const out = cloneImage(image);
+    const round = out.data instanceof Float32Array ? (v) => v : Math.round;
+    const template = engine.getTemplate(size);
+    const box = at || templateBox(template, image.width, image.height, scale);
+    const region = { x: Math.floor(box.x), y: Math.floor(box.y) };
+    const map = engine.resampleAlphaMap(template.alphaMap, scale, box.x - region.x, box.y - region.y);
+
+    for (let row = 0; row < map.height; row++) {
+        for (let col = 0; col < map.width; col++) {
+            const x = region.x + col;
+            const y = region.y + row;
+            if (x < 0 || y < 0 || x >= image.width || y >= image.height) continue;
+
+            const alpha = Math.min(1, map.data[row * map.width + col] * intensity);
+            const color = typeof logoColor === 'function' ? logoColor(col, row) : logoColor;
+            const idx = (y * image.width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                out.data[idx + c] = round(encode(alpha * decode(color[c]) + (1 - alpha) * decode(image.data[idx + c])));
+            }
+        }
+    }
+    return out;
+}
+
+// Max absolute channel error and PSNR (dB) over a rectangle, RGB only
+export function compare(actual, expected, region = { x: 0, y: 0, width: expected.width, height: expected.height }) {
+    let maxError = 0;
+    let sumSquared = 0;
+    let count = 0;
+
+    for (let y = region.y; y < region.y + region.height; y++) {
+        for (let x = region.x; x < region.x + region.width; x++) {
+            const idx = (y * expected.width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const diff = actual.data[idx + c] - expected.data[idx + c];
+                maxError = Math.max(maxError, Math.abs(diff));
+                sumSquared += diff * diff;
+                count++;
+            }
+        }
+    }
+
+    const mse = sumSquared / count;
+    return { maxError, psnr: mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse) };
+}
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import {
+    IMPORT_ERROR,
+    filesFromDataTransfer,
+    imagesFromClipboard,
+    imageUrlFromClipboard,
+    fetchImageFile
+} from '../src/lib/imageSource.js';
+
+const PNG_BYTES = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]);
+const JPEG_BYTES = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0, 16]);
+const DATE = new Date(2026, 0, 2, 3, 4, 5);
+
+const clipboard = ({ files = [], items = [], html = '', text = '' } = {}) => ({
+    files,
+    items,
+    getData: (type) => (type === 'text/html' ? html : type === 'text/plain' ? text : '')
+});
+
+const fileItem = (file) => ({ kind: 'file', type: file.type, getAsFile: () => file });
+
+const respond = (body, { status = 200, type = '' } = {}) => async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    blob: async () => new Blob([body], { type })
+});
+
+// FileSystemEntry stand-ins; directories hand out their entries two at a time
+const fileEntry = (name) => ({ isFile: true, name, file: (resolve) => resolve(new File(['x'], name, { type: 'image/png' })) });
+const directoryEntry = (name, children) => ({
+    isDirectory: true,
+    name,
+    createReader: () => {
+        let offset = 0;
+        return {
+            readEntries: (resolve) => {
+                offset += 2;
+                resolve(children.slice(offset - 2, offset));
+            }
+        };
+    }
+});
+const entryItem = (entry) => ({ kind: 'file', webkitGetAsEntry: () => entry });
+
+describe('filesFromDataTransfer', () => {
+    it('walks dropped folders and keeps their paths', async () => {
+        const files = await filesFromDataTransfer({
+            items: [
+                entryItem(fileEntry('loose.png')),
+                entryItem(directoryEntry('renders', [
+                    fileEntry('10.png'),
+                    directoryEntry('week 1', [fileEntry('a.png')]),
+                    fileEntry('2.png')
+                ]))
+            ]
+        });
+
+        expect(files.map(({ file, folder }) => [folder, file.name])).toEqual([
+            ['', 'loose.png'],
+            ['renders', '2.png'],
+            ['renders', '10.png'],
+            ['renders/week 1', 'a.png']
+        ]);
+    });
+
+    it('falls back to the plain file list', async () => {
+        const file = new File(['x'], 'a.png', { type: 'image/png' });
+        const files = await filesFromDataTransfer({ items: [{ kind: 'file' }], files: [file] });
+        expect(files).toEqual([{ file, folder: '' }]);
+    });
+});
+
+describe('imagesFromClipboard', () => {
+    it('names pasted screenshots by time and keeps real file names', () => {
+        const files = imagesFromClipboard(clipboard({
+            items: [
+                fileItem(new File([PNG_BYTES], 'image.png', { type: 'image/png' })),
+                { kind: 'string', type: 'text/html', getAsFile: () => null },
+                fileItem(new File([JPEG_BYTES], 'image.jpg', { type: 'image/jpeg' })),
+                fileItem(new File([JPEG_BYTES], 'holiday.jpg', { type: 'image/jpeg' }))
+            ]
+        }), DATE);
+
+        expect(files.map(f => f.name)).toEqual([
+            'pasted-20260102-030405.png',
+            'pasted-20260102-030405-2.jpg',
+            'holiday.jpg'
+        ]);
+        expect(files[1].type).toBe('image/jpeg');
+    });
+
+    it('prefers copied files and skips non-images', () => {
+        const photo = new File([JPEG_BYTES], 'photo.jpg', { type: 'image/jpeg' });
+        const files = imagesFromClipboard(clipboard({
+            files: [photo, new File(['notes'], 'notes.txt', { type: 'text/plain' })],
+            items: [fileItem(photo)]
+        }), DATE);
+        expect(files).toEqual([photo]);
+    });
+
+    it('is empty for text pastes', () => {
+        expect(imagesFromClipboard(clipboard({ text: 'hello' }))).toEqual([]);
+        expect(imagesFromClipboard(null)).toEqual([]);
+    });
+});
+
+describe('imageUrlFromClipboard', () => {
+    it('finds the image in copied HTML', () => {
+        const html = '<meta charset="utf-8"><img alt="x" src="https://example.com/a.png?w=1&amp;h=2">';
+        expect(imageUrlFromClipboard(clipboard({ html, text: 'x' }))).toBe('https://example.com/a.png?w=1&h=2');
+    });
+
+    it('accepts a copied address and ignores other text', () => {
+        expect(imageUrlFromClipboard(clipboard({ text: ' https://example.com/b.jpg \n' }))).toBe('https://example.com/b.jpg');
+        expect(imageUrlFromClipboard(clipboard({ text: 'see https://example.com/b.jpg' }))).toBeNull();
+        expect(imageUrlFromClipboard(clipboard({ html: '<img src="javascript:alert(1)">' }))).toBeNull();
+    });
+});
+
+describe('fetchImageFile', () => {
+    it('returns a named File with the sniffed type', async () => {
+        let request;
+        const fetchImpl = async (url, options) => {
+            request = { url, options };
+            return respond(PNG_BYTES, { type: 'application/octet-stream' })();
+        };
+        const file = await fetchImageFile(' https://example.com/renders/%E5%9C%96.jpg?x=1 ', { fetchImpl });
+
+        expect(request.url).toBe('https://example.com/renders/%E5%9C%96.jpg?x=1');
+        expect(request.options).toMatchObject({ mode: 'cors', credentials: 'omit' });
+        expect(file.name).toBe('圖.png');
+        expect(file.type).toBe('image/png');
+        expect(file.size).toBe(PNG_BYTES.length);
+    });
+
+    it('falls back to the declared image type and a default name', async () => {
+        const file = await fetchImageFile('https://example.com/', { fetchImpl: respond('GIF89a', { type: 'image/gif' }) });
+        expect(file.name).toBe('image.gif');
+        expect(file.type).toBe('image/gif');
+    });
+
+    it.each([
+        ['not a url', respond(PNG_BYTES), IMPORT_ERROR.INVALID_URL],
+        ['ftp://example.com/a.png', respond(PNG_BYTES), IMPORT_ERROR.INVALID_URL],
+        ['https://example.com/a.png', async () => { throw new TypeError('Failed to fetch'); }, IMPORT_ERROR.NETWORK],
+        ['https://example.com/a.png', respond('', { status: 404 }), IMPORT_ERROR.HTTP],
+        ['https://example.com/page', respond('<html>', { type: 'text/html' }), IMPORT_ERROR.NOT_IMAGE]
+    ])('rejects %s with a reason', async (input, fetchImpl, reason) => {
+        await expect(fetchImageFile(input, { fetchImpl })).rejects.toMatchObject({ name: 'ImageImportError', reason });
+    });
+
+    it('reports the HTTP status', async () => {
+        await expect(fetchImageFile('https://example.com/a.png', { fetchImpl: respond('', { status: 403 }) }))
+            .rejects.toMatchObject({ reason: IMPORT_ERROR.HTTP, status: 403 });
+    });
+
+    // Resolves never, rejects once the request is aborted
+    const hang = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+    });
+
+    it('times out', async () => {
+        await expect(fetchImageFile('https://example.com/a.png', { fetchImpl: hang, timeout: 10 }))
+            .rejects.toMatchObject({ reason: IMPORT_ERROR.TIMEOUT });
+    });
+
+    it('passes cancellation through as an AbortError', async () => {
+        const controller = new AbortController();
+        const pending = fetchImageFile('https://example.com/a.png', { fetchImpl: hang, signal: controller.signal });
+        controller.abort();
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
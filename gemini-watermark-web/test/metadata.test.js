@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import {
+    readMetadata,
+    filterMetadata,
+    embedMetadata,
+    transferMetadata,
+    editExif,
+    detectFormat
+} from '../src/lib/metadata.js';
+
+const GPS_LATITUDE = [25, 1, 2, 1, 3, 1]; // 25° 2' 3" as three rationals
+
+// Little-endian TIFF with IFD0 { Orientation, GPS pointer } and a GPS IFD
+// holding one out-of-line rational value
+function buildExif(orientation = 6) {
+    const tiff = new Uint8Array(8 + 2 + 2 * 12 + 4 + 2 + 12 + 4 + 24);
+    const view = new DataView(tiff.buffer);
+    tiff.set([0x49, 0x49]);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+
+    const gpsIfd = 8 + 2 + 2 * 12 + 4;
+    const gpsValues = gpsIfd + 2 + 12 + 4;
+
+    view.setUint16(8, 2, true);
+    view.setUint16(10, 0x0112, true); // Orientation, SHORT
+    view.setUint16(12, 3, true);
+    view.setUint32(14, 1, true);
+    view.setUint16(18, orientation, true);
+    view.setUint16(22, 0x8825, true); // GPS IFD pointer, LONG
+    view.setUint16(24, 4, true);
+    view.setUint32(26, 1, true);
+    view.setUint32(30, gpsIfd, true);
+
+    view.setUint16(gpsIfd, 1, true);
+    view.setUint16(gpsIfd + 2, 0x0002, true); // GPSLatitude, RATIONAL x3
+    view.setUint16(gpsIfd + 4, 5, true);
+    view.setUint32(gpsIfd + 6, 3, true);
+    view.setUint32(gpsIfd + 10, gpsValues, true);
+    GPS_LATITUDE.forEach((value, i) => view.setUint32(gpsValues + i * 4, value, true));
+    return tiff;
+}
+
+const readOrientation = (tiff) => new DataView(tiff.buffer, tiff.byteOffset).getUint16(18, true);
+const hasGps = (tiff) => new DataView(tiff.buffer, tiff.byteOffset).getUint32(tiff.length - 24, true) === 25;
+
+// Fake profile, larger than one JPEG segment so the chunking is exercised
+const ICC = Uint8Array.from({ length: 70000 }, (_, i) => (i * 7) & 0xFF);
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF>攝影師</rdf:RDF></x:xmpmeta>';
+
+function encodePng(width = 4, height = 4) {
+    const png = new PNG({ width, height });
+    png.data.fill(200);
+    return new Uint8Array(PNG.sync.write(png));
+}
+
+function encodeJpeg(width = 8, height = 8) {
+    const data = Buffer.alloc(width * height * 4, 128);
+    return new Uint8Array(jpeg.encode({ width, height, data }, 90).data);
+}
+
+// Lossless WebP with just a VP8L header (10x5, alpha); the metadata code
+// never decodes the bitstream itself
+function encodeWebp() {
+    const vp8l = new Uint8Array(12);
+    vp8l[0] = 0x2F;
+    new DataView(vp8l.buffer).setUint32(1, 9 | (4 << 14) | (1 << 28), true);
+    const riff = new Uint8Array(12 + 8 + vp8l.length);
+    const view = new DataView(riff.buffer);
+    riff.set([...'RIFF'].map(c => c.charCodeAt(0)));
+    view.setUint32(4, riff.length - 8, true);
+    riff.set([...'WEBPVP8L'].map(c => c.charCodeAt(0)), 8);
+    view.setUint32(16, vp8l.length, true);
+    riff.set(vp8l, 20);
+    return riff;
+}
+
+describe('metadata round trip', () => {
+    const meta = { exif: buildExif(), icc: ICC, xmp: XMP };
+
+    it.each([
+        ['png', encodePng],
+        ['jpeg', encodeJpeg],
+        ['webp', encodeWebp]
+    ])('writes and reads back %s metadata', async (format, encode) => {
+        const bytes = await embedMetadata(encode(), meta);
+        expect(detectFormat(bytes)).toBe(format);
+
+        const read = await readMetadata(bytes);
+        expect(read.exif).toEqual(meta.exif);
+        expect(read.icc).toEqual(ICC);
+        expect(read.xmp).toBe(XMP);
+    });
+
+    it('keeps the PNG decodable', async () => {
+        const bytes = await embedMetadata(encodePng(3, 2), meta);
+        const png = PNG.sync.read(Buffer.from(bytes));
+        expect([png.width, png.height]).toEqual([3, 2]);
+    });
+
+    it('keeps the JPEG decodable', async () => {
+        const bytes = await embedMetadata(encodeJpeg(16, 8), meta);
+        const raw = jpeg.decode(bytes);
+        expect([raw.width, raw.height]).toEqual([16, 8]);
+    });
+
+    it('adds a VP8X header to simple WebP files', async () => {
+        const bytes = await embedMetadata(encodeWebp(), meta);
+        const view = new DataView(bytes.buffer);
+        const text = (offset) => Buffer.from(bytes.subarray(offset, offset + 4)).toString('latin1');
+
+        expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+        expect(text(12)).toBe('VP8X');
+        expect(bytes[20]).toBe(0x20 | 0x10 | 0x08 | 0x04); // ICC, alpha, EXIF, XMP
+        expect(bytes[24] | (bytes[25] << 8)).toBe(9);
+        expect(bytes[27] | (bytes[28] << 8)).toBe(4);
+        expect(text(30)).toBe('ICCP');
+    });
+
+    it('replaces metadata already present in the output', async () => {
+        const first = await embedMetadata(encodePng(), { exif: buildExif(3), icc: null, xmp: 'old' });
+        const second = await embedMetadata(first, { exif: buildExif(8), icc: null, xmp: XMP });
+
+        const read = await readMetadata(second);
+        expect(readOrientation(read.exif)).toBe(8);
+        expect(read.xmp).toBe(XMP);
+        const chunks = Buffer.from(second).toString('latin1');
+        expect(chunks.split('eXIf')).toHaveLength(2);
+        expect(chunks.split('XML:com.adobe.xmp')).toHaveLength(2);
+    });
+
+    it('leaves the output untouched when there is nothing to copy', async () => {
+        const png = encodePng();
+        expect(await embedMetadata(png, { exif: null, icc: null, xmp: null })).toBe(png);
+    });
+});
+
+describe('filterMetadata', () => {
+    const meta = { exif: buildExif(6), icc: ICC, xmp: XMP };
+
+    it('resets the orientation by default', () => {
+        const filtered = filterMetadata(meta);
+        expect(readOrientation(filtered.exif)).toBe(1);
+        expect(readOrientation(meta.exif)).toBe(6); // Input not modified
+        expect(hasGps(filtered.exif)).toBe(true);
+    });
+
+    it('keeps the orientation when asked to', () => {
+        expect(readOrientation(filterMetadata(meta, { resetOrientation: false }).exif)).toBe(6);
+    });
+
+    it('removes GPS values but keeps the rest of the EXIF block', () => {
+        const filtered = filterMetadata(meta, { gps: false });
+        expect(hasGps(filtered.exif)).toBe(false);
+        expect(readOrientation(filtered.exif)).toBe(1);
+    });
+
+    it('drops whole fields', () => {
+        expect(filterMetadata(meta, { exif: false, icc: false, xmp: false }))
+            .toEqual({ exif: null, icc: null, xmp: null });
+    });
+
+    it('drops an unreadable EXIF block instead of copying it', () => {
+        const filtered = filterMetadata({ ...meta, exif: Uint8Array.of(1, 2, 3, 4) });
+        expect(filtered.exif).toBeNull();
+        expect(filtered.icc).toBe(ICC);
+    });
+
+    it('rejects malformed TIFF data', () => {
+        expect(() => editExif(Uint8Array.of(0x49, 0x49, 0, 0, 0, 0, 0, 0))).toThrow();
+    });
+});
+
+describe('transferMetadata', () => {
+    it('copies JPEG metadata into a PNG export', async () => {
+        const source = await embedMetadata(encodeJpeg(), { exif: buildExif(6), icc: ICC, xmp: XMP });
+        const output = await transferMetadata(
+            new Blob([source], { type: 'image/jpeg' }),
+            new Blob([encodePng()], { type: 'image/png' }),
+            { xmp: false }
+        );
+
+        expect(output.type).toBe('image/png');
+        const read = await readMetadata(new Uint8Array(await output.arrayBuffer()));
+        expect(readOrientation(read.exif)).toBe(1);
+        expect(read.icc).toEqual(ICC);
+        expect(read.xmp).toBeNull();
+    });
+
+    it('returns the output unchanged for sources without metadata', async () => {
+        const output = new Blob([encodePng()], { type: 'image/png' });
+        expect(await transferMetadata(new Blob([encodePng()]), output)).toBe(output);
+    });
+});
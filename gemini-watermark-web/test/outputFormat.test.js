@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+    OUTPUT_FORMAT,
+    resolveOutputFormat,
+    formatFromMime,
+    outputFilename,
+    formatBytes
+} from '../src/lib/outputFormat.js';
+
+describe('output formats', () => {
+    it.each([
+        ['image/jpeg', OUTPUT_FORMAT.JPEG],
+        ['image/png', OUTPUT_FORMAT.PNG],
+        ['image/webp', OUTPUT_FORMAT.WEBP],
+        ['image/gif', OUTPUT_FORMAT.PNG],
+        ['', OUTPUT_FORMAT.PNG]
+    ])('keeps the input format for %s where possible', (mime, expected) => {
+        expect(resolveOutputFormat(OUTPUT_FORMAT.SAME, mime)).toBe(expected);
+    });
+
+    it('uses an explicit choice regardless of the input', () => {
+        expect(resolveOutputFormat(OUTPUT_FORMAT.WEBP, 'image/jpeg')).toBe(OUTPUT_FORMAT.WEBP);
+    });
+
+    it('maps MIME types back to formats', () => {
+        expect(formatFromMime('image/avif')).toBe(OUTPUT_FORMAT.AVIF);
+        expect(formatFromMime('image/bmp')).toBeNull();
+    });
+
+    it.each([
+        ['photo.jpeg', OUTPUT_FORMAT.JPEG, 'processed_photo.jpeg'],
+        ['IMG_01.JPG', OUTPUT_FORMAT.JPEG, 'processed_IMG_01.JPG'],
+        ['photo.jpeg', OUTPUT_FORMAT.PNG, 'processed_photo.png'],
+        ['render.final.png', OUTPUT_FORMAT.WEBP, 'processed_render.final.webp'],
+        ['noext', OUTPUT_FORMAT.AVIF, 'processed_noext.avif']
+    ])('names %s as %s', (name, format, expected) => {
+        expect(outputFilename(name, format)).toBe(expected);
+    });
+
+    it('reproduces the original name with a {name} template', () => {
+        expect(outputFilename('IMG_01.JPG', OUTPUT_FORMAT.JPEG, '{name}')).toBe('IMG_01.JPG');
+        expect(outputFilename('photo.jpeg', OUTPUT_FORMAT.JPEG, '{name}')).toBe('photo.jpeg');
+        expect(outputFilename('scan.PNG', OUTPUT_FORMAT.PNG, '{name}')).toBe('scan.PNG');
+    });
+
+    it('formats byte counts', () => {
+        expect(formatBytes(512)).toBe('512 B');
+        expect(formatBytes(300 * 1024)).toBe('300 KB');
+        expect(formatBytes(2.5 * 1024 * 1024)).toBe('2.5 MB');
+        expect(formatBytes(12 * 1024 * 1024 * 1024)).toBe('12.0 GB');
+    });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import {
+    LOGO_ANCHOR,
+    OFFSET_UNIT,
+    DEFAULT_LOGO_PLACEMENT,
+    logoPosition,
+    offsetsForPosition,
+    tileCenters,
+    drawLogoOverlay,
+    DEFAULT_TEXT_OVERLAY,
+    expandTextTemplate,
+    measureTextOverlay,
+    drawTextOverlay
+} from '../src/lib/overlay.js';
+
+const IMAGE = { width: 1000, height: 500 };
+const LOGO = { width: 100, height: 50 };
+const place = (changes) => ({ ...DEFAULT_LOGO_PLACEMENT, ...changes });
+
+describe('logo placement', () => {
+    it('keeps the old bottom-right position by default', () => {
+        expect(logoPosition(IMAGE, LOGO, DEFAULT_LOGO_PLACEMENT)).toEqual({ x: 880, y: 430 });
+    });
+
+    it.each([
+        [LOGO_ANCHOR.TOP_LEFT, 10, 20],
+        [LOGO_ANCHOR.TOP, 460, 20],
+        [LOGO_ANCHOR.TOP_RIGHT, 890, 20],
+        [LOGO_ANCHOR.LEFT, 10, 245],
+        [LOGO_ANCHOR.CENTER, 460, 245],
+        [LOGO_ANCHOR.RIGHT, 890, 245],
+        [LOGO_ANCHOR.BOTTOM_LEFT, 10, 430],
+        [LOGO_ANCHOR.BOTTOM, 460, 430],
+        [LOGO_ANCHOR.BOTTOM_RIGHT, 890, 430]
+    ])('places the %s anchor', (anchor, x, y) => {
+        // Edge anchors push inward; centered axes shift right/down
+        expect(logoPosition(IMAGE, LOGO, place({ anchor, offsetX: 10, offsetY: 20 }))).toEqual({ x, y });
+    });
+
+    it('shifts centered anchors right and down', () => {
+        expect(logoPosition(IMAGE, LOGO, place({ anchor: LOGO_ANCHOR.CENTER, offsetX: 15, offsetY: -5 })))
+            .toEqual({ x: 465, y: 220 });
+    });
+
+    it('measures percentage offsets against the image size', () => {
+        const position = logoPosition(IMAGE, LOGO, place({
+            anchor: LOGO_ANCHOR.TOP_LEFT,
+            unit: OFFSET_UNIT.PERCENT,
+            offsetX: 5,
+            offsetY: 10
+        }));
+        expect(position).toEqual({ x: 50, y: 50 });
+    });
+
+    it.each(Object.values(LOGO_ANCHOR))('inverts the %s position for dragging', (anchor) => {
+        for (const unit of Object.values(OFFSET_UNIT)) {
+            const placement = place({ anchor, unit });
+            const offsets = offsetsForPosition(IMAGE, LOGO, placement, { x: 123, y: 45 });
+            const position = logoPosition(IMAGE, LOGO, { ...placement, ...offsets });
+            expect(position.x).toBeCloseTo(123, 9);
+            expect(position.y).toBeCloseTo(45, 9);
+        }
+    });
+});
+
+describe('tiling', () => {
+    it('covers the whole image even after rotation', () => {
+        const centers = tileCenters(IMAGE, LOGO, 1);
+        const radius = Math.hypot(IMAGE.width, IMAGE.height) / 2;
+        const farthest = (pick) => Math.max(...centers.map(pick));
+        expect(farthest(c => c.x)).toBeGreaterThanOrEqual(radius);
+        expect(farthest(c => -c.x)).toBeGreaterThanOrEqual(radius);
+        expect(farthest(c => c.y)).toBeGreaterThanOrEqual(radius - LOGO.height * 2);
+    });
+
+    it('staggers alternate rows', () => {
+        const rowStarts = new Map();
+        for (const { x, y } of tileCenters(IMAGE, LOGO, 1)) {
+            rowStarts.set(y, Math.min(rowStarts.get(y) ?? Infinity, Math.abs(x)));
+        }
+        expect(rowStarts.get(0)).toBe(0);
+        expect(rowStarts.get(100)).toBe(100);
+    });
+
+    it('spreads tiny logos out instead of drawing without bound', () => {
+        const centers = tileCenters({ width: 8000, height: 8000 }, { width: 4, height: 4 }, 0);
+        expect(centers.length).toBeLessThan(6000);
+    });
+});
+
+// Records the calls the overlays make on a 2D context. Text is measured as
+// 0.5 em per character.
+function fakeContext() {
+    const calls = [];
+    const record = (name) => (...args) => calls.push([name, ...args]);
+    const ctx = {
+        calls,
+        globalAlpha: 1,
+        font: '',
+        save: record('save'),
+        restore: record('restore'),
+        translate: record('translate'),
+        rotate: record('rotate'),
+        drawImage: record('drawImage'),
+        fillText: (...args) => calls.push(['fillText', ...args, ctx.font]),
+        strokeText: record('strokeText'),
+        measureText: (text) => ({ width: text.length * 0.5 * parseFloat(ctx.font.replace(/^bold /, '')) })
+    };
+    return ctx;
+}
+
+describe('drawLogoOverlay', () => {
+    it('rotates a single logo around its center', () => {
+        const ctx = fakeContext();
+        const logo = { width: 50, height: 25 };
+        drawLogoOverlay(ctx, logo, IMAGE, { opacity: 0.5, scale: 2, placement: place({ rotation: 90 }) });
+
+        expect(ctx.globalAlpha).toBe(0.5);
+        expect(ctx.calls).toEqual([
+            ['save'],
+            ['translate', 930, 455],
+            ['rotate', Math.PI / 2],
+            ['drawImage', logo, -50, -25, 100, 50],
+            ['restore']
+        ]);
+    });
+
+    it('draws one logo per tile', () => {
+        const ctx = fakeContext();
+        const logo = { width: 100, height: 50 };
+        const placement = place({ tile: true, rotation: -30 });
+        drawLogoOverlay(ctx, logo, IMAGE, { opacity: 1, scale: 1, placement });
+
+        const draws = ctx.calls.filter(([name]) => name === 'drawImage');
+        expect(draws).toHaveLength(tileCenters(IMAGE, LOGO, placement.spacing).length);
+        expect(ctx.calls[1]).toEqual(['translate', 500, 250]);
+    });
+});
+
+describe('text overlay', () => {
+    const date = new Date(2024, 2, 5);
+
+    it('expands the template placeholders', () => {
+        expect(expandTextTemplate('{name} © {year}', { filename: 'photo.final.jpg', date })).toBe('photo.final © 2024');
+        expect(expandTextTemplate('{filename} / {date}', { filename: 'a.png', date })).toBe('a.png / 2024-03-05');
+    });
+
+    it('leaves unknown placeholders as typed', () => {
+        expect(expandTextTemplate('{author} {constructor}', { filename: 'a.png', date })).toBe('{author} {constructor}');
+    });
+
+    it('sizes percentage fonts against the image height', () => {
+        const ctx = fakeContext();
+        const box = measureTextOverlay(ctx, 'abcd', IMAGE, { ...DEFAULT_TEXT_OVERLAY, size: 4 });
+        expect(box.width).toBeCloseTo(40); // 4 chars x 0.5 em x 20px
+        expect(box.height).toBeCloseTo(24);
+    });
+
+    it('draws the outline under the fill at the placed position', () => {
+        const ctx = fakeContext();
+        const overlay = {
+            ...DEFAULT_TEXT_OVERLAY,
+            size: 20,
+            unit: OFFSET_UNIT.PX,
+            bold: true,
+            strokeWidth: 10,
+            placement: place({ anchor: LOGO_ANCHOR.TOP_LEFT, offsetX: 0, offsetY: 0 })
+        };
+        drawTextOverlay(ctx, 'abcd', IMAGE, overlay);
+
+        const text = ctx.calls.filter(([name]) => name === 'strokeText' || name === 'fillText');
+        expect(text).toEqual([
+            ['strokeText', 'abcd', 0, 0],
+            ['fillText', 'abcd', 0, 0, 'bold 20px sans-serif']
+        ]);
+        // Box is 40 x 24 at the top-left corner, drawn around its center
+        expect(ctx.calls.find(([name]) => name === 'translate')).toEqual(['translate', 20, 12]);
+        expect(ctx.lineWidth).toBeCloseTo(4);
+    });
+
+    it('skips empty text', () => {
+        const ctx = fakeContext();
+        drawTextOverlay(ctx, '', IMAGE, DEFAULT_TEXT_OVERLAY);
+        expect(ctx.calls.some(([name]) => name === 'fillText')).toBe(false);
+    });
+});
@@ -0,0 +1,573 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { WATERMARK_SIZE, INTENSITY_AUTO, LOGO_COLOR_AUTO, BLEND_SPACE, PRECISION, INPAINT_MODE, cornerPlacement, quantizeRegion } from '../src/lib/core.js';
+import { templateBox } from '../src/lib/templates.js';
+import { createEngine, createImage, createBackground, cloneImage, addNoise, stampWatermark, nativeRegion, compare } from './helpers.js';
+
+// Rounding to 8 bits before the reverse blend is amplified by 1 / (1 - alpha);
+// the shipped maps peak around alpha 0.5, so at intensity 1 the restored
+// pixels may be off by at most 2 levels
+const MAX_ERROR = 2;
+const MIN_PSNR = 45;
+
+let engine;
+beforeAll(() => {
+    engine = createEngine();
+});
+
+function roundTrip(original, size, { stamp = {}, options = {} } = {}) {
+    const watermarked = stampWatermark(engine, original, size, stamp);
+    const image = cloneImage(watermarked);
+    const result = engine.process(image, options);
+    return { watermarked, image, result, region: nativeRegion(engine, original, size) };
+}
+
+describe('reverse alpha blending', () => {
+    describe.each(['flat', 'dark', 'bright', 'gradient', 'noise'])('%s background', (background) => {
+        it.each([
+            [WATERMARK_SIZE.SMALL, 800, 600],
+            [WATERMARK_SIZE.LARGE, 1600, 1200]
+        ])('restores the %s watermark on %ix%i', (size, width, height) => {
+            const original = createBackground(background, width, height);
+            const { image, result, region } = roundTrip(original, size, { options: { size } });
+
+            expect(result.applied).toBe(true);
+            expect(result.size).toBe(size);
+            expect(result.region).toEqual(region);
+
+            const { maxError, psnr } = compare(image, original, region);
+            expect(maxError).toBeLessThanOrEqual(MAX_ERROR);
+            expect(psnr).toBeGreaterThanOrEqual(MIN_PSNR);
+        });
+    });
+
+    it('only touches pixels inside the reported region', () => {
+        const original = createBackground('gradient', 640, 480);
+        const { image, result } = roundTrip(original, WATERMARK_SIZE.SMALL, { options: { size: WATERMARK_SIZE.SMALL } });
+        const { x, y, width, height } = result.region;
+
+        for (let py = 0; py < original.height; py++) {
+            for (let px = 0; px < original.width; px++) {
+                if (px >= x && px < x + width && py >= y && py < y + height) continue;
+                const idx = (py * original.width + px) * 4;
+                if (image.data[idx] !== original.data[idx]) {
+                    throw new Error(`pixel ${px},${py} changed outside the region`);
+                }
+            }
+        }
+    });
+});
+
+describe('size selection at the 1024 boundary', () => {
+    it.each([
+        [1024, 1024, WATERMARK_SIZE.SMALL],
+        [1025, 1025, WATERMARK_SIZE.LARGE],
+        [1025, 1024, WATERMARK_SIZE.SMALL],
+        [1024, 1025, WATERMARK_SIZE.SMALL],
+        [2048, 1025, WATERMARK_SIZE.LARGE]
+    ])('%ix%i uses the %s template', (width, height, size) => {
+        expect(engine.templateFor(width, height).id).toBe(size);
+    });
+
+    it.each([
+        [1024, 1024, WATERMARK_SIZE.SMALL],
+        [1025, 1025, WATERMARK_SIZE.LARGE]
+    ])('auto mode detects and restores %ix%i', (width, height, size) => {
+        const original = createBackground('noise', width, height);
+        const { image, result, region } = roundTrip(original, size);
+
+        expect(result.detection.found).toBe(true);
+        expect(result.size).toBe(size);
+        expect(compare(image, original, region).maxError).toBeLessThanOrEqual(MAX_ERROR);
+    });
+
+    it('auto mode leaves an image without a watermark untouched', () => {
+        const original = createBackground('noise', 1025, 1025);
+        const image = cloneImage(original);
+        const result = engine.process(image);
+
+        expect(result.applied).toBe(false);
+        expect(result.detection.found).toBe(false);
+        expect(compare(image, original).maxError).toBe(0);
+    });
+});
+
+describe('images smaller than the watermark area', () => {
+    it.each([
+        [WATERMARK_SIZE.SMALL, 70, 70],
+        [WATERMARK_SIZE.LARGE, 150, 150],
+        [WATERMARK_SIZE.LARGE, 2000, 100]
+    ])('skips a forced %s watermark on %ix%i', (size, width, height) => {
+        const original = createBackground('gradient', width, height);
+        const image = cloneImage(original);
+        const result = engine.process(image, { size });
+
+        expect(result.applied).toBe(false);
+        expect(result.region).toBeNull();
+        expect(compare(image, original).maxError).toBe(0);
+    });
+
+    it('falls back to the small watermark when only it fits', () => {
+        const original = createBackground('noise', 100, 100);
+        const { image, result, region } = roundTrip(original, WATERMARK_SIZE.SMALL);
+
+        expect(result.detection.scores[WATERMARK_SIZE.LARGE]).toBe(0);
+        expect(result.size).toBe(WATERMARK_SIZE.SMALL);
+        expect(compare(image, original, region).maxError).toBeLessThanOrEqual(MAX_ERROR);
+    });
+});
+
+describe('intensity scaling', () => {
+    it.each([0.5, 0.8, 1.2, 1.5])('restores a watermark blended at intensity %f', (intensity) => {
+        const original = createBackground('gradient', 800, 600);
+        const { image, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { intensity },
+            options: { size: WATERMARK_SIZE.SMALL, intensity }
+        });
+
+        // Stronger alpha amplifies the 8-bit rounding of the watermarked input
+        const peakAlpha = Math.min(0.99, 0.52 * intensity);
+        const { maxError, psnr } = compare(image, original, region);
+        expect(maxError).toBeLessThanOrEqual(Math.ceil(0.5 / (1 - peakAlpha)) + 1);
+        expect(psnr).toBeGreaterThanOrEqual(40);
+    });
+
+    it('leaves visible residue when the intensity does not match', () => {
+        const original = createBackground('flat', 800, 600);
+        const { image, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { intensity: 1.0 },
+            options: { size: WATERMARK_SIZE.SMALL, intensity: 0.5 }
+        });
+
+        expect(compare(image, original, region).maxError).toBeGreaterThan(20);
+    });
+
+    it('estimates the intensity in auto mode', () => {
+        const original = createBackground('gradient', 800, 600);
+        const { image, result, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { intensity: 0.8 },
+            options: { size: WATERMARK_SIZE.SMALL, intensity: INTENSITY_AUTO }
+        });
+
+        expect(result.estimate.intensity).toBeCloseTo(0.8, 1);
+        expect(compare(image, original, region).psnr).toBeGreaterThanOrEqual(40);
+    });
+
+    it('honours a custom logo value', () => {
+        const original = createBackground('gradient', 800, 600);
+        const { image, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { logoValue: 200 },
+            options: { size: WATERMARK_SIZE.SMALL, logoValue: 200 }
+        });
+
+        expect(compare(image, original, region).maxError).toBeLessThanOrEqual(MAX_ERROR);
+    });
+});
+
+describe('logo color', () => {
+    const TINT = [255, 214, 150];
+
+    it('leaves a color cast when a tinted logo is removed as white', () => {
+        const original = createBackground('flat', 800, 600);
+        const { image, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { logoColor: TINT },
+            options: { size: WATERMARK_SIZE.SMALL }
+        });
+
+        expect(compare(image, original, region).maxError).toBeGreaterThan(20);
+    });
+
+    it('removes a tinted logo per channel', () => {
+        const original = createBackground('gradient', 800, 600);
+        const { image, result, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { logoColor: TINT },
+            options: { size: WATERMARK_SIZE.SMALL, logoColor: TINT }
+        });
+
+        expect(result.estimate).toBeNull();
+        expect(compare(image, original, region).maxError).toBeLessThanOrEqual(MAX_ERROR);
+    });
+
+    it('uses an explicit color as is when estimating the intensity', () => {
+        const original = createBackground('gradient', 800, 600);
+        const { image, result, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { intensity: 0.8, logoColor: TINT },
+            options: { size: WATERMARK_SIZE.SMALL, intensity: INTENSITY_AUTO, logoColor: TINT }
+        });
+
+        expect(result.estimate.intensity).toBeCloseTo(0.8, 1);
+        expect(result.estimate.logoColor).toEqual(TINT);
+        expect(compare(image, original, region).psnr).toBeGreaterThanOrEqual(40);
+    });
+
+    it.each(['flat', 'gradient', 'noise'])('estimates the color on a %s background', (background) => {
+        const original = createBackground(background, 800, 600);
+        const { image, result, region } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            stamp: { logoColor: TINT },
+            options: { size: WATERMARK_SIZE.SMALL, logoColor: LOGO_COLOR_AUTO }
+        });
+
+        result.estimate.logoColor.forEach((value, c) => expect(Math.abs(value - TINT[c])).toBeLessThanOrEqual(3));
+        expect(compare(image, original, region).psnr).toBeGreaterThanOrEqual(40);
+    });
+});
+
+describe('blend space', () => {
+    const options = (blendSpace, extra = {}) => ({ size: WATERMARK_SIZE.SMALL, blendSpace, ...extra });
+    // The full-range gradient runs into white at the corner, where a white
+    // logo leaves nothing to reverse in either space
+    const backgrounds = {
+        flat: () => createBackground('flat', 800, 600),
+        noise: () => createBackground('noise', 800, 600),
+        'mid-tone gradient': () => createImage(800, 600, (x, y) => [60 + x / 8, 90 + y / 8, 120])
+    };
+
+    it('scores a clean removal near zero and a poor one high', () => {
+        const original = createBackground('flat', 800, 600);
+        const { result } = roundTrip(original, WATERMARK_SIZE.SMALL, { options: options(BLEND_SPACE.SRGB) });
+        expect(result.residuals).toEqual({ srgb: expect.any(Number) });
+        expect(result.residuals.srgb).toBeLessThan(5);
+        expect(result.blendSpace).toBe(BLEND_SPACE.SRGB);
+
+        const { result: wrong } = roundTrip(original, WATERMARK_SIZE.SMALL, {
+            options: options(BLEND_SPACE.SRGB, { intensity: 0.5 })
+        });
+        expect(wrong.residuals.srgb).toBeGreaterThan(20);
+    });
+
+    it.each(Object.keys(backgrounds))('reverses a linear-light composite on a %s background', (background) => {
+        const original = backgrounds[background]();
+        const stamp = { linear: true };
+        const srgb = roundTrip(original, WATERMARK_SIZE.SMALL, { stamp, options: options(BLEND_SPACE.SRGB) });
+        const linear = roundTrip(original, WATERMARK_SIZE.SMALL, { stamp, options: options(BLEND_SPACE.LINEAR) });
+
+        expect(compare(srgb.image, original, srgb.region).maxError).toBeGreaterThan(10);
+        expect(compare(linear.image, original, linear.region).psnr).toBeGreaterThanOrEqual(40);
+        expect(linear.result.residuals.linear).toBeLessThan(5);
+        expect(srgb.result.residuals.srgb).toBeGreaterThan(10);
+    });
+
+    it.each(Object.keys(backgrounds))('picks the space that fits in auto mode on a %s background', (background) => {
+        const original = backgrounds[background]();
+        const auto = options(BLEND_SPACE.AUTO, { intensity: INTENSITY_AUTO });
+        const linear = roundTrip(original, WATERMARK_SIZE.SMALL, { stamp: { linear: true }, options: auto });
+        const srgb = roundTrip(original, WATERMARK_SIZE.SMALL, { options: auto });
+
+        expect(Object.keys(linear.result.residuals)).toEqual([BLEND_SPACE.SRGB, BLEND_SPACE.LINEAR]);
+        expect(linear.result.blendSpace).toBe(BLEND_SPACE.LINEAR);
+        expect(compare(linear.image, original, linear.region).psnr).toBeGreaterThanOrEqual(40);
+        expect(srgb.result.blendSpace).toBe(BLEND_SPACE.SRGB);
+        expect(compare(srgb.image, original, srgb.region).psnr).toBeGreaterThanOrEqual(40);
+    });
+
+    it('rejects unknown spaces', () => {
+        expect(() => engine.process(createBackground('flat', 200, 200), { blendSpace: 'lab' })).toThrow('Unknown blend space');
+    });
+});
+
+describe('precision', () => {
+    // Dark ramp with detail below one 8-bit level, as from a 16-bit render
+    function darkRamp(width, height) {
+        const data = new Float32Array(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const value = 6 + x / 60 + y / 90;
+                data.set([value, value, value, 255], (y * width + x) * 4);
+            }
+        }
+        return { width, height, data };
+    }
+
+    // RMS of the 4x4 block means of the error: what shows up as banding
+    function blockError(actual, expected, region) {
+        let sum = 0;
+        let count = 0;
+        for (let by = 0; by < region.height; by += 4) {
+            for (let bx = 0; bx < region.width; bx += 4) {
+                let error = 0;
+                for (let y = 0; y < 4; y++) {
+                    for (let x = 0; x < 4; x++) {
+                        const idx = ((region.y + by + y) * expected.width + region.x + bx + x) * 4;
+                        error += actual.data[idx] - expected.data[idx];
+                    }
+                }
+                sum += (error / 16) ** 2;
+                count++;
+            }
+        }
+        return Math.sqrt(sum / count);
+    }
+
+    it('restores float images without rounding', () => {
+        const original = darkRamp(800, 600);
+        const { image, result, region } = roundTrip(original, WATERMARK_SIZE.SMALL);
+
+        expect(result.applied).toBe(true);
+        expect(image.data).toBeInstanceOf(Float32Array);
+        expect(compare(image, original, region).maxError).toBeLessThan(0.01);
+    });
+
+    it('matches the 8-bit path when rounding back', () => {
+        // Up to values within float32 error of a half level, which may round the other way
+        const original = createBackground('noise', 800, 600);
+        const uint8 = roundTrip(original, WATERMARK_SIZE.SMALL);
+        const float = roundTrip(original, WATERMARK_SIZE.SMALL, { options: { precision: PRECISION.FLOAT } });
+        const { maxError, psnr } = compare(float.image, uint8.image, uint8.region);
+        expect(maxError).toBeLessThanOrEqual(1);
+        expect(psnr).toBeGreaterThan(60);
+    });
+
+    it('dithers away banding in dark gradients', () => {
+        const truth = darkRamp(800, 600);
+        const stamped = stampWatermark(engine, truth, WATERMARK_SIZE.SMALL);
+        const watermarked = { ...stamped, data: Uint8ClampedArray.from(stamped.data, Math.round) };
+        const region = nativeRegion(engine, truth, WATERMARK_SIZE.SMALL);
+
+        const rounded = cloneImage(watermarked);
+        engine.process(rounded, { precision: PRECISION.FLOAT });
+        const dithered = cloneImage(watermarked);
+        engine.process(dithered, { precision: PRECISION.FLOAT, dither: true });
+
+        expect(blockError(dithered, truth, region)).toBeLessThan(blockError(rounded, truth, region) * 0.85);
+        // Pixels the logo doesn't reach keep their level
+        expect(compare(dithered, watermarked, { x: region.x - 6, y: region.y - 6, width: 6, height: 6 }).maxError).toBe(0);
+    });
+
+    it('quantizes with an ordered pattern that keeps the average', () => {
+        const flat = (value) => ({ width: 4, height: 4, data: new Float32Array(64).map((_, i) => (i % 4 === 3 ? 255 : value)) });
+        const mean = (region) => region.data.filter((_, i) => i % 4 === 0).reduce((a, b) => a + b) / 16;
+
+        expect(mean(quantizeRegion(flat(10.25), { dither: true }))).toBe(10.25);
+        expect(mean(quantizeRegion(flat(10.25)))).toBe(10);
+        expect([...new Set(quantizeRegion(flat(12), { dither: true }).data)]).toEqual([12, 255]);
+    });
+
+    it('rejects unknown precisions', () => {
+        expect(() => engine.process(createBackground('flat', 200, 200), { precision: 'half' })).toThrow('Unknown precision');
+    });
+});
+
+describe('manual placement', () => {
+    // Top-left corner, as on a horizontally and vertically flipped image
+    const at = { x: 40, y: 30 };
+
+    it('restores a watermark at the chosen position', () => {
+        const original = createBackground('gradient', 800, 600);
+        const watermarked = stampWatermark(engine, original, WATERMARK_SIZE.SMALL, { at });
+        const image = cloneImage(watermarked);
+        const result = engine.process(image, { placement: { ...at, size: 48 } });
+        const region = { ...at, width: 48, height: 48 };
+
+        expect(result.applied).toBe(true);
+        expect(result.detection).toBeNull();
+        expect(result.size).toBe(WATERMARK_SIZE.SMALL);
+        expect(result.region).toEqual(region);
+        expect(compare(image, original, region).maxError).toBeLessThanOrEqual(MAX_ERROR);
+    });
+
+    it('is needed because detection only looks at the corner', () => {
+        const original = createBackground('gradient', 800, 600);
+        const image = stampWatermark(engine, original, WATERMARK_SIZE.SMALL, { at });
+        expect(engine.process(image).applied).toBe(false);
+    });
+
+    it.each([
+        [40, WATERMARK_SIZE.SMALL, 40 / 48],
+        [72, WATERMARK_SIZE.LARGE, 0.75],
+        [120, WATERMARK_SIZE.LARGE, 1.25]
+    ])('uses the closest alpha map for a %ipx box', (boxSize, size, scale) => {
+        const image = createBackground('flat', 800, 600);
+        const result = engine.process(image, { placement: { x: 100.5, y: 80, size: boxSize } });
+
+        expect(result.size).toBe(size);
+        expect(result.transform.scale).toBeCloseTo(scale, 6);
+        expect(result.transform.size).toBeCloseTo(boxSize, 6);
+        expect(result.transform.x).toBe(100.5);
+    });
+
+    it('honours a forced size', () => {
+        const image = createBackground('flat', 800, 600);
+        const result = engine.process(image, { size: WATERMARK_SIZE.SMALL, placement: { x: 0, y: 0, size: 96 } });
+        expect(result.size).toBe(WATERMARK_SIZE.SMALL);
+        expect(result.transform.scale).toBe(2);
+    });
+
+    it('skips boxes outside the image', () => {
+        const original = createBackground('flat', 200, 200);
+        const image = cloneImage(original);
+        const result = engine.process(image, { placement: { x: 250, y: 10, size: 48 } });
+
+        expect(result.applied).toBe(false);
+        expect(compare(image, original).maxError).toBe(0);
+    });
+
+    it('rejects invalid boxes', () => {
+        const image = createBackground('flat', 200, 200);
+        expect(() => engine.process(image, { placement: { x: 0, y: 0, size: 0 } })).toThrow();
+        expect(() => engine.process(image, { placement: { x: NaN, y: 0, size: 48 } })).toThrow();
+    });
+
+    it('starts from the native corner box', () => {
+        expect(cornerPlacement(800, 600)).toEqual({ x: 720, y: 520, size: 48 });
+        expect(cornerPlacement(2048, 2048)).toEqual({ x: 1888, y: 1888, size: 96 });
+    });
+});
+
+describe('localize', () => {
+    // Where a resized image puts the logo: margins and size scale together
+    function scaledBox(size, width, height, scale) {
+        return templateBox(engine.getTemplate(size), width, height, scale);
+    }
+
+    function expectTransform(transform, { scale, dx, dy }) {
+        expect(Math.abs(transform.scale / scale - 1)).toBeLessThan(0.005);
+        expect(Math.abs(transform.dx - dx)).toBeLessThan(0.25);
+        expect(Math.abs(transform.dy - dy)).toBeLessThan(0.25);
+    }
+
+    it.each([
+        ['gradient', 3, -2],
+        ['noise', -5, 4],
+        ['flat', 10, 7]
+    ])('finds a mark moved on a %s background by %i,%i', (background, dx, dy) => {
+        const original = createBackground(background, 800, 600);
+        const native = nativeRegion(engine, original, WATERMARK_SIZE.SMALL);
+        const at = { x: native.x + dx, y: native.y + dy };
+        const image = stampWatermark(engine, original, WATERMARK_SIZE.SMALL, { at });
+        const result = engine.process(image, { localize: true });
+
+        expect(result.detection.found).toBe(true);
+        expect(result.size).toBe(WATERMARK_SIZE.SMALL);
+        expectTransform(result.transform, { scale: 1, dx, dy });
+        expect(compare(image, original, { ...at, width: 48, height: 48 }).psnr).toBeGreaterThanOrEqual(MIN_PSNR);
+    });
+
+    it.each([
+        [WATERMARK_SIZE.SMALL, 0.8, 800, 600],
+        [WATERMARK_SIZE.SMALL, 1.25, 800, 600],
+        [WATERMARK_SIZE.SMALL, 1.5, 800, 600],
+        [WATERMARK_SIZE.LARGE, 0.75, 1600, 1200]
+    ])('finds the %s mark stamped at scale %f', (size, scale, width, height) => {
+        const original = createBackground('noise', width, height);
+        const image = stampWatermark(engine, original, size, { scale });
+        const result = engine.process(image, { localize: true });
+
+        const box = scaledBox(size, width, height, scale);
+        const native = nativeRegion(engine, original, size);
+        expect(result.size).toBe(size);
+        expectTransform(result.transform, { scale, dx: box.x - native.x, dy: box.y - native.y });
+
+        const region = { x: Math.floor(box.x), y: Math.floor(box.y), width: Math.ceil(box.size) + 1, height: Math.ceil(box.size) + 1 };
+        expect(compare(image, original, region).psnr).toBeGreaterThanOrEqual(MIN_PSNR);
+    });
+
+    it('only restores a resized mark well once localized', () => {
+        const original = createBackground('noise', 800, 600);
+        const watermarked = stampWatermark(engine, original, WATERMARK_SIZE.SMALL, { scale: 1.25 });
+        const box = scaledBox(WATERMARK_SIZE.SMALL, 800, 600, 1.25);
+        const region = { x: Math.floor(box.x), y: Math.floor(box.y), width: 61, height: 61 };
+
+        const corner = cloneImage(watermarked);
+        engine.process(corner, { size: WATERMARK_SIZE.SMALL });
+        const located = cloneImage(watermarked);
+        engine.process(located, { size: WATERMARK_SIZE.SMALL, localize: true });
+
+        expect(compare(corner, original, region).psnr).toBeLessThan(35);
+        expect(compare(located, original, region).psnr).toBeGreaterThanOrEqual(MIN_PSNR);
+    });
+
+    it.each(['flat', 'gradient', 'noise'])('finds nothing on a clean %s image', (background) => {
+        const original = createBackground(background, 1600, 1200);
+        const image = cloneImage(original);
+        const result = engine.process(image, { localize: true });
+
+        expect(result.applied).toBe(false);
+        expect(result.detection.found).toBe(false);
+        expect(result.detection.transform).toBeNull();
+        expect(compare(image, original).maxError).toBe(0);
+    });
+});
+
+describe('inpainting', () => {
+    // Peaks near alpha 0.8, where the reverse blend amplifies the input's
+    // rounding and noise about five times
+    const intensity = 1.6;
+
+    function removeBoth(original) {
+        const watermarked = addNoise(stampWatermark(engine, original, WATERMARK_SIZE.SMALL, { intensity }));
+        const run = (inpaint) => {
+            const image = cloneImage(watermarked);
+            const result = engine.process(image, { size: WATERMARK_SIZE.SMALL, intensity, inpaint });
+            return { image, result };
+        };
+        return { none: run(INPAINT_MODE.NONE), diffusion: run(INPAINT_MODE.DIFFUSION), region: nativeRegion(engine, original, WATERMARK_SIZE.SMALL) };
+    }
+
+    // Pixels of the region the post-pass may fill: the near-opaque part of the
+    // logo (alpha 0.45 and up) grown by one pixel
+    function fillable(region) {
+        const map = engine.getTemplate(WATERMARK_SIZE.SMALL).alphaMap;
+        const opaque = (col, row) => col >= 0 && row >= 0 && col < map.width && row < map.height &&
+            map.data[row * map.width + col] * intensity >= 0.45;
+        return (x, y) => {
+            const col = x - region.x;
+            const row = y - region.y;
+            return opaque(col, row) || opaque(col - 1, row) || opaque(col + 1, row) || opaque(col, row - 1) || opaque(col, row + 1);
+        };
+    }
+
+    it.each(['flat', 'dark', 'gradient'])('removes the amplified speckle on a %s background', (background) => {
+        const original = createBackground(background, 800, 600);
+        const { none, diffusion, region } = removeBoth(original);
+        const before = compare(none.image, original, region);
+        const after = compare(diffusion.image, original, region);
+
+        expect(none.result.inpainted).toBe(0);
+        expect(diffusion.result.inpainted).toBeGreaterThan(0);
+        expect(before.maxError).toBeGreaterThan(MAX_ERROR);
+        expect(after.maxError).toBeLessThanOrEqual(MAX_ERROR);
+        expect(after.psnr).toBeGreaterThan(before.psnr + 5);
+    });
+
+    it('only changes pixels inside the grown mask', () => {
+        const original = createBackground('gradient', 800, 600);
+        const { none, diffusion, region } = removeBoth(original);
+        const inMask = fillable(region);
+
+        let changed = 0;
+        for (let y = 0; y < original.height; y++) {
+            for (let x = 0; x < original.width; x++) {
+                const idx = (y * original.width + x) * 4;
+                if ([0, 1, 2].every(c => none.image.data[idx + c] === diffusion.image.data[idx + c])) continue;
+                if (!inMask(x, y)) throw new Error(`pixel ${x},${y} changed outside the mask`);
+                changed++;
+            }
+        }
+        expect(changed).toBeGreaterThan(0);
+        expect(changed).toBeLessThanOrEqual(diffusion.result.inpainted);
+    });
+
+    // A smooth fill would flatten texture the reconstruction still resolves,
+    // so textured backgrounds are only filled where the logo is nearly opaque
+    it('leaves a textured background to the reconstruction', () => {
+        const original = createBackground('noise', 800, 600);
+        const { none, diffusion } = removeBoth(original);
+
+        expect(diffusion.result.inpainted).toBe(0);
+        expect(compare(diffusion.image, none.image).maxError).toBe(0);
+    });
+
+    it('does not make a near-opaque logo on texture worse', () => {
+        const original = createBackground('noise', 800, 600);
+        const watermarked = addNoise(stampWatermark(engine, original, WATERMARK_SIZE.SMALL, { intensity: 1.9 }));
+        const region = nativeRegion(engine, original, WATERMARK_SIZE.SMALL);
+        const [none, diffusion] = [INPAINT_MODE.NONE, INPAINT_MODE.DIFFUSION].map((inpaint) => {
+            const image = cloneImage(watermarked);
+            const result = engine.process(image, { size: WATERMARK_SIZE.SMALL, intensity: 1.9, inpaint });
+            return { result, ...compare(image, original, region) };
+        });
+
+        expect(diffusion.result.inpainted).toBeGreaterThan(0);
+        expect(diffusion.maxError).toBeLessThanOrEqual(none.maxError);
+        expect(diffusion.psnr).toBeGreaterThanOrEqual(none.psnr);
+    });
+});
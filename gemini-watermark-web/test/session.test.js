@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { SessionStore, toStoredImage, PERSISTED_IMAGE_FIELDS } from '../src/lib/session.js';
+
+const image = (id, changes = {}) => ({
+    id,
+    file: new Blob([`pixels ${id}`], { type: 'image/png' }),
+    name: `image-${id}.png`,
+    originalUrl: `blob:original-${id}`,
+    processedUrl: `blob:processed-${id}`,
+    sizeMode: 'auto',
+    intensity: 1,
+    intensityMode: 'auto',
+    logoValue: 255,
+    localize: false,
+    inpaint: 'none',
+    output: null,
+    placement: null,
+    processing: false,
+    ...changes
+});
+
+describe('toStoredImage', () => {
+    it('keeps the original file and the per-image settings only', () => {
+        const source = image(1, { sizeMode: 'large', intensity: 0.8, placement: { x: 10, y: 20, size: 48 } });
+        const record = toStoredImage(source, 3);
+
+        expect(record).toEqual({
+            id: 1,
+            order: 3,
+            file: source.file,
+            name: 'image-1.png',
+            folder: '',
+            settings: {
+                sizeMode: 'large',
+                intensity: 0.8,
+                intensityMode: 'auto',
+                logoValue: 255,
+                localize: false,
+                inpaint: 'none',
+                output: null,
+                placement: { x: 10, y: 20, size: 48 }
+            }
+        });
+        expect(Object.keys(record.settings)).toEqual(PERSISTED_IMAGE_FIELDS);
+    });
+});
+
+describe('SessionStore', () => {
+    let store;
+
+    beforeEach(async () => {
+        store = await new SessionStore(new IDBFactory()).open();
+    });
+
+    afterEach(() => store.close());
+
+    it('starts empty', async () => {
+        expect(await store.loadImages()).toEqual([]);
+        expect(await store.loadSettings()).toBeNull();
+    });
+
+    it('restores images in batch order with their files', async () => {
+        await store.saveImages([toStoredImage(image(2), 1), toStoredImage(image(1), 0)]);
+        await store.saveImages([toStoredImage(image(3, { intensity: 1.4 }), 2)]);
+
+        const records = await store.loadImages();
+        expect(records.map(r => r.id)).toEqual([1, 2, 3]);
+        expect(records[2].settings.intensity).toBe(1.4);
+        expect(await records[0].file.text()).toBe('pixels 1');
+    });
+
+    it('overwrites a saved image and deletes removed ones', async () => {
+        await store.saveImages([toStoredImage(image(1), 0), toStoredImage(image(2), 1)]);
+        await store.saveImages([toStoredImage(image(2, { sizeMode: 'small' }), 0)]);
+        await store.deleteImages([1]);
+
+        const records = await store.loadImages();
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ id: 2, order: 0, settings: { sizeMode: 'small' } });
+    });
+
+    it('saves the global settings including the logo', async () => {
+        const logo = new Blob(['logo'], { type: 'image/png' });
+        await store.saveSettings({ logoOpacity: 40, logoSize: 150, logo });
+
+        const settings = await store.loadSettings();
+        expect(settings).toMatchObject({ logoOpacity: 40, logoSize: 150 });
+        expect(await settings.logo.text()).toBe('logo');
+    });
+
+    it('clears images and settings', async () => {
+        await store.saveImages([toStoredImage(image(1), 0)]);
+        await store.saveSettings({ logoOpacity: 40 });
+        await store.clear();
+
+        expect(await store.loadImages()).toEqual([]);
+        expect(await store.loadSettings()).toBeNull();
+    });
+
+    it('keeps the data across connections', async () => {
+        const factory = new IDBFactory();
+        const first = await new SessionStore(factory).open();
+        await first.saveImages([toStoredImage(image(7), 0)]);
+        first.close();
+
+        const second = await new SessionStore(factory).open();
+        expect((await second.loadImages()).map(r => r.id)).toEqual([7]);
+        second.close();
+    });
+
+    it('rejects where IndexedDB is unavailable', async () => {
+        await expect(new SessionStore(null).open()).rejects.toThrow('IndexedDB is not available');
+    });
+});
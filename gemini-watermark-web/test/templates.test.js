@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+    BUILTIN_TEMPLATES,
+    TEMPLATE_ANCHOR,
+    templateBox,
+    selectTemplate,
+    normalizeTemplate,
+    resolveTemplateUrls,
+    serializeTemplate
+} from '../src/lib/templates.js';
+import { WatermarkCore, cornerPlacement } from '../src/lib/core.js';
+import { createEngine, createBackground, cloneImage, stampWatermark, nativeRegion, compare } from './helpers.js';
+
+const file = (changes = {}) => ({
+    format: 'gemini-watermark-template',
+    version: 1,
+    id: 'other',
+    label: 'Other',
+    size: 48,
+    margin: { right: 20, bottom: 20 },
+    alphaMapUrl: 'data:image/png;base64,AA',
+    ...changes
+});
+
+describe('template registry', () => {
+    it('keeps the built-in 48/96 rule', () => {
+        expect(selectTemplate(BUILTIN_TEMPLATES, 1024, 2048).id).toBe('small');
+        expect(selectTemplate(BUILTIN_TEMPLATES, 1025, 1025).id).toBe('large');
+        expect(cornerPlacement(2048, 2048)).toEqual({ x: 1888, y: 1888, size: 96 });
+    });
+
+    it('prefers the most specific matching rule', () => {
+        const huge = { ...BUILTIN_TEMPLATES[0], id: 'huge', rule: { minWidth: 4000, minHeight: 4000 } };
+        const templates = [...BUILTIN_TEMPLATES, huge];
+        expect(selectTemplate(templates, 4096, 4096).id).toBe('huge');
+        expect(selectTemplate(templates, 4096, 2000).id).toBe('large');
+    });
+
+    it('places the box from any anchor corner', () => {
+        const template = { size: 40, anchor: TEMPLATE_ANCHOR.TOP_LEFT, margin: { left: 10, top: 5 } };
+        expect(templateBox(template, 500, 400)).toEqual({ x: 10, y: 5, size: 40 });
+        expect(templateBox({ ...template, anchor: TEMPLATE_ANCHOR.BOTTOM_LEFT, margin: { left: 10, bottom: 5 } }, 500, 400, 2))
+            .toEqual({ x: 20, y: 310, size: 80 });
+    });
+
+    it('checks template files and fills in defaults', () => {
+        expect(normalizeTemplate(file())).toMatchObject({
+            anchor: TEMPLATE_ANCHOR.BOTTOM_RIGHT,
+            rule: { minWidth: 0, minHeight: 0 },
+            logoColor: [255, 255, 255]
+        });
+        expect(() => normalizeTemplate(file({ format: 'other' }))).toThrow('Not a watermark template');
+        expect(() => normalizeTemplate(file({ margin: { left: 20, bottom: 20 } }))).toThrow('margin.right');
+        expect(() => normalizeTemplate(file({ id: '../x' }))).toThrow('id');
+        expect(() => normalizeTemplate(file({ alphaMapUrl: undefined }))).toThrow('no alpha map');
+        expect(() => normalizeTemplate(file({ colorMap: { width: 48, height: 48, data: new Float32Array(48 * 48) } })))
+            .toThrow('color map');
+        expect(serializeTemplate(normalizeTemplate(file()))).toEqual({ ...file(), anchor: 'bottom-right', rule: { minWidth: 0, minHeight: 0 }, logoColor: [255, 255, 255] });
+    });
+
+    it('rejects logo colors that are not three channel values', () => {
+        for (const logoColor of [5, {}, 'white', [255, 255], [255, 255, 256], [255, '255', 255]]) {
+            expect(() => normalizeTemplate(file({ logoColor }))).toThrow(expect.objectContaining({ name: 'TemplateError', message: expect.stringContaining('logoColor') }));
+        }
+    });
+
+    it('only saves maps that have a URL', () => {
+        const alphaMap = { width: 48, height: 48, data: new Float32Array(48 * 48) };
+        const inline = normalizeTemplate(file({ alphaMapUrl: undefined, alphaMap }));
+        expect(() => serializeTemplate(inline)).toThrow(expect.objectContaining({ name: 'TemplateError', message: expect.stringContaining('alpha map') }));
+
+        const withUrl = normalizeTemplate(file({ alphaMap }));
+        expect(serializeTemplate(withUrl)).not.toHaveProperty('alphaMap');
+        expect(normalizeTemplate(serializeTemplate(withUrl)).alphaMapUrl).toBe('data:image/png;base64,AA');
+    });
+
+    it('resolves alpha map URLs', () => {
+        const [small] = resolveTemplateUrls(BUILTIN_TEMPLATES, 'https://example.com/app/');
+        expect(small.alphaMapUrl).toBe('https://example.com/app/bg_48.png');
+        expect(resolveTemplateUrls([file()], 'https://example.com/')[0].alphaMapUrl).toBe('data:image/png;base64,AA');
+        expect(resolveTemplateUrls([file({ colorMapUrl: 'colors.png' })], 'https://example.com/')[0].colorMapUrl)
+            .toBe('https://example.com/colors.png');
+    });
+});
+
+describe('engine with a custom template', () => {
+    const builtin = createEngine();
+    const map = builtin.getTemplate('small').alphaMap;
+    const topLeft = normalizeTemplate(file({
+        id: 'top-left',
+        anchor: TEMPLATE_ANCHOR.TOP_LEFT,
+        margin: { left: 16, top: 24 },
+        alphaMap: map
+    }));
+
+    it('detects and removes a mark in another corner', () => {
+        const engine = new WatermarkCore();
+        engine.setTemplates([...builtin.templates, topLeft]);
+
+        const original = createBackground('noise', 400, 300);
+        const image = createBackground('noise', 400, 300);
+        for (let row = 0; row < 48; row++) {
+            for (let col = 0; col < 48; col++) {
+                const a = map.data[row * 48 + col];
+                const i = ((24 + row) * 400 + 16 + col) * 4;
+                for (let c = 0; c < 3; c++) image.data[i + c] = Math.round(a * 255 + (1 - a) * image.data[i + c]);
+            }
+        }
+
+        const result = engine.process(image);
+        expect(result.detection.found).toBe(true);
+        expect(result.size).toBe('top-left');
+        expect(Object.keys(result.detection.scores)).toEqual(['small', 'large', 'top-left']);
+        expect(compare(image, original, { x: 16, y: 24, width: 48, height: 48 }).maxError).toBeLessThanOrEqual(2);
+    });
+
+    it('rejects sizes outside the registry', () => {
+        expect(() => builtin.process(createBackground('flat', 200, 200), { size: 'top-left' })).toThrow('Unknown watermark size');
+    });
+});
+
+describe('template with a color map', () => {
+    const builtin = createEngine();
+    const small = builtin.getTemplate('small');
+    // Orange on the left fading to blue on the right
+    const gradient = (col) => [255 - col * 2, 160, 100 + col * 3];
+    const colorMap = { width: 48, height: 48, data: new Float32Array(48 * 48 * 3) };
+    for (let row = 0; row < 48; row++) {
+        for (let col = 0; col < 48; col++) colorMap.data.set(gradient(col), (row * 48 + col) * 3);
+    }
+    const engine = new WatermarkCore();
+    engine.setTemplates([{ ...small, colorMap }, builtin.getTemplate('large')]);
+
+    it('removes a multi-colored logo pixel by pixel', () => {
+        const original = createBackground('gradient', 800, 600);
+        const image = stampWatermark(engine, original, 'small', { logoColor: gradient });
+        const plain = cloneImage(image);
+
+        engine.process(image, { size: 'small' });
+        builtin.process(plain, { size: 'small', logoColor: [255, 255, 255] });
+
+        const region = nativeRegion(engine, original, 'small');
+        expect(compare(image, original, region).maxError).toBeLessThanOrEqual(2);
+        expect(compare(plain, original, region).maxError).toBeGreaterThan(20);
+    });
+
+    it('applies the map under a manual placement too', () => {
+        const original = createBackground('gradient', 800, 600);
+        const image = stampWatermark(engine, original, 'small', { logoColor: gradient });
+        const { x, y } = nativeRegion(engine, original, 'small');
+
+        engine.process(image, { size: 'small', placement: { x, y, size: 48 } });
+        expect(compare(image, original, { x, y, width: 48, height: 48 }).maxError).toBeLessThanOrEqual(2);
+    });
+});
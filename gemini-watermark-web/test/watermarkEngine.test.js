@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { WatermarkEngine, WATERMARK_SIZE } from '../src/lib/watermark.js';
+import { createEngine, createBackground, cloneImage, stampWatermark, nativeRegion, compare } from './helpers.js';
+
+// Just enough of a canvas for WatermarkEngine: full-frame getImageData and
+// dirty-rect putImageData, backed by a plain RGBA buffer
+function createFakeCanvas(image) {
+    const pixels = cloneImage(image);
+    const puts = [];
+    const ctx = {
+        getImageData(x, y, width, height) {
+            if (x !== 0 || y !== 0 || width !== pixels.width || height !== pixels.height) {
+                throw new Error('fake canvas only supports full-frame reads');
+            }
+            return cloneImage(pixels);
+        },
+        putImageData(imageData, dx, dy, x, y, width, height) {
+            puts.push({ x, y, width, height });
+            for (let row = y; row < y + height; row++) {
+                const start = (row * pixels.width + x) * 4;
+                pixels.data.set(imageData.data.subarray(start, start + width * 4), start);
+            }
+        }
+    };
+    return { width: image.width, height: image.height, pixels, puts, getContext: () => ctx };
+}
+
+let core;
+let engine;
+beforeAll(() => {
+    core = createEngine();
+    engine = new WatermarkEngine();
+    engine.setTemplates(core.templates);
+});
+
+describe('WatermarkEngine on a canvas', () => {
+    it('throws before the alpha maps are loaded', () => {
+        const canvas = createFakeCanvas(createBackground('flat', 200, 200));
+        expect(() => new WatermarkEngine().process(canvas)).toThrow('not initialized');
+    });
+
+    it('writes back only the watermark region', () => {
+        const original = createBackground('noise', 1600, 1200);
+        const canvas = createFakeCanvas(stampWatermark(core, original, WATERMARK_SIZE.LARGE));
+        const result = engine.process(canvas);
+        const region = nativeRegion(core, original, WATERMARK_SIZE.LARGE);
+
+        expect(result.size).toBe(WATERMARK_SIZE.LARGE);
+        expect(canvas.puts).toEqual([region]);
+        expect(compare(canvas.pixels, original).maxError).toBeLessThanOrEqual(2);
+    });
+
+    it('does not write anything when no watermark is found', () => {
+        const canvas = createFakeCanvas(createBackground('noise', 800, 600));
+        const result = engine.process(canvas);
+
+        expect(result.applied).toBe(false);
+        expect(canvas.puts).toHaveLength(0);
+    });
+
+    it('matches WatermarkCore on the same pixels', () => {
+        const watermarked = stampWatermark(core, createBackground('gradient', 800, 600), WATERMARK_SIZE.SMALL);
+        const canvas = createFakeCanvas(watermarked);
+        const expected = cloneImage(watermarked);
+
+        engine.process(canvas, { size: WATERMARK_SIZE.SMALL, intensity: 1.1 });
+        core.process(expected, { size: WATERMARK_SIZE.SMALL, intensity: 1.1 });
+        expect(compare(canvas.pixels, expected).maxError).toBe(0);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { WorkerPool } from '../src/lib/workerPool.js';
+
+// Stand-in for a watermark worker: records what the pool posts and lets the
+// test reply as the worker would
+function fakeWorker() {
+    const worker = {
+        posted: [],
+        postMessage(message) {
+            worker.posted.push(message);
+        },
+        reply(data) {
+            worker.onmessage({ data });
+        },
+        terminate() {}
+    };
+    return worker;
+}
+
+function createPool(size = 1) {
+    const workers = [];
+    const pool = new WorkerPool(() => {
+        const worker = fakeWorker();
+        workers.push(worker);
+        return worker;
+    }, size);
+    return { pool, workers };
+}
+
+const jobs = (worker) => worker.posted.filter(message => message.type === 'process');
+const cancelReply = (id) => ({ type: 'error', id, error: { name: 'AbortError', message: 'Job cancelled' } });
+
+describe('WorkerPool', () => {
+    it('queues jobs until a worker is free', async () => {
+        const { pool, workers: [worker] } = createPool();
+        const first = pool.run({ type: 'process', file: 'a' });
+        const second = pool.run({ type: 'process', file: 'b' });
+        expect(jobs(worker).map(job => job.file)).toEqual(['a']);
+
+        worker.reply({ type: 'done', id: jobs(worker)[0].id, result: 'A' });
+        await expect(first).resolves.toMatchObject({ result: 'A' });
+        expect(jobs(worker).map(job => job.file)).toEqual(['a', 'b']);
+
+        worker.reply({ type: 'done', id: jobs(worker)[1].id, result: 'B' });
+        await expect(second).resolves.toMatchObject({ result: 'B' });
+    });
+
+    it('forwards progress and worker errors', async () => {
+        const { pool, workers: [worker] } = createPool();
+        const progress = [];
+        const job = pool.run({ type: 'process' }, { onProgress: (data) => progress.push(data.progress) });
+        const { id } = jobs(worker)[0];
+
+        worker.reply({ type: 'progress', id, stage: 'decode', progress: 0.1 });
+        worker.reply({ type: 'error', id, error: { name: 'EncodingError', message: 'Bad file' } });
+
+        await expect(job).rejects.toMatchObject({ name: 'EncodingError', message: 'Bad file' });
+        expect(progress).toEqual([0.1]);
+    });
+
+    it('drops a cancelled job that is still queued', async () => {
+        const { pool, workers: [worker] } = createPool();
+        const controller = new AbortController();
+        pool.run({ type: 'process', file: 'a' });
+        const queued = pool.run({ type: 'process', file: 'b' }, { signal: controller.signal });
+
+        controller.abort();
+        await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+
+        worker.reply({ type: 'done', id: jobs(worker)[0].id });
+        expect(jobs(worker).map(job => job.file)).toEqual(['a']);
+        expect(worker.posted.some(message => message.type === 'cancel')).toBe(false);
+    });
+
+    it('keeps the worker busy until a cancelled running job replies', async () => {
+        const { pool, workers: [worker] } = createPool();
+        const controller = new AbortController();
+        const running = pool.run({ type: 'process', file: 'a' }, { signal: controller.signal });
+        const next = pool.run({ type: 'process', file: 'b' });
+        const { id } = jobs(worker)[0];
+
+        controller.abort();
+        await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+        expect(worker.posted.at(-1)).toEqual({ type: 'cancel', id });
+        expect(jobs(worker).map(job => job.file)).toEqual(['a']);
+
+        worker.reply(cancelReply(id));
+        expect(jobs(worker).map(job => job.file)).toEqual(['a', 'b']);
+
+        worker.reply({ type: 'done', id: jobs(worker)[1].id, result: 'B' });
+        await expect(next).resolves.toMatchObject({ result: 'B' });
+    });
+
+    it('ignores late replies of cancelled jobs', async () => {
+        const { pool, workers: [worker] } = createPool();
+        const controller = new AbortController();
+        const progress = [];
+        const running = pool.run({ type: 'process', file: 'a' }, {
+            signal: controller.signal,
+            onProgress: (data) => progress.push(data.progress)
+        });
+        const next = pool.run({ type: 'process', file: 'b' });
+        const { id } = jobs(worker)[0];
+
+        controller.abort();
+        await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+
+        // The worker finished before it saw the cancel
+        worker.reply({ type: 'progress', id, stage: 'encode', progress: 0.7 });
+        worker.reply({ type: 'done', id, result: 'A' });
+        expect(progress).toEqual([]);
+        expect(jobs(worker).map(job => job.file)).toEqual(['a', 'b']);
+
+        // Stray replies for it change nothing about the job now in flight
+        worker.reply(cancelReply(id));
+        worker.reply({ type: 'done', id: jobs(worker)[1].id, result: 'B' });
+        await expect(next).resolves.toMatchObject({ result: 'B' });
+    });
+
+    it('rejects everything on terminate', async () => {
+        const { pool } = createPool();
+        const running = pool.run({ type: 'process' });
+        const queued = pool.run({ type: 'process' });
+        pool.terminate();
+
+        await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+        await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
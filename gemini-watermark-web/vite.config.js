@@ -1,8 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+const publicDir = new URL('./public/', import.meta.url)
+
+// Emit sw.js from the src/sw.js template with the build's files to precache
+// (bundle and public assets, alpha maps included). The cache version hashes
+// their contents, so any change installs a fresh cache.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = new Map()
+      for (const name of readdirSync(publicDir)) {
+        files.set(name, readFileSync(new URL(name, publicDir)))
+      }
+      for (const [name, output] of Object.entries(bundle)) {
+        files.set(name, output.type === 'chunk' ? output.code : output.source)
+      }
+
+      const names = [...files.keys()].sort()
+      const hash = createHash('sha256')
+      for (const name of names) hash.update(name).update(files.get(name))
+
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify(names))
+        .replace('self.__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   base: '/gemini-watermark-web/',
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })
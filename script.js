@@ -1,115 +1,19 @@
 /**
  * Gemini Watermark Tool - Frontend Implementation
  * Based on https://github.com/allenk/GeminiWatermarkTool
+ *
+ * Uses the same watermark library as the React app, so this page must be
+ * served over HTTP (ES module) from the repository root.
  */
 
-class WatermarkProcessor {
-    constructor() {
-        this.alphaMap48 = null;
-        this.alphaMap96 = null;
-        this.isReady = false;
-        this.init();
-    }
-
-    async init() {
-        try {
-            this.alphaMap48 = await this.loadAlphaMap('assets/bg_48.png');
-            this.alphaMap96 = await this.loadAlphaMap('assets/bg_96.png');
-            this.isReady = true;
-            console.log('WatermarkProcessor: Alpha maps loaded.');
-        } catch (error) {
-            console.error('WatermarkProcessor: Failed to load alpha maps', error);
-        }
-    }
-
-    async loadAlphaMap(url) {
-        const img = new Image();
-        img.src = url;
-        await new Promise((resolve, reject) => {
-            img.onload = resolve;
-            img.onerror = reject;
-        });
-
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-        const imageData = ctx.getImageData(0, 0, img.width, img.height);
-        
-        // Convert to Float32Array alpha (0.0 - 1.0)
-        // Original C++: alpha = max(R, G, B) / 255.0
-        const alpha = new Float32Array(img.width * img.height);
-        for (let i = 0; i < imageData.data.length; i += 4) {
-            const r = imageData.data[i];
-            const g = imageData.data[i+1];
-            const b = imageData.data[i+2];
-            alpha[i / 4] = Math.max(r, g, b) / 255.0;
-        }
-        return {
-            data: alpha,
-            width: img.width,
-            height: img.height
-        };
-    }
-
-    getWatermarkConfig(width, height, forceMode = 'auto') {
-        let size;
-        if (forceMode === '48') {
-            size = 48;
-        } else if (forceMode === '96') {
-            size = 96;
-        } else {
-            // Gemini rules: 96x96 if both dimensions > 1024, else 48x48
-            size = (width > 1024 && height > 1024) ? 96 : 48;
-        }
-
-        const margin = size === 96 ? 64 : 32;
-        return {
-            size: size,
-            margin: margin,
-            x: width - margin - size,
-            y: height - margin - size
-        };
-    }
-
-    process(imageData, forceMode = 'auto', logoValue = 255) {
-        const { width, height } = imageData;
-        const config = this.getWatermarkConfig(width, height, forceMode);
-        const alphaMap = config.size === 96 ? this.alphaMap96 : this.alphaMap48;
+import { WatermarkEngine, BUILTIN_TEMPLATES, resolveTemplateUrls } from './gemini-watermark-web/src/lib/watermark.js';
+import { transferMetadata, decodeOptionsFor } from './gemini-watermark-web/src/lib/metadata.js';
 
-        if (!alphaMap) return imageData;
-
-        const data = imageData.data;
-        const mapSize = config.size;
-        const ALPHA_THRESHOLD = 0.002;
-        const MAX_ALPHA = 0.99;
-
-        for (let row = 0; row < mapSize; row++) {
-            for (let col = 0; col < mapSize; col++) {
-                const imgX = config.x + col;
-                const imgY = config.y + row;
-
-                if (imgX < 0 || imgX >= width || imgY < 0 || imgY >= height) continue;
-
-                const alpha = alphaMap.data[row * mapSize + col];
-                if (alpha < ALPHA_THRESHOLD) continue;
-
-                const safeAlpha = Math.min(alpha, MAX_ALPHA);
-                const oneMinusAlpha = 1 - safeAlpha;
-                const pixelIndex = (imgY * width + imgX) * 4;
-
-                for (let c = 0; c < 3; c++) {
-                    const watermarked = data[pixelIndex + c];
-                    // Formula: original = (watermarked - alpha * logo) / (1 - alpha)
-                    const original = (watermarked - safeAlpha * logoValue) / oneMinusAlpha;
-                    data[pixelIndex + c] = Math.max(0, Math.min(255, Math.round(original)));
-                }
-            }
-        }
-        return imageData;
-    }
-}
+const processor = new WatermarkEngine();
+// Failures are logged by the engine; processAll keeps asking the user to wait
+processor
+    .init(resolveTemplateUrls(BUILTIN_TEMPLATES, new URL('gemini-watermark-web/public/', location.href)))
+    .catch(() => {});
 
 // UI Controller
 const UI = {
@@ -131,7 +35,7 @@ const UI = {
     downloadBtn: document.getElementById('download-btn'),
 
     files: [],
-    processor: new WatermarkProcessor(),
+    processor,
 
     init() {
         this.dropZone.onclick = () => this.fileInput.click();
@@ -195,7 +99,7 @@ const UI = {
     },
 
     async processAll() {
-        if (!this.processor.isReady) {
+        if (!this.processor.ready) {
             alert('浮水印資源載入中，請稍候...');
             return;
         }
@@ -215,23 +119,24 @@ const UI = {
         const file = this.files[index];
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
-        const img = new Image();
-        img.src = URL.createObjectURL(file);
-        
-        await new Promise(resolve => img.onload = resolve);
-        
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
-        
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const processed = this.processor.process(imageData, this.sizeMode.value);
-        
-        ctx.putImageData(processed, 0, 0);
-        
-        this.files[index].processedUrl = canvas.toDataURL('image/png');
-        this.files[index].originalUrl = img.src;
-        
+
+        // Decode without color conversion so the original ICC profile, copied
+        // over below together with EXIF and XMP, still matches the pixels
+        const bitmap = await createImageBitmap(file, decodeOptionsFor());
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        this.processor.process(canvas, { size: this.sizeMode.value });
+
+        const encoded = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const blob = await transferMetadata(file, encoded);
+
+        if (this.files[index].processedUrl) URL.revokeObjectURL(this.files[index].processedUrl);
+        this.files[index].processedUrl = URL.createObjectURL(blob);
+        this.files[index].originalUrl ||= URL.createObjectURL(file);
+
         const badges = this.fileList.querySelectorAll('.status-badge');
         badges[index].className = 'status-badge status-done';
         badges[index].innerText = '完成';